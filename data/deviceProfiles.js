@@ -0,0 +1,103 @@
+// Named devices a page can be scanned as. 'desktop' and 'mobile' are the
+// original two profiles and keep their exact viewports so older scans stay
+// comparable.
+
+const IOS_SAFARI = version => `Mozilla/5.0 (iPhone; CPU iPhone OS ${version} like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${version.split('_')[0]}.0 Mobile/15E148 Safari/604.1`;
+const ANDROID_CHROME = model => `Mozilla/5.0 (Linux; Android 13; ${model}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36`;
+
+const DEVICE_PROFILES = {
+  desktop: {
+    name: 'Desktop',
+    width: 1280,
+    height: 1024,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: null
+  },
+  'desktop-hd': {
+    name: 'Desktop (Full HD)',
+    width: 1920,
+    height: 1080,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: null
+  },
+  laptop: {
+    name: 'Laptop',
+    width: 1366,
+    height: 768,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: null
+  },
+  tablet: {
+    name: 'iPad (portrait)',
+    width: 768,
+    height: 1024,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  'tablet-landscape': {
+    name: 'iPad (landscape)',
+    width: 1024,
+    height: 768,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  mobile: {
+    name: 'iPhone 8',
+    width: 375,
+    height: 667,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7_1 like Mac OS X) AppleWebKit/605.1.15'
+  },
+  'iphone-se': {
+    name: 'iPhone SE',
+    width: 375,
+    height: 667,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: IOS_SAFARI('17_0')
+  },
+  'iphone-15': {
+    name: 'iPhone 15',
+    width: 393,
+    height: 852,
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: IOS_SAFARI('17_0')
+  },
+  'pixel-7': {
+    name: 'Pixel 7',
+    width: 412,
+    height: 915,
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: ANDROID_CHROME('Pixel 7')
+  },
+  'galaxy-s20': {
+    name: 'Galaxy S20',
+    width: 360,
+    height: 800,
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: ANDROID_CHROME('SM-G981B')
+  }
+};
+
+module.exports = {
+  DEVICE_PROFILES
+};
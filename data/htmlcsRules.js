@@ -0,0 +1,120 @@
+// Titles for the HTML_CodeSniffer checks, keyed by '<criterion>.<technique>'
+// as they appear at the end of Pa11y issue codes
+// ('WCAG2AA.Principle1.Guideline1_1.1_1_1.H37' -> '1_1_1.H37'). Codes with
+// extra segments ('1_3_1.H49.B') fall back to the shorter key.
+
+const HTMLCS_RULES = {
+  '1_1_1.H30': 'Linked image missing alt text',
+  '1_1_1.H67': 'Decorative image with title text',
+  '1_1_1.H37': 'Missing image alt text',
+  '1_1_1.G94': 'Check image alt text describes the image',
+  '1_1_1.H36': 'Image button missing alt text',
+  '1_1_1.H24': 'Image map area missing alt text',
+  '1_1_1.G73,G74': 'Check complex image has a long description',
+  '1_1_1.H2': 'Redundant or missing alt text on linked image',
+  '1_1_1.H53,ARIA6': 'Object element missing text alternative',
+  '1_1_1.G94,G92': 'Check text alternative for non-text content',
+  '1_1_1.H35': 'Applet missing text alternative',
+  '1_2_1.G158': 'Check audio has a transcript',
+  '1_2_1.G159,G166': 'Check video-only content has an alternative',
+  '1_2_2.G87,G93': 'Check video has captions',
+  '1_2_3.G69,G78,G173,G8': 'Check video has audio description or transcript',
+  '1_2_4.G9,G87,G93': 'Check live media has captions',
+  '1_2_5.G78,G173,G8': 'Check video has audio description',
+  '1_2_6.G54,G81': 'Check video has sign language interpretation',
+  '1_2_7.G8': 'Check video has extended audio description',
+  '1_2_8.G69,G159': 'Check media has a text alternative',
+  '1_2_9.G150,G151,G157': 'Check live audio has a text alternative',
+  '1_3_1.ARIA6': 'Check ARIA label describes the element',
+  '1_3_1.ARIA16,ARIA9': 'Check ARIA labelling is correct',
+  '1_3_1.DataTable': 'Check data table structure',
+  '1_3_1.F68': 'Form field missing label',
+  '1_3_1.F92,ARIA4': 'Presentation role on element with semantic children',
+  '1_3_1.G141': 'Incorrect heading structure',
+  '1_3_1.H39': 'Table caption problem',
+  '1_3_1.H39,H73': 'Table caption and summary are identical',
+  '1_3_1.H42': 'Heading markup not used for heading text',
+  '1_3_1.H43': 'Table headers not associated with cells',
+  '1_3_1.H43,H63': 'Table header cells not identified',
+  '1_3_1.H44': 'Label not associated with a form control',
+  '1_3_1.H48': 'List markup not used for a list',
+  '1_3_1.H49': 'Presentational markup used for meaning',
+  '1_3_1.H63': 'Invalid table header scope',
+  '1_3_1.H65': 'Check form field title describes its purpose',
+  '1_3_1.H71': 'Fieldset missing legend',
+  '1_3_1.H73': 'Table summary problem',
+  '1_3_1.H85': 'Select options not grouped',
+  '1_3_1.LayoutTable': 'Layout table uses data table markup',
+  '1_3_2.G57': 'Check content order is meaningful',
+  '1_3_3.G96': 'Check instructions do not rely on sensory characteristics',
+  '1_3_5.H98': 'Invalid autocomplete value',
+  '1_3_6.ARIA11': 'Check landmarks identify page regions',
+  '1_4_1.G14,G18': 'Check color is not the only visual means',
+  '1_4_2.F23': 'Check autoplaying audio can be controlled',
+  '1_4_3.F24': 'Foreground or background color set alone',
+  '1_4_3.G18': 'Insufficient color contrast',
+  '1_4_3.G145': 'Insufficient color contrast for large text',
+  '1_4_4.G142': 'Check text can be resized',
+  '1_4_5.G140,C22,C30': 'Check images of text are not used',
+  '1_4_6.G17': 'Insufficient enhanced color contrast',
+  '1_4_6.G18': 'Insufficient enhanced color contrast for large text',
+  '1_4_7.G56': 'Check background audio is low',
+  '1_4_8.G148,G156,G175': 'Check users can choose text colors',
+  '1_4_8.H87,C20': 'Check line length',
+  '1_4_8.C19,G172,G169': 'Check text is not justified',
+  '1_4_8.G188,C21': 'Check line spacing',
+  '1_4_8.H87,G146,C26': 'Check text can be resized without horizontal scrolling',
+  '1_4_9.G140,C22,C30': 'Check images of text are only decorative',
+  '1_4_10.C32,C31,C33,C38,SCR34,G206': 'Check content reflows at narrow widths',
+  '1_4_11.G195,G207,G18,G145,G174,F78': 'Check non-text contrast',
+  '1_4_12.C36,C35': 'Check text spacing can be adjusted',
+  '1_4_13.F95': 'Check hover and focus content can be dismissed',
+  '2_1_1.G90': 'Check keyboard triggers for event handlers',
+  '2_1_1.SCR20': 'Mouse-only event handler',
+  '2_1_2.F10': 'Check for keyboard traps',
+  '2_2_1.F40': 'Timed meta refresh redirect',
+  '2_2_1.F41': 'Timed meta refresh',
+  '2_2_2.SCR33,SCR22,G187,G152,G186,G191': 'Check moving content can be paused',
+  '2_2_2.F4': 'Blinking text',
+  '2_2_2.F47': 'Blink element',
+  '2_2_3.G5': 'Check there are no time limits',
+  '2_2_4.SCR14': 'Check interruptions can be postponed',
+  '2_2_5.G105,G181': 'Check data is kept after re-authentication',
+  '2_3_1.G19,G176': 'Check content does not flash',
+  '2_3_2.G19': 'Check content does not flash at all',
+  '2_4_1.G1,G123,G124': 'Check blocks of content can be bypassed',
+  '2_4_1.G1,G123,G124,H69': 'Check repeated content can be skipped',
+  '2_4_1.H64': 'Missing iframe title',
+  '2_4_2.H25': 'Missing or empty page title',
+  '2_4_3.H4': 'Check focus order is logical',
+  '2_4_4.H77,H78,H79,H80,H81': 'Check link text in context',
+  '2_4_4.H77,H78,H79,H80,H81,H33': 'Check link purpose',
+  '2_4_5.G125,G64,G63,G161,G126,G185': 'Check pages can be found in multiple ways',
+  '2_4_6.G130,G131': 'Check headings and labels are descriptive',
+  '2_4_7.G149,G165,G195,C15,SCR31': 'Check focus is visible',
+  '2_4_8.H59': 'Check location within site is shown',
+  '2_4_9.H30': 'Check link text alone describes the link',
+  '2_5_3.F96': 'Accessible name does not contain visible label',
+  '3_1_1.H57': 'Missing or invalid page language',
+  '3_1_2.H58': 'Invalid language of part',
+  '3_1_3.H40,H54,H60,G62,G70': 'Check unusual words are explained',
+  '3_1_4.G102,G55,G62,H28,G97': 'Check abbreviations are expanded',
+  '3_1_5.G86,G103,G79,G153,G160': 'Check reading level',
+  '3_1_6.H62': 'Check pronunciation is available',
+  '3_2_1.G107': 'Check focus does not change context',
+  '3_2_2.H32': 'Form missing submit button',
+  '3_2_3.G61': 'Check navigation is consistent',
+  '3_2_4.G197': 'Check components are identified consistently',
+  '3_2_5.H83': 'Link opens a new window without warning',
+  '3_3_1.G83,G84,G85': 'Check errors are identified in text',
+  '3_3_2.G131,G89,G184,H90': 'Check inputs have labels or instructions',
+  '3_3_3.G177': 'Check error suggestions are provided',
+  '3_3_4.G98,G99,G155,G164,G168': 'Check important submissions can be reviewed',
+  '3_3_5.G71,G184,G193': 'Check context-sensitive help is available',
+  '3_3_6.G98,G99,G155,G164,G168': 'Check all submissions can be reviewed',
+  '4_1_1.F77': 'Duplicate element ID',
+  '4_1_2.H91': 'Control missing accessible name, role or value',
+  '4_1_3.ARIA22,G199,ARIA19,G83,G84,G85,G139,G177,G194,ARIA23': 'Check status messages are announced'
+};
+
+module.exports = { HTMLCS_RULES };
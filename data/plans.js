@@ -0,0 +1,48 @@
+// Usage plans: rate limits, scan quotas and concurrent-scan caps. A user's
+// plan is User.plan, or DEFAULT_PLAN (env) when not set. null means no limit.
+//
+// requestsPerMinute  - scan requests (POST /scan, /ci/scan, /batches, ...)
+// scansPerDay        - scans queued per UTC day, counting every page of
+//                      crawls, batches and scheduled runs
+// scansPerMonth      - the same per UTC calendar month
+// concurrentScans    - scans pending or running at once
+const PLANS = {
+  free: {
+    name: 'Free',
+    requestsPerMinute: 10,
+    scansPerDay: 50,
+    scansPerMonth: 500,
+    concurrentScans: 2
+  },
+  pro: {
+    name: 'Pro',
+    requestsPerMinute: 60,
+    scansPerDay: 1000,
+    scansPerMonth: 20000,
+    concurrentScans: 10
+  },
+  unlimited: {
+    name: 'Unlimited',
+    requestsPerMinute: null,
+    scansPerDay: null,
+    scansPerMonth: null,
+    concurrentScans: null
+  }
+};
+
+// Own keys only, so values like 'constructor' aren't taken for a plan
+function isPlanId(id) {
+  return Object.prototype.hasOwnProperty.call(PLANS, id);
+}
+
+const DEFAULT_PLAN = isPlanId(process.env.DEFAULT_PLAN) ? process.env.DEFAULT_PLAN : 'free';
+
+// Login, signup, password reset and token refresh, per client IP address
+const AUTH_REQUESTS_PER_MINUTE = parseInt(process.env.AUTH_RATE_LIMIT, 10) || 10;
+
+module.exports = {
+  PLANS,
+  DEFAULT_PLAN,
+  isPlanId,
+  AUTH_REQUESTS_PER_MINUTE
+};
@@ -0,0 +1,240 @@
+// Rule-specific fix guidance and examples for the most common checks. Rules
+// without an entry use the guidance of their success criterion. One entry
+// can cover the same problem as reported by both engines.
+
+const GUIDANCE = [
+  {
+    rules: ['image-alt', 'input-image-alt', 'role-img-alt', 'svg-img-alt', '1_1_1.H37', '1_1_1.H36'],
+    guidance: 'Add an alt attribute describing what the image conveys. Use alt="" for decorative images so screen readers skip them.',
+    example: {
+      bad: '<img src="chart.png">',
+      good: '<img src="chart.png" alt="Sales grew 20% from 2023 to 2024">'
+    }
+  },
+  {
+    rules: ['area-alt', '1_1_1.H24'],
+    guidance: 'Give every <area> of an image map an alt attribute describing where the link goes.',
+    example: {
+      bad: '<area shape="rect" coords="0,0,50,50" href="/north">',
+      good: '<area shape="rect" coords="0,0,50,50" href="/north" alt="Northern region">'
+    }
+  },
+  {
+    rules: ['label', 'select-name', 'aria-input-field-name', '1_3_1.F68', '1_3_1.H44', '3_3_2.G131,G89,G184,H90'],
+    guidance: 'Associate a visible <label> with every form field using for/id, or wrap the field in the label. Placeholders are not labels.',
+    example: {
+      bad: '<input type="email" placeholder="Email">',
+      good: '<label for="email">Email</label>\n<input type="email" id="email">'
+    }
+  },
+  {
+    rules: ['color-contrast', 'color-contrast-enhanced', '1_4_3.G18', '1_4_3.G145', '1_4_6.G17', '1_4_6.G18'],
+    guidance: 'Darken the text or lighten the background (or the other way round) until the ratio meets the requirement. Check hover, focus and disabled states too.',
+    example: {
+      bad: '.note { color: #999; background: #fff; } /* 2.8:1 */',
+      good: '.note { color: #595959; background: #fff; } /* 7:1 */'
+    }
+  },
+  {
+    rules: ['html-has-lang', 'html-lang-valid', '3_1_1.H57'],
+    guidance: 'Set the page language on the <html> element with a valid BCP 47 code.',
+    example: {
+      bad: '<html>',
+      good: '<html lang="en">'
+    }
+  },
+  {
+    rules: ['valid-lang', '3_1_2.H58'],
+    guidance: 'Use a valid language code on elements written in another language than the page.',
+    example: {
+      bad: '<p lang="french">Bonjour</p>',
+      good: '<p lang="fr">Bonjour</p>'
+    }
+  },
+  {
+    rules: ['document-title', '2_4_2.H25'],
+    guidance: 'Add a <title> that describes the page, most specific part first.',
+    example: {
+      bad: '<head></head>',
+      good: '<head><title>Checkout - Example Store</title></head>'
+    }
+  },
+  {
+    rules: ['link-name', '1_1_1.H30', '4_1_2.H91'],
+    guidance: 'Give links and controls text that screen readers can announce: visible text, alt text on an image inside, or aria-label for icon-only controls.',
+    example: {
+      bad: '<a href="/cart"><svg>...</svg></a>',
+      good: '<a href="/cart" aria-label="Shopping cart"><svg aria-hidden="true">...</svg></a>'
+    }
+  },
+  {
+    rules: ['button-name', 'input-button-name', 'aria-command-name'],
+    guidance: 'Give every button an accessible name: text content, a value for input buttons, or aria-label for icon buttons.',
+    example: {
+      bad: '<button><i class="icon-close"></i></button>',
+      good: '<button aria-label="Close dialog"><i class="icon-close" aria-hidden="true"></i></button>'
+    }
+  },
+  {
+    rules: ['frame-title', 'frame-title-unique', '2_4_1.H64'],
+    guidance: 'Give each iframe a unique title describing its content.',
+    example: {
+      bad: '<iframe src="https://maps.example.com/embed"></iframe>',
+      good: '<iframe src="https://maps.example.com/embed" title="Map of our office"></iframe>'
+    }
+  },
+  {
+    rules: ['duplicate-id', 'duplicate-id-active', 'duplicate-id-aria', '4_1_1.F77'],
+    guidance: 'Make every id unique in the page. Labels and ARIA references pointing at a duplicated id may resolve to the wrong element.',
+    example: {
+      bad: '<input id="name"> ... <input id="name">',
+      good: '<input id="billing-name"> ... <input id="shipping-name">'
+    }
+  },
+  {
+    rules: ['heading-order', 'page-has-heading-one', 'empty-heading', '1_3_1.G141', '1_3_1.H42', 'p-as-heading'],
+    guidance: 'Use real heading elements in a logical order: one <h1> for the page, then <h2> for sections, without skipping levels.',
+    example: {
+      bad: '<h1>Shop</h1>\n<h4>New arrivals</h4>\n<p class="big-bold">Sale</p>',
+      good: '<h1>Shop</h1>\n<h2>New arrivals</h2>\n<h2>Sale</h2>'
+    }
+  },
+  {
+    rules: ['list', 'listitem', 'definition-list', 'dlitem', '1_3_1.H48'],
+    guidance: 'Mark up lists with <ul>, <ol> or <dl>, and only put <li> (or <dt>/<dd>) directly inside them.',
+    example: {
+      bad: '<ul><div>Item</div></ul>',
+      good: '<ul><li>Item</li></ul>'
+    }
+  },
+  {
+    rules: ['td-has-header', 'th-has-data-cells', 'td-headers-attr', 'scope-attr-valid', '1_3_1.H43', '1_3_1.H43,H63', '1_3_1.H63'],
+    guidance: 'Mark header cells with <th> and a scope, so each data cell is announced with its headers.',
+    example: {
+      bad: '<tr><td><b>Name</b></td><td><b>Price</b></td></tr>',
+      good: '<tr><th scope="col">Name</th><th scope="col">Price</th></tr>'
+    }
+  },
+  {
+    rules: ['1_3_1.H71'],
+    guidance: 'Group related radio buttons and checkboxes in a <fieldset> with a <legend> naming the group.',
+    example: {
+      bad: '<p>Size</p>\n<input type="radio" id="s"><label for="s">Small</label>',
+      good: '<fieldset><legend>Size</legend>\n<input type="radio" id="s"><label for="s">Small</label></fieldset>'
+    }
+  },
+  {
+    rules: ['bypass', 'skip-link', '2_4_1.G1,G123,G124', '2_4_1.G1,G123,G124,H69'],
+    guidance: 'Add a skip link as the first focusable element, pointing at the main content, and wrap the content in <main>.',
+    example: {
+      bad: '<body><nav>...</nav><div class="content">...</div>',
+      good: '<body><a href="#main" class="skip-link">Skip to content</a><nav>...</nav><main id="main">...</main>'
+    }
+  },
+  {
+    rules: ['meta-refresh', 'meta-refresh-no-exceptions', '2_2_1.F40', '2_2_1.F41'],
+    guidance: 'Redirect on the server instead of with a timed meta refresh, or let users control the refresh.',
+    example: {
+      bad: '<meta http-equiv="refresh" content="5; url=/new-page">',
+      good: 'HTTP/1.1 301 Moved Permanently\nLocation: /new-page'
+    }
+  },
+  {
+    rules: ['meta-viewport', 'meta-viewport-large'],
+    guidance: 'Do not disable pinch zoom; remove user-scalable=no and maximum-scale from the viewport meta tag.',
+    example: {
+      bad: '<meta name="viewport" content="width=device-width, user-scalable=no">',
+      good: '<meta name="viewport" content="width=device-width, initial-scale=1">'
+    }
+  },
+  {
+    rules: ['autocomplete-valid', '1_3_5.H98'],
+    guidance: 'Use the autocomplete tokens from the HTML specification on fields that collect personal data.',
+    example: {
+      bad: '<input name="email" autocomplete="mail">',
+      good: '<input name="email" autocomplete="email">'
+    }
+  },
+  {
+    rules: ['3_2_2.H32'],
+    guidance: 'Give every form a submit button so it is never submitted just by changing a field.',
+    example: {
+      bad: '<form><select onchange="this.form.submit()">...</select></form>',
+      good: '<form><select>...</select><button type="submit">Apply</button></form>'
+    }
+  },
+  {
+    rules: ['2_1_1.SCR20', 'scrollable-region-focusable', 'frame-focusable-content'],
+    guidance: 'Make anything that responds to the mouse reachable and usable by keyboard: use native buttons and links, or add tabindex="0" and key handlers.',
+    example: {
+      bad: '<div onclick="openMenu()">Menu</div>',
+      good: '<button type="button" onclick="openMenu()">Menu</button>'
+    }
+  },
+  {
+    rules: ['aria-hidden-focus'],
+    guidance: 'Do not hide focusable elements with aria-hidden; remove them from the tab order too (tabindex="-1" or inert), or stop hiding them.',
+    example: {
+      bad: '<div aria-hidden="true"><a href="/more">More</a></div>',
+      good: '<div aria-hidden="true" inert><a href="/more">More</a></div>'
+    }
+  },
+  {
+    rules: ['aria-required-attr', 'aria-valid-attr', 'aria-valid-attr-value', 'aria-roles', 'aria-allowed-attr', 'aria-prohibited-attr'],
+    guidance: 'Only use ARIA roles and attributes that exist, are allowed on the element, and have valid values. A native element is usually the better fix.',
+    example: {
+      bad: '<div role="checkbox">Subscribe</div>',
+      good: '<input type="checkbox" id="sub"><label for="sub">Subscribe</label>'
+    }
+  },
+  {
+    rules: ['target-size'],
+    guidance: 'Make touch targets at least 24 by 24 CSS pixels, or leave enough space between small ones.',
+    example: {
+      bad: '.icon-link { width: 16px; height: 16px; }',
+      good: '.icon-link { min-width: 24px; min-height: 24px; }'
+    }
+  },
+  {
+    rules: ['label-content-name-mismatch', '2_5_3.F96'],
+    guidance: 'Start the accessible name with the visible label text so voice control users can activate the control by saying what they see.',
+    example: {
+      bad: '<button aria-label="Submit order">Buy now</button>',
+      good: '<button aria-label="Buy now - submit order">Buy now</button>'
+    }
+  },
+  {
+    rules: ['link-in-text-block', '1_4_1.G14,G18'],
+    guidance: 'Do not distinguish links from surrounding text by color alone; underline them or add another visual cue.',
+    example: {
+      bad: 'a { color: #0050b3; text-decoration: none; }',
+      good: 'a { color: #0050b3; text-decoration: underline; }'
+    }
+  },
+  {
+    rules: ['video-caption', 'audio-caption', '1_2_2.G87,G93'],
+    guidance: 'Add a captions track to the media element.',
+    example: {
+      bad: '<video src="intro.mp4" controls></video>',
+      good: '<video src="intro.mp4" controls>\n  <track kind="captions" src="intro.en.vtt" srclang="en" label="English">\n</video>'
+    }
+  },
+  {
+    rules: ['3_2_5.H83'],
+    guidance: 'Warn users when a link opens a new window, in the link text or an accessible label.',
+    example: {
+      bad: '<a href="/terms" target="_blank">Terms</a>',
+      good: '<a href="/terms" target="_blank">Terms (opens in a new tab)</a>'
+    }
+  }
+];
+
+// Flattened to one entry per rule
+const RULE_GUIDANCE = {};
+for (const { rules, ...entry } of GUIDANCE) {
+  for (const rule of rules) {
+    RULE_GUIDANCE[rule] = entry;
+  }
+}
+
+module.exports = { RULE_GUIDANCE };
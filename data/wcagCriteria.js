@@ -0,0 +1,545 @@
+// WCAG 2.2 success criteria (plus 4.1.1, obsolete in 2.2 but still tested by
+// HTML_CodeSniffer). `users` are keys of USER_GROUPS.
+
+const USER_GROUPS = {
+  blind: 'Blind and screen reader users',
+  'low-vision': 'People with low vision',
+  'color-blind': 'People with color vision deficiencies',
+  deaf: 'Deaf and hard of hearing people',
+  motor: 'Keyboard, switch and voice control users',
+  cognitive: 'People with cognitive, learning or language disabilities',
+  seizure: 'People with photosensitive epilepsy or vestibular disorders'
+};
+
+const PRINCIPLES = { 1: 'perceivable', 2: 'operable', 3: 'understandable', 4: 'robust' };
+
+const CRITERIA = {
+  '1.1.1': {
+    title: 'Non-text Content',
+    level: 'A',
+    users: ['blind', 'low-vision', 'cognitive'],
+    guidance: 'Give every image, icon, image button and image map area a text alternative that serves the same purpose. Mark purely decorative images so assistive technology ignores them (alt="").'
+  },
+  '1.2.1': {
+    title: 'Audio-only and Video-only (Prerecorded)',
+    level: 'A',
+    users: ['blind', 'deaf'],
+    guidance: 'Provide a transcript for audio-only content, and a transcript or audio track for video-only content.'
+  },
+  '1.2.2': {
+    title: 'Captions (Prerecorded)',
+    level: 'A',
+    users: ['deaf'],
+    guidance: 'Add synchronized captions to prerecorded video with audio, covering dialogue and meaningful sounds.'
+  },
+  '1.2.3': {
+    title: 'Audio Description or Media Alternative (Prerecorded)',
+    level: 'A',
+    users: ['blind'],
+    guidance: 'Provide audio description of important visual information in prerecorded video, or a full text alternative.'
+  },
+  '1.2.4': {
+    title: 'Captions (Live)',
+    level: 'AA',
+    users: ['deaf'],
+    guidance: 'Provide real-time captions for live audio in synchronized media.'
+  },
+  '1.2.5': {
+    title: 'Audio Description (Prerecorded)',
+    level: 'AA',
+    users: ['blind'],
+    guidance: 'Provide audio description for all prerecorded video content.'
+  },
+  '1.2.6': {
+    title: 'Sign Language (Prerecorded)',
+    level: 'AAA',
+    users: ['deaf'],
+    guidance: 'Provide sign language interpretation for prerecorded audio in synchronized media.'
+  },
+  '1.2.7': {
+    title: 'Extended Audio Description (Prerecorded)',
+    level: 'AAA',
+    users: ['blind'],
+    guidance: 'Pause the video to fit audio description where natural pauses are too short.'
+  },
+  '1.2.8': {
+    title: 'Media Alternative (Prerecorded)',
+    level: 'AAA',
+    users: ['blind', 'deaf'],
+    guidance: 'Provide a full text alternative for all prerecorded synchronized media and video-only media.'
+  },
+  '1.2.9': {
+    title: 'Audio-only (Live)',
+    level: 'AAA',
+    users: ['deaf'],
+    guidance: 'Provide a real-time text alternative, such as live captions, for live audio-only content.'
+  },
+  '1.3.1': {
+    title: 'Info and Relationships',
+    level: 'A',
+    users: ['blind', 'cognitive'],
+    guidance: 'Express structure in markup rather than only visually: real headings, lists, table headers, form labels, fieldsets and landmarks.'
+  },
+  '1.3.2': {
+    title: 'Meaningful Sequence',
+    level: 'A',
+    users: ['blind', 'cognitive'],
+    guidance: 'Keep the DOM order the same as the reading order; avoid reordering content with CSS alone.'
+  },
+  '1.3.3': {
+    title: 'Sensory Characteristics',
+    level: 'A',
+    users: ['blind', 'color-blind', 'cognitive'],
+    guidance: 'Do not rely only on shape, size, location or sound in instructions ("click the round button on the right").'
+  },
+  '1.3.4': {
+    title: 'Orientation',
+    level: 'AA',
+    users: ['motor', 'low-vision'],
+    guidance: 'Do not lock the page to portrait or landscape unless the orientation is essential.'
+  },
+  '1.3.5': {
+    title: 'Identify Input Purpose',
+    level: 'AA',
+    users: ['motor', 'cognitive'],
+    guidance: 'Use valid autocomplete values on inputs that collect information about the user (name, email, address...).'
+  },
+  '1.3.6': {
+    title: 'Identify Purpose',
+    level: 'AAA',
+    users: ['cognitive'],
+    guidance: 'Mark up the purpose of regions, icons and components (landmarks, ARIA roles) so they can be personalized.'
+  },
+  '1.4.1': {
+    title: 'Use of Color',
+    level: 'A',
+    users: ['color-blind', 'low-vision'],
+    guidance: 'Do not use color as the only way to convey information; add text, icons, patterns or underlines.'
+  },
+  '1.4.2': {
+    title: 'Audio Control',
+    level: 'A',
+    users: ['blind'],
+    guidance: 'Audio that plays automatically for more than 3 seconds must be pausable or have its own volume control.'
+  },
+  '1.4.3': {
+    title: 'Contrast (Minimum)',
+    level: 'AA',
+    users: ['low-vision', 'color-blind'],
+    guidance: 'Text needs a contrast ratio of at least 4.5:1 against its background (3:1 for large text of 24px, or 18.66px bold).'
+  },
+  '1.4.4': {
+    title: 'Resize Text',
+    level: 'AA',
+    users: ['low-vision'],
+    guidance: 'Text must resize to 200% without loss of content; use relative units and do not disable zoom.'
+  },
+  '1.4.5': {
+    title: 'Images of Text',
+    level: 'AA',
+    users: ['low-vision', 'cognitive'],
+    guidance: 'Use real text styled with CSS instead of images of text, except for logos.'
+  },
+  '1.4.6': {
+    title: 'Contrast (Enhanced)',
+    level: 'AAA',
+    users: ['low-vision', 'color-blind'],
+    guidance: 'Text needs a contrast ratio of at least 7:1 (4.5:1 for large text).'
+  },
+  '1.4.7': {
+    title: 'Low or No Background Audio',
+    level: 'AAA',
+    users: ['deaf'],
+    guidance: 'Keep background sounds in speech recordings at least 20dB quieter than the speech, or allow turning them off.'
+  },
+  '1.4.8': {
+    title: 'Visual Presentation',
+    level: 'AAA',
+    users: ['low-vision', 'cognitive'],
+    guidance: 'Let users choose colors, keep lines under 80 characters, avoid justified text and use line spacing of at least 1.5.'
+  },
+  '1.4.9': {
+    title: 'Images of Text (No Exception)',
+    level: 'AAA',
+    users: ['low-vision', 'cognitive'],
+    guidance: 'Only use images of text for decoration or where the presentation is essential.'
+  },
+  '1.4.10': {
+    title: 'Reflow',
+    level: 'AA',
+    users: ['low-vision'],
+    guidance: 'Content must reflow into a 320px wide viewport without horizontal scrolling; use responsive layouts.'
+  },
+  '1.4.11': {
+    title: 'Non-text Contrast',
+    level: 'AA',
+    users: ['low-vision', 'color-blind'],
+    guidance: 'Component boundaries, focus indicators and meaningful graphics need a contrast ratio of at least 3:1 against adjacent colors.'
+  },
+  '1.4.12': {
+    title: 'Text Spacing',
+    level: 'AA',
+    users: ['low-vision', 'cognitive'],
+    guidance: 'Content must keep working when users increase line, paragraph, letter and word spacing; avoid fixed heights and !important spacing.'
+  },
+  '1.4.13': {
+    title: 'Content on Hover or Focus',
+    level: 'AA',
+    users: ['low-vision', 'motor'],
+    guidance: 'Tooltips and popups shown on hover or focus must be dismissable (Escape), hoverable and stay visible until dismissed.'
+  },
+  '2.1.1': {
+    title: 'Keyboard',
+    level: 'A',
+    users: ['motor', 'blind'],
+    guidance: 'Every function must work with the keyboard alone; use native controls or add keyboard handlers and tabindex to custom ones.'
+  },
+  '2.1.2': {
+    title: 'No Keyboard Trap',
+    level: 'A',
+    users: ['motor', 'blind'],
+    guidance: 'Keyboard focus must be able to leave every component using standard keys.'
+  },
+  '2.1.3': {
+    title: 'Keyboard (No Exception)',
+    level: 'AAA',
+    users: ['motor', 'blind'],
+    guidance: 'All functionality must be operable through the keyboard without exception.'
+  },
+  '2.1.4': {
+    title: 'Character Key Shortcuts',
+    level: 'A',
+    users: ['motor'],
+    guidance: 'Single-character shortcuts must be remappable, possible to turn off, or active only when the component has focus.'
+  },
+  '2.2.1': {
+    title: 'Timing Adjustable',
+    level: 'A',
+    users: ['cognitive', 'motor', 'blind'],
+    guidance: 'Let users turn off, adjust or extend time limits, and do not redirect or refresh the page on a timer.'
+  },
+  '2.2.2': {
+    title: 'Pause, Stop, Hide',
+    level: 'A',
+    users: ['cognitive', 'seizure', 'low-vision'],
+    guidance: 'Moving, blinking, scrolling or auto-updating content that lasts more than 5 seconds needs a way to pause, stop or hide it.'
+  },
+  '2.2.3': {
+    title: 'No Timing',
+    level: 'AAA',
+    users: ['cognitive', 'motor'],
+    guidance: 'Avoid time limits except for real-time events.'
+  },
+  '2.2.4': {
+    title: 'Interruptions',
+    level: 'AAA',
+    users: ['cognitive', 'blind'],
+    guidance: 'Let users postpone or suppress interruptions such as automatic updates and refreshes.'
+  },
+  '2.2.5': {
+    title: 'Re-authenticating',
+    level: 'AAA',
+    users: ['cognitive', 'motor'],
+    guidance: 'Keep the user\'s data when a session expires so they can continue after logging in again.'
+  },
+  '2.2.6': {
+    title: 'Timeouts',
+    level: 'AAA',
+    users: ['cognitive'],
+    guidance: 'Warn users about inactivity timeouts that could cause data loss.'
+  },
+  '2.3.1': {
+    title: 'Three Flashes or Below Threshold',
+    level: 'A',
+    users: ['seizure'],
+    guidance: 'Nothing may flash more than three times per second.'
+  },
+  '2.3.2': {
+    title: 'Three Flashes',
+    level: 'AAA',
+    users: ['seizure'],
+    guidance: 'Nothing may flash more than three times per second, regardless of size or color.'
+  },
+  '2.3.3': {
+    title: 'Animation from Interactions',
+    level: 'AAA',
+    users: ['seizure', 'cognitive'],
+    guidance: 'Let users disable motion animation triggered by interaction; respect prefers-reduced-motion.'
+  },
+  '2.4.1': {
+    title: 'Bypass Blocks',
+    level: 'A',
+    users: ['motor', 'blind'],
+    guidance: 'Provide a skip link, landmarks or headings so users can skip repeated blocks such as navigation.'
+  },
+  '2.4.2': {
+    title: 'Page Titled',
+    level: 'A',
+    users: ['blind', 'cognitive'],
+    guidance: 'Give every page a descriptive, unique <title>.'
+  },
+  '2.4.3': {
+    title: 'Focus Order',
+    level: 'A',
+    users: ['motor', 'blind'],
+    guidance: 'Keyboard focus must move in an order that preserves meaning; avoid positive tabindex values.'
+  },
+  '2.4.4': {
+    title: 'Link Purpose (In Context)',
+    level: 'A',
+    users: ['blind', 'cognitive'],
+    guidance: 'Make the purpose of each link clear from its text, or from its text together with its surrounding context.'
+  },
+  '2.4.5': {
+    title: 'Multiple Ways',
+    level: 'AA',
+    users: ['cognitive', 'blind'],
+    guidance: 'Offer more than one way to find a page: navigation, search, a site map or related links.'
+  },
+  '2.4.6': {
+    title: 'Headings and Labels',
+    level: 'AA',
+    users: ['blind', 'cognitive'],
+    guidance: 'Headings and labels must describe the topic or purpose of what they introduce.'
+  },
+  '2.4.7': {
+    title: 'Focus Visible',
+    level: 'AA',
+    users: ['motor', 'low-vision'],
+    guidance: 'Keep a visible focus indicator on every focusable element; never remove outlines without a replacement.'
+  },
+  '2.4.8': {
+    title: 'Location',
+    level: 'AAA',
+    users: ['cognitive'],
+    guidance: 'Show users where they are within the site, for example with breadcrumbs or by highlighting the current page in navigation.'
+  },
+  '2.4.9': {
+    title: 'Link Purpose (Link Only)',
+    level: 'AAA',
+    users: ['blind', 'cognitive'],
+    guidance: 'Make the purpose of each link clear from the link text alone.'
+  },
+  '2.4.10': {
+    title: 'Section Headings',
+    level: 'AAA',
+    users: ['blind', 'cognitive'],
+    guidance: 'Use headings to organize content into sections.'
+  },
+  '2.4.11': {
+    title: 'Focus Not Obscured (Minimum)',
+    level: 'AA',
+    users: ['motor', 'low-vision'],
+    guidance: 'A focused element must not be entirely hidden by sticky headers, footers or overlays.'
+  },
+  '2.4.12': {
+    title: 'Focus Not Obscured (Enhanced)',
+    level: 'AAA',
+    users: ['motor', 'low-vision'],
+    guidance: 'No part of a focused element may be hidden by author-created content.'
+  },
+  '2.4.13': {
+    title: 'Focus Appearance',
+    level: 'AAA',
+    users: ['motor', 'low-vision'],
+    guidance: 'Focus indicators must be at least a 2px thick perimeter with a 3:1 contrast change.'
+  },
+  '2.5.1': {
+    title: 'Pointer Gestures',
+    level: 'A',
+    users: ['motor'],
+    guidance: 'Functions that use multipoint or path-based gestures must also work with a single pointer without a path.'
+  },
+  '2.5.2': {
+    title: 'Pointer Cancellation',
+    level: 'A',
+    users: ['motor'],
+    guidance: 'Trigger actions on the up event (click) rather than the down event, so users can abort by moving away.'
+  },
+  '2.5.3': {
+    title: 'Label in Name',
+    level: 'A',
+    users: ['motor', 'blind'],
+    guidance: 'The accessible name of a control must contain its visible label text, so voice control users can say what they see.'
+  },
+  '2.5.4': {
+    title: 'Motion Actuation',
+    level: 'A',
+    users: ['motor'],
+    guidance: 'Functions triggered by shaking or tilting the device must also have a UI control, and motion must be possible to turn off.'
+  },
+  '2.5.5': {
+    title: 'Target Size (Enhanced)',
+    level: 'AAA',
+    users: ['motor'],
+    guidance: 'Pointer targets should be at least 44 by 44 CSS pixels.'
+  },
+  '2.5.6': {
+    title: 'Concurrent Input Mechanisms',
+    level: 'AAA',
+    users: ['motor'],
+    guidance: 'Do not restrict users to one input method (touch, mouse or keyboard).'
+  },
+  '2.5.7': {
+    title: 'Dragging Movements',
+    level: 'AA',
+    users: ['motor'],
+    guidance: 'Anything done by dragging must also be possible with single clicks or taps.'
+  },
+  '2.5.8': {
+    title: 'Target Size (Minimum)',
+    level: 'AA',
+    users: ['motor'],
+    guidance: 'Pointer targets must be at least 24 by 24 CSS pixels, or have enough spacing around them.'
+  },
+  '3.1.1': {
+    title: 'Language of Page',
+    level: 'A',
+    users: ['blind', 'cognitive'],
+    guidance: 'Set a valid lang attribute on the <html> element so screen readers use the right pronunciation.'
+  },
+  '3.1.2': {
+    title: 'Language of Parts',
+    level: 'AA',
+    users: ['blind', 'cognitive'],
+    guidance: 'Mark passages in another language with a valid lang attribute.'
+  },
+  '3.1.3': {
+    title: 'Unusual Words',
+    level: 'AAA',
+    users: ['cognitive'],
+    guidance: 'Explain idioms, jargon and unusual words, for example with a glossary or <dfn>.'
+  },
+  '3.1.4': {
+    title: 'Abbreviations',
+    level: 'AAA',
+    users: ['cognitive', 'blind'],
+    guidance: 'Expand abbreviations on first use or mark them up with <abbr title="...">.'
+  },
+  '3.1.5': {
+    title: 'Reading Level',
+    level: 'AAA',
+    users: ['cognitive'],
+    guidance: 'Provide simpler supplementary content when text needs more than lower secondary education reading ability.'
+  },
+  '3.1.6': {
+    title: 'Pronunciation',
+    level: 'AAA',
+    users: ['cognitive', 'blind'],
+    guidance: 'Provide pronunciation where the meaning of words depends on it, for example with <ruby>.'
+  },
+  '3.2.1': {
+    title: 'On Focus',
+    level: 'A',
+    users: ['blind', 'motor', 'cognitive'],
+    guidance: 'Moving focus to a component must not change the context (open windows, submit forms, move focus).'
+  },
+  '3.2.2': {
+    title: 'On Input',
+    level: 'A',
+    users: ['blind', 'motor', 'cognitive'],
+    guidance: 'Changing a setting must not change the context unless users are told beforehand; give forms a submit button.'
+  },
+  '3.2.3': {
+    title: 'Consistent Navigation',
+    level: 'AA',
+    users: ['cognitive', 'blind'],
+    guidance: 'Repeated navigation must appear in the same relative order on every page.'
+  },
+  '3.2.4': {
+    title: 'Consistent Identification',
+    level: 'AA',
+    users: ['cognitive', 'blind'],
+    guidance: 'Components with the same function must be identified consistently across pages.'
+  },
+  '3.2.5': {
+    title: 'Change on Request',
+    level: 'AAA',
+    users: ['cognitive', 'blind'],
+    guidance: 'Only change the context when the user asks for it; warn before opening new windows.'
+  },
+  '3.2.6': {
+    title: 'Consistent Help',
+    level: 'A',
+    users: ['cognitive'],
+    guidance: 'Help mechanisms repeated across pages must appear in the same relative order.'
+  },
+  '3.3.1': {
+    title: 'Error Identification',
+    level: 'A',
+    users: ['blind', 'cognitive'],
+    guidance: 'Identify input errors in text, tied to the field in error (aria-describedby, aria-invalid).'
+  },
+  '3.3.2': {
+    title: 'Labels or Instructions',
+    level: 'A',
+    users: ['blind', 'cognitive'],
+    guidance: 'Provide visible labels or instructions for every input, including required formats.'
+  },
+  '3.3.3': {
+    title: 'Error Suggestion',
+    level: 'AA',
+    users: ['cognitive', 'blind'],
+    guidance: 'When an error is detected and a correction is known, suggest it to the user.'
+  },
+  '3.3.4': {
+    title: 'Error Prevention (Legal, Financial, Data)',
+    level: 'AA',
+    users: ['cognitive', 'motor'],
+    guidance: 'Submissions with legal or financial consequences must be reversible, checked or confirmed.'
+  },
+  '3.3.5': {
+    title: 'Help',
+    level: 'AAA',
+    users: ['cognitive'],
+    guidance: 'Provide context-sensitive help for forms.'
+  },
+  '3.3.6': {
+    title: 'Error Prevention (All)',
+    level: 'AAA',
+    users: ['cognitive', 'motor'],
+    guidance: 'All submissions must be reversible, checked or confirmed.'
+  },
+  '3.3.7': {
+    title: 'Redundant Entry',
+    level: 'A',
+    users: ['cognitive', 'motor'],
+    guidance: 'Do not ask for information already entered in the same process; prefill it or let users select it.'
+  },
+  '3.3.8': {
+    title: 'Accessible Authentication (Minimum)',
+    level: 'AA',
+    users: ['cognitive'],
+    guidance: 'Do not require cognitive function tests to log in; allow password managers and paste.'
+  },
+  '3.3.9': {
+    title: 'Accessible Authentication (Enhanced)',
+    level: 'AAA',
+    users: ['cognitive'],
+    guidance: 'Do not require any cognitive function test, including object or personal content recognition, to log in.'
+  },
+  '4.1.1': {
+    title: 'Parsing',
+    level: 'A',
+    users: ['blind'],
+    guidance: 'Avoid duplicate IDs and malformed markup that assistive technology may misinterpret. (Obsolete in WCAG 2.2.)'
+  },
+  '4.1.2': {
+    title: 'Name, Role, Value',
+    level: 'A',
+    users: ['blind', 'motor'],
+    guidance: 'Every control needs an accessible name and the right role, and its states must be exposed. Prefer native HTML elements over ARIA.'
+  },
+  '4.1.3': {
+    title: 'Status Messages',
+    level: 'AA',
+    users: ['blind'],
+    guidance: 'Announce status messages without moving focus, using role="status", role="alert" or aria-live.'
+  }
+};
+
+module.exports = {
+  USER_GROUPS,
+  PRINCIPLES,
+  CRITERIA
+};
@@ -1,21 +1,67 @@
-
 const express = require('express');
 const cors = require('cors');
-const pa11y = require('pa11y');
-const puppeteer = require('puppeteer');
 const dotenv = require('dotenv');
 const mongoose = require('mongoose');
-const nodemailer = require('nodemailer');
 const connectDB = require('./db');
+const { transporter } = require('./services/mailer');
+const Scan = require('./models/Scan');
+const Project = require('./models/Project');
+const { MAX_PROJECT_URLS } = require('./models/Project');
+const IssueTriage = require('./models/IssueTriage');
+const { TRIAGE_STATUSES } = require('./models/IssueTriage');
+const { enqueueScan, startScanWorkers, scanEvents, getQueueStats } = require('./services/scanQueue');
+const { getPoolStats } = require('./services/browserPool');
+const { parseScanOptions, parseDeviceList } = require('./services/scanOptions');
+const { diffScans, fingerprintIssue, compareDevices } = require('./services/scanDiff');
+const { triageScope, rescoreScans, attachTriage } = require('./services/triage');
+const { REPORT_FORMATS, renderReport } = require('./services/report');
+const { attachRules } = require('./services/ruleCatalog');
+const { readScreenshot, deleteScanScreenshots } = require('./services/screenshots');
+const { validateScanAuth } = require('./services/scanAuth');
+const { checkUrl } = require('./services/urlPolicy');
+const { HTML_BODY_LIMIT, parseHtmlSource, htmlSourceId } = require('./services/htmlScans');
+const { scanRateLimit, planOf, checkScanQuota, sendLimitError } = require('./services/usage');
+const { startSiteScan, startSiteScanMonitor, MAX_CRAWL_DEPTH, MAX_CRAWL_PAGES } = require('./services/siteScans');
+const { startScheduler } = require('./services/scheduler');
+const { startBatchMonitor } = require('./services/batches');
+const { startWebhookWorker } = require('./services/webhooks');
+const { hasRole, getTeamRole, getProjectAccess, scanAccessFilter } = require('./services/permissions');
 const authRoutes = require('./routes/auth');
+const siteScanRoutes = require('./routes/siteScans');
+const scheduleRoutes = require('./routes/schedules');
+const credentialRoutes = require('./routes/credentials');
+const apiKeyRoutes = require('./routes/apiKeys');
+const ciRoutes = require('./routes/ci');
+const teamRoutes = require('./routes/teams');
+const projectRoutes = require('./routes/projects');
+const triageRoutes = require('./routes/triage');
+const scoringRoutes = require('./routes/scoring');
+const ruleRoutes = require('./routes/rules');
+const deviceRoutes = require('./routes/devices');
+const toolRoutes = require('./routes/tools');
+const batchRoutes = require('./routes/batches');
+const webhookRoutes = require('./routes/webhooks');
+const adminRoutes = require('./routes/admin');
+const usageRoutes = require('./routes/usage');
 const { authenticateToken } = require('./routes/auth');
 
 dotenv.config();
 connectDB();
+startScanWorkers();
+startSiteScanMonitor();
+startBatchMonitor();
+startScheduler();
+startWebhookWorker();
 
 
 const app = express();
 
+// Behind a reverse proxy (e.g. Render), TRUST_PROXY=1 makes req.ip the
+// client's address, as recorded on login sessions
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // FIXED: Proper CORS configuration
 app.use(cors({
   origin: [
@@ -24,125 +70,55 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
+// Submitted HTML can be larger than the default JSON body limit
+app.use('/scan/html', express.json({ limit: HTML_BODY_LIMIT }));
 app.use(express.json());
 
-// Email configuration
-const emailConfig = {
-  host: process.env.SMTP_HOST || 'smtp.gmail.com',
-  port: process.env.SMTP_PORT || 587,
-  secure: false,
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
-  }
-};
-
-// Create transporter (only if email credentials are provided)
-let transporter = null;
-if (process.env.SMTP_USER && process.env.SMTP_PASS) {
-  transporter = nodemailer.createTransporter(emailConfig);
-}
-
-// MongoDB Schema for storing scan results
-const scanSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  url: { type: String, required: true },
-  issues: { type: Number, required: true },
-  issueDetails: {
-    type: [{
-      id: { type: Number, required: true },
-      type: { type: String, required: true },
-      description: { type: String, required: true },
-      severity: { type: String, required: true },
-      selector: { type: String, default: '' },
-      message: { type: String, default: '' },
-      code: { type: String, default: '' },
-      context: { type: String, default: '' },
-      runner: { type: String, default: '' }
-    }],
-    default: []
-  },
-  score: { type: Number, required: true },
-  status: { type: String, default: 'completed' },
-  timestamp: { type: Date, default: Date.now },
-  scanDuration: Number,
-  pageTitle: String,
-  pageDescription: String
-});
-
-const Scan = mongoose.model('Scan', scanSchema);
-
-// Helper function to convert WCAG codes to readable types
-function getReadableIssueType(wcagCode) {
-  const codeMap = {
-    'H37': 'Missing Image Alt Text',
-    'H91': 'Missing Form Label',
-    'F77': 'Duplicate Element ID',
-    'G18': 'Insufficient Color Contrast',
-    'H64.1': 'Missing Iframe Title',
-    'H42': 'Improper Heading Structure',
-    'F43': 'Missing Table Headers',
-    'H32.2': 'Missing Form Submit Button',
-    'SC1_3_1_A': 'Missing Semantic Structure',
-    'SC2_4_1_A': 'Invalid HTML Structure',
-    'F68': 'Missing Form Labels',
-    'H25': 'Missing Page Title',
-    'H57': 'Missing Language Attribute',
-    'F40': 'Meta Refresh Redirect',
-    'H88': 'Proper HTML Structure'
-  };
-  
-  // Extract code from full WCAG string like "WCAG2AA.Principle1.Guideline1_1.1_1_1.H37"
-  const matches = wcagCode.match(/\.([A-Z]\d+(?:\.\d+)?)/g);
-  if (matches) {
-    const shortCode = matches[matches.length - 1].substring(1);
-    return codeMap[shortCode] || 'Accessibility Issue';
-  }
-  
-  // Try to match the short code directly
-  const directMatch = Object.keys(codeMap).find(code => wcagCode.includes(code));
-  if (directMatch) {
-    return codeMap[directMatch];
-  }
-  
-  return 'Accessibility Issue';
-}
-
 // Routes
 app.get('/', (req, res) => {
   res.send('✅ Accessibility API is running. Use POST /scan to scan a website.');
 });
 
-// Add health check endpoint for frontend to wake up service
+// Add health check endpoint for frontend to wake up service. Also reports
+// scan queue and browser pool metrics.
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    message: 'Service is healthy' 
+    message: 'Service is healthy',
+    scanQueue: getQueueStats(),
+    browserPool: getPoolStats()
   });
 });
 
-// Get all scans for the current user with pagination and filtering
+// Get all scans the current user can see (own and shared through projects;
+// ?projectId= limits the list to one project) with pagination and filtering
 app.get('/scans', authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 50, days = 30 } = req.query;
+    const { page = 1, limit = 50, days = 30, projectId } = req.query;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
 
+    const access = await scanAccessFilter(req.user.id, { projectId });
+    if (!access) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
     const scans = await Scan.find({
-      userId: req.user.id,
+      ...access,
       timestamp: { $gte: startDate }
     })
     .sort({ timestamp: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit)
-    .select('-issueDetails'); // Exclude detailed issues for performance
+    .select('-issueDetails -html.markup -html.css'); // Exclude detailed issues and submitted HTML for performance
 
     const total = await Scan.countDocuments({
-      userId: req.user.id,
+      ...access,
       timestamp: { $gte: startDate }
     });
 
@@ -161,18 +137,84 @@ app.get('/scans', authenticateToken, async (req, res) => {
   }
 });
 
-// Get dashboard statistics for the current user
+// Compare two scans: GET /scans/compare?base=<id>&head=<id>
+app.get('/scans/compare', authenticateToken, async (req, res) => {
+  try {
+    const { base: baseId, head: headId } = req.query;
+
+    if (!mongoose.isValidObjectId(baseId) || !mongoose.isValidObjectId(headId)) {
+      return res.status(400).json({ error: 'base and head must be valid scan IDs.' });
+    }
+
+    const access = await scanAccessFilter(req.user.id);
+    const [base, head] = await Promise.all([
+      Scan.findOne({ _id: baseId, ...access }),
+      Scan.findOne({ _id: headId, ...access })
+    ]);
+
+    if (!base || !head) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    if (base.status !== 'completed' || head.status !== 'completed') {
+      return res.status(409).json({ error: 'Both scans must be completed before they can be compared.' });
+    }
+
+    res.json(diffScans(base, head));
+  } catch (error) {
+    console.error('Error comparing scans:', error);
+    res.status(500).json({ error: 'Failed to compare scans.' });
+  }
+});
+
+// Compare the scans of a multi-device request (POST /scan with `devices`):
+// which issues appear on every device and which only at some breakpoints
+app.get('/scans/responsive/:groupId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.groupId)) {
+      return res.status(400).json({ error: 'Invalid responsive group ID.' });
+    }
+
+    const scans = await Scan.find({
+      responsiveGroupId: req.params.groupId,
+      ...await scanAccessFilter(req.user.id)
+    }).sort({ _id: 1 });
+
+    if (!scans.length) {
+      return res.status(404).json({ error: 'Responsive scan group not found' });
+    }
+
+    res.json({
+      responsiveGroupId: req.params.groupId,
+      url: scans[0].url,
+      projectId: scans[0].projectId,
+      ...compareDevices(scans)
+    });
+  } catch (error) {
+    console.error('Error comparing devices:', error);
+    res.status(500).json({ error: 'Failed to compare devices.' });
+  }
+});
+
+// Get dashboard statistics for the current user (or ?projectId=)
 app.get('/stats', authenticateToken, async (req, res) => {
   try {
-    const { days = 30 } = req.query;
+    const { days = 30, projectId } = req.query;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
 
+    const access = await scanAccessFilter(req.user.id, { projectId });
+    if (!access) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
     const stats = await Scan.aggregate([
       {
         $match: {
-          userId: new mongoose.Types.ObjectId(req.user.id),
-          timestamp: { $gte: startDate }
+          ...access,
+          timestamp: { $gte: startDate },
+          // Queued and in-flight scans have no score yet
+          status: { $nin: ['pending', 'running'] }
         }
       },
       {
@@ -209,18 +251,25 @@ app.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
-// Get scan activity over time for the current user
+// Get scan activity over time for the current user (or ?projectId=)
 app.get('/activity', authenticateToken, async (req, res) => {
   try {
-    const { days = 30 } = req.query;
+    const { days = 30, projectId } = req.query;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
 
+    const access = await scanAccessFilter(req.user.id, { projectId });
+    if (!access) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
     const activity = await Scan.aggregate([
       {
         $match: {
-          userId: new mongoose.Types.ObjectId(req.user.id),
-          timestamp: { $gte: startDate }
+          ...access,
+          timestamp: { $gte: startDate },
+          // Queued and in-flight scans have no score yet
+          status: { $nin: ['pending', 'running'] }
         }
       },
       {
@@ -254,206 +303,688 @@ app.get('/activity', authenticateToken, async (req, res) => {
   }
 });
 
-// Get specific scan by ID for the current user
+// Get specific scan by ID (also used to poll queued scans). Team members
+// can read the scans of their projects.
 app.get('/scan/:id', authenticateToken, async (req, res) => {
   try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid scan ID.' });
+    }
+
     const scan = await Scan.findOne({ 
       _id: req.params.id, 
-      userId: req.user.id 
+      ...await scanAccessFilter(req.user.id)
     });
     if (!scan) {
       return res.status(404).json({ error: 'Scan not found' });
     }
-    res.json(scan);
+
+    const result = await attachTriage(scan);
+    result.issueDetails = attachRules(result.issueDetails);
+    res.json(result);
   } catch (error) {
     console.error('Error fetching scan:', error);
     res.status(500).json({ error: 'Failed to fetch scan details.' });
   }
 });
 
-// Perform accessibility scan - UPDATED FOR RENDER
-app.post('/scan', authenticateToken, async (req, res) => {
-  const { url, scanType = 'full', deviceType = 'desktop' } = req.body;
+// EventSource cannot send headers, so the event stream also accepts the
+// token as ?token=
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && !req.headers['x-api-key'] && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// How often the event stream checks the database, for scans running in
+// another server process
+const SCAN_EVENTS_POLL_INTERVAL = 5000;
+
+// Live progress of a scan as Server-Sent Events: a 'snapshot' event with the
+// current state, 'progress' events (partial results after each runner), and
+// a final 'completed' or 'failed' event, after which the stream ends
+app.get('/scan/:id/events', tokenFromQuery, authenticateToken, async (req, res) => {
+  let scan;
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid scan ID.' });
+    }
+
+    scan = await Scan.findOne({
+      _id: req.params.id,
+      ...await scanAccessFilter(req.user.id)
+    }).select('url status progress score issues error');
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+  } catch (error) {
+    console.error('Error opening scan events:', error);
+    return res.status(500).json({ error: 'Failed to open scan events.' });
+  }
+
+  const scanId = String(scan._id);
+  const isFinished = current => ['completed', 'failed'].includes(current.status);
+  const resultOf = current => ({
+    status: current.status,
+    score: current.score,
+    issues: current.issues,
+    error: current.error,
+    progress: current.progress
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.write('retry: 5000\n\n');
+  send('snapshot', { id: scanId, url: scan.url, ...resultOf(scan) });
+  if (isFinished(scan)) {
+    send(scan.status, resultOf(scan));
+    return res.end();
+  }
+
+  let lastUpdate = new Date(scan.progress.updatedAt).getTime();
+  let closed = false;
+
+  const onProgress = ({ scanId: id, progress }) => {
+    if (id !== scanId) return;
+    lastUpdate = new Date(progress.updatedAt).getTime();
+    send('progress', progress);
+  };
+  const onFinished = finished => {
+    if (String(finished._id) !== scanId) return;
+    send(finished.status, resultOf(finished));
+    close();
+  };
+
+  const poll = setInterval(async () => {
+    res.write(': keep-alive\n\n');
+    try {
+      const current = await Scan.findById(scanId).select('status progress score issues error');
+      if (closed) return;
+      if (!current) {
+        send('failed', { status: 'failed', error: 'The scan was deleted' });
+        return close();
+      }
+      if (isFinished(current)) return onFinished(current);
+      if (new Date(current.progress.updatedAt).getTime() > lastUpdate) {
+        onProgress({ scanId, progress: current.progress });
+      }
+    } catch (error) {
+      console.error('Error polling scan events:', error.message);
+    }
+  }, SCAN_EVENTS_POLL_INTERVAL);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(poll);
+    scanEvents.off('progress', onProgress);
+    scanEvents.off('completed', onFinished);
+    scanEvents.off('failed', onFinished);
+    res.end();
+  }
+
+  scanEvents.on('progress', onProgress);
+  scanEvents.on('completed', onFinished);
+  scanEvents.on('failed', onFinished);
+  req.on('close', close);
+});
+
+// Compare a scan with the previous completed scan of the same URL
+app.get('/scan/:id/compare-previous', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid scan ID.' });
+    }
+
+    const head = await Scan.findOne({ _id: req.params.id, ...await scanAccessFilter(req.user.id) });
+    if (!head) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    if (head.status !== 'completed') {
+      return res.status(409).json({ error: 'The scan must be completed before it can be compared.' });
+    }
+
+    // Compare within the same history (the project's, or the user's own)
+    // and on the same device
+    const base = await Scan.findOne({
+      ...(head.projectId ? { projectId: head.projectId } : { userId: head.userId, projectId: null }),
+      url: head.url,
+      'options.deviceType': head.options.deviceType,
+      status: 'completed',
+      timestamp: { $lt: head.timestamp }
+    }).sort({ timestamp: -1 });
+
+    if (!base) {
+      return res.status(404).json({ error: 'No earlier completed scan of this URL to compare with.' });
+    }
+
+    res.json(diffScans(base, head));
+  } catch (error) {
+    console.error('Error comparing with previous scan:', error);
+    res.status(500).json({ error: 'Failed to compare scans.' });
+  }
+});
+
+// Download a scan report: GET /scan/:id/report?format=pdf|csv|json|sarif|junit
+app.get('/scan/:id/report', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid scan ID.' });
+    }
+
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${REPORT_FORMATS.join(', ')}.` });
+    }
+
+    const scan = await Scan.findOne({ _id: req.params.id, ...await scanAccessFilter(req.user.id) });
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    if (scan.status !== 'completed') {
+      return res.status(409).json({ error: 'Reports are only available for completed scans.' });
+    }
+
+    const { body, contentType, extension } = await renderReport(scan, format);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="a11ycheck-report-${scan._id}.${extension}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Error generating report:', error);
+    res.status(500).json({ error: 'Failed to generate report.' });
+  }
+});
+
+// Serve a stored screenshot of a scan (the page, or one issue)
+async function sendScreenshot(res, screenshotId) {
+  const image = screenshotId ? await readScreenshot(screenshotId) : null;
+  if (!image) {
+    return res.status(404).json({ error: 'Screenshot not found' });
+  }
+  res.set('Content-Type', 'image/jpeg');
+  res.set('Cache-Control', 'private, max-age=86400');
+  res.send(image);
+}
+
+// Highlighted full-page screenshot of a scan
+app.get('/scan/:id/screenshot', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid scan ID.' });
+    }
+
+    const scan = await Scan.findOne({ _id: req.params.id, ...await scanAccessFilter(req.user.id) }).select('pageScreenshotId');
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    await sendScreenshot(res, scan.pageScreenshotId);
+  } catch (error) {
+    console.error('Error fetching screenshot:', error);
+    res.status(500).json({ error: 'Failed to fetch screenshot.' });
+  }
+});
+
+// Cropped screenshot of the element behind one issue
+app.get('/scan/:id/issues/:issueId/screenshot', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid scan ID.' });
+    }
+
+    const scan = await Scan.findOne({ _id: req.params.id, ...await scanAccessFilter(req.user.id) }).select('issueDetails');
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    const issue = scan.issueDetails.find(detail => String(detail.id) === req.params.issueId);
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    await sendScreenshot(res, issue.screenshotId);
+  } catch (error) {
+    console.error('Error fetching issue screenshot:', error);
+    res.status(500).json({ error: 'Failed to fetch screenshot.' });
+  }
+});
+
+// Load a scan issue for triage. Returns { scan, issue, role } or sends the
+// error response and returns null.
+async function loadTriageTarget(req, res, minRole) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid scan ID.' });
+    return null;
+  }
+
+  const scan = await Scan.findOne({ _id: req.params.id, ...await scanAccessFilter(req.user.id) });
+  if (!scan) {
+    res.status(404).json({ error: 'Scan not found' });
+    return null;
+  }
+
+  const issue = scan.issueDetails.find(detail => String(detail.id) === req.params.issueId);
+  if (!issue) {
+    res.status(404).json({ error: 'Issue not found' });
+    return null;
+  }
+
+  const access = scan.projectId ? await getProjectAccess(req.user.id, scan.projectId) : null;
+  const role = access ? access.role : 'owner';
+  if (!hasRole(role, minRole)) {
+    res.status(403).json({ error: `Triaging project issues requires the ${minRole} role.` });
+    return null;
+  }
+
+  return { scan, issue: issue.toObject(), project: access && access.project };
+}
+
+// Find or create the triage record for an issue (shared by all scans of the URL)
+function findOrCreateTriage(scan, issue, userId) {
+  const fingerprint = issue.fingerprint || fingerprintIssue(issue);
+  return IssueTriage.findOneAndUpdate(
+    { ...triageScope(scan), url: scan.url, fingerprint },
+    {
+      $setOnInsert: {
+        code: issue.code,
+        selector: issue.selector,
+        severity: issue.severity,
+        type: issue.type,
+        updatedBy: userId
+      }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// Set the triage status and/or assignee of an issue. The state applies to
+// this issue in every scan of the URL, past and future.
+app.put('/scan/:id/issues/:issueId/triage', authenticateToken, async (req, res) => {
+  try {
+    const target = await loadTriageTarget(req, res, 'editor');
+    if (!target) return;
+    const { scan, issue, project } = target;
+    const { status, assigneeId, comment } = req.body;
+
+    if (status !== undefined && !TRIAGE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${TRIAGE_STATUSES.join(', ')}.` });
+    }
+    if (comment !== undefined && (typeof comment !== 'string' || !comment.trim() || comment.length > 2000)) {
+      return res.status(400).json({ error: 'comment must be a non-empty string of at most 2000 characters.' });
+    }
+    if (assigneeId !== undefined && assigneeId !== null) {
+      // Only people who can see the issue can be assigned to it
+      const allowed = project
+        ? mongoose.isValidObjectId(assigneeId) && await getTeamRole(project.teamId, assigneeId)
+        : String(assigneeId) === String(scan.userId);
+      if (!allowed) {
+        return res.status(400).json({ error: 'The assignee must be able to access this scan.' });
+      }
+    }
+
+    const triage = await findOrCreateTriage(scan, issue, req.user.id);
+    const wasFalsePositive = triage.status === 'false_positive';
+
+    if (status !== undefined) triage.status = status;
+    if (assigneeId !== undefined) triage.assigneeId = assigneeId;
+    if (comment !== undefined) triage.comments.push({ userId: req.user.id, body: comment.trim() });
+    triage.updatedBy = req.user.id;
+    await triage.save();
+
+    // False positives are left out of scores, so rescore the URL's history
+    if (wasFalsePositive !== (triage.status === 'false_positive')) {
+      await rescoreScans(triageScope(scan), scan.url);
+    }
+
+    res.json(triage);
+  } catch (error) {
+    console.error('Error updating triage:', error);
+    res.status(500).json({ error: 'Failed to update issue triage.' });
+  }
+});
+
+// Triage state and comments of an issue
+app.get('/scan/:id/issues/:issueId/triage', authenticateToken, async (req, res) => {
+  try {
+    const target = await loadTriageTarget(req, res, 'viewer');
+    if (!target) return;
+    const { scan, issue } = target;
+
+    const triage = await IssueTriage.findOne({
+      ...triageScope(scan),
+      url: scan.url,
+      fingerprint: issue.fingerprint || fingerprintIssue(issue)
+    }).populate('assigneeId comments.userId', 'username name');
+
+    res.json(triage || { status: 'open', assigneeId: null, comments: [] });
+  } catch (error) {
+    console.error('Error fetching triage:', error);
+    res.status(500).json({ error: 'Failed to fetch issue triage.' });
+  }
+});
+
+// Comment on an issue (viewers included)
+app.post('/scan/:id/issues/:issueId/comments', authenticateToken, async (req, res) => {
+  try {
+    const target = await loadTriageTarget(req, res, 'viewer');
+    if (!target) return;
+
+    const { body } = req.body;
+    if (typeof body !== 'string' || !body.trim() || body.length > 2000) {
+      return res.status(400).json({ error: 'body must be a non-empty string of at most 2000 characters.' });
+    }
+
+    const triage = await findOrCreateTriage(target.scan, target.issue, req.user.id);
+    triage.comments.push({ userId: req.user.id, body: body.trim() });
+    await triage.save();
+
+    res.status(201).json(triage.comments[triage.comments.length - 1]);
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    res.status(500).json({ error: 'Failed to add comment.' });
+  }
+});
+
+// List a scanned URL in its project while the project has room for more.
+// Called once the scan is queued; a failure here doesn't undo the scan.
+async function addProjectUrl(projectId, url) {
+  try {
+    await Project.updateOne(
+      { _id: projectId, [`urls.${MAX_PROJECT_URLS - 1}`]: { $exists: false } },
+      { $addToSet: { urls: url } }
+    );
+  } catch (error) {
+    console.error('Error adding URL to project:', error);
+  }
+}
+
+// Queue an accessibility scan. The scan runs in the background worker pool;
+// follow GET /scan/:id/events, or poll GET /scan/:id until status is
+// 'completed' or 'failed'.
+// With mode: 'crawl' the URL is the start of a site crawl instead; poll
+// GET /site-scans/:id for the combined result.
+app.post('/scan', authenticateToken, scanRateLimit, async (req, res) => {
+  const { url, mode = 'single' } = req.body;
   
   if (!url || typeof url !== 'string') {
     return res.status(400).json({ error: 'A valid URL is required.' });
   }
 
-  // Validate URL format
+  // Only public http(s) targets (see services/urlPolicy.js)
   try {
-    new URL(url);
-  } catch (urlError) {
-    return res.status(400).json({ error: 'Invalid URL format. Please include http:// or https://' });
+    const target = await checkUrl(url);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error, code: target.code });
+    }
+  } catch (error) {
+    console.error('Error checking scan URL:', error);
+    return res.status(500).json({ error: 'Failed to queue scan. Please try again.' });
   }
 
-  try {
-    const startTime = Date.now();
-    
-   // Enhanced pa11y options for Render deployment
-const pa11yOptions = {
-  standard: 'WCAG2AA',
-  includeNotices: false,
-  includeWarnings: true,
-  timeout: scanType === 'quick' ? 25000 : 45000,
-  wait: scanType === 'quick' ? 1000 : 2000,
-  
-  // Optimized Puppeteer config for Render
-  chromeLaunchConfig: {
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--disable-web-security',
-      '--disable-features=VizDisplayCompositor',
-      '--disable-backgrounding-occluded-windows',
-      '--disable-renderer-backgrounding',
-      '--disable-field-trial-config',
-      '--disable-back-forward-cache',
-      '--disable-hang-monitor',
-      '--disable-ipc-flooding-protection',
-      '--disable-background-timer-throttling',
-      '--memory-pressure-off',
-      '--max_old_space_size=4096',
-      '--single-process',
-      '--no-zygote',
-      ...(deviceType === 'mobile' ? [
-        '--user-agent=Mozilla/5.0 (iPhone; CPU iPhone OS 14_7_1 like Mac OS X) AppleWebKit/605.1.15'
-      ] : [])
-    ],
-    headless: 'new'
-  },
-  
-  viewport: deviceType === 'mobile' ? {
-    width: 375,
-    height: 667,
-    deviceScaleFactor: 2,
-    isMobile: true
-  } : {
-    width: 1280,
-    height: 1024
-  }
-};
-
-    console.log(`Starting ${scanType} scan for ${deviceType} on: ${url}`);
-    console.log('Environment:', process.env.NODE_ENV);
-    
-    // Run Pa11y scan
-    const results = await pa11y(url, pa11yOptions);
+  // Engines, WCAG standard, ignored rules and included/hidden elements
+  const { options: scanOptions, error: optionsError } = parseScanOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
 
-    const endTime = Date.now();
-    const scanDuration = endTime - startTime;
+  // Several devices at once: one scan per device, compared with
+  // GET /scans/responsive/:groupId
+  let devices = null;
+  if (req.body.devices !== undefined) {
+    const parsed = parseDeviceList(req.body.devices);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    devices = parsed.devices;
+  }
+
+  // Optional login details: inline (stored encrypted) or a saved credential
+  let auth;
+  try {
+    const authCheck = await validateScanAuth(req.user.id, scanOptions, req.body.auth);
+    if (authCheck.error) {
+      return res.status(authCheck.status).json({ error: authCheck.error });
+    }
+    auth = authCheck.auth;
+  } catch (error) {
+    console.error('Error checking scan credentials:', error);
+    return res.status(500).json({ error: 'Failed to queue scan. Please try again.' });
+  }
 
-    console.log(`Pa11y found ${results.issues.length} issues`);
+  if (!['single', 'crawl'].includes(mode)) {
+    return res.status(400).json({ error: 'mode must be "single" or "crawl".' });
+  }
 
-    // Process issues with proper validation and mapping to frontend structure
-    const processedIssues = results.issues.map((issue, index) => ({
-      id: index + 1,
-      type: getReadableIssueType(issue.code),
-      description: String(issue.message || 'No description available'),
-      severity: String(issue.type || 'warning'),
-      selector: String(issue.selector || ''),
-      message: String(issue.message || ''),
-      code: String(issue.code || ''),
-      context: String(issue.context || ''),
-      runner: String(issue.runner || 'pa11y')
-    }));
+  if (devices && mode === 'crawl') {
+    return res.status(400).json({ error: 'devices can only be used with mode "single".' });
+  }
 
-    // Validate that processedIssues is an array
-    if (!Array.isArray(processedIssues)) {
-      console.error('Processed issues is not an array:', typeof processedIssues);
-      throw new Error('Invalid issues data format');
+  // Scans filed under a project are shared with its team (editors and up)
+  const { projectId = null } = req.body;
+  if (projectId !== null) {
+    try {
+      const access = await getProjectAccess(req.user.id, projectId);
+      if (!access) {
+        return res.status(400).json({ error: 'Project not found' });
+      }
+      if (!hasRole(access.role, 'editor')) {
+        return res.status(403).json({ error: 'Scanning in this project requires the editor role.' });
+      }
+    } catch (error) {
+      console.error('Error checking project access:', error);
+      return res.status(500).json({ error: 'Failed to queue scan. Please try again.' });
     }
+  }
 
-    console.log('Processed issues:', processedIssues.length, 'items');
+  if (mode === 'crawl') {
+    const { maxDepth = 2, maxPages = 20, respectRobots = true, useSitemap = true } = req.body;
 
-    // Calculate score based on issue severity
-    const errorIssues = processedIssues.filter(i => i.severity === 'error').length;
-    const warningIssues = processedIssues.filter(i => i.severity === 'warning').length;
-    const noticeIssues = processedIssues.filter(i => i.severity === 'notice').length;
+    if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > MAX_CRAWL_DEPTH) {
+      return res.status(400).json({ error: `maxDepth must be an integer between 0 and ${MAX_CRAWL_DEPTH}.` });
+    }
 
-    console.log(`Issue breakdown: ${errorIssues} errors, ${warningIssues} warnings, ${noticeIssues} notices`);
+    if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_CRAWL_PAGES) {
+      return res.status(400).json({ error: `maxPages must be an integer between 1 and ${MAX_CRAWL_PAGES}.` });
+    }
 
-    // More realistic scoring
-    const totalIssues = processedIssues.length;
-    const errorWeight = errorIssues * 10;
-    const warningWeight = warningIssues * 5;
-    const noticeWeight = noticeIssues * 2;
+    try {
+      // Every crawled page is a scan; maxPages is the most it can use. The
+      // crawl takes one concurrent-scan slot.
+      const overQuota = await checkScanQuota(req.user.id, { count: maxPages, simultaneous: 1, plan: await planOf(req) });
+      if (overQuota) {
+        return sendLimitError(res, overQuota);
+      }
 
-    // Use logarithmic scaling to prevent scores hitting zero
-    const totalWeight = errorWeight + warningWeight + noticeWeight;
-    const score = Math.max(0, Math.round(100 - Math.min(95, totalWeight * 0.5)));
+      const siteScan = await startSiteScan({
+        userId: req.user.id,
+        projectId,
+        url,
+        options: {
+          maxDepth,
+          maxPages,
+          respectRobots: respectRobots !== false,
+          useSitemap: useSitemap !== false
+        },
+        scanOptions,
+        auth
+      });
+      if (projectId !== null) await addProjectUrl(projectId, url);
 
-    console.log(`Scoring: ${totalWeight} total weight -> ${score}/100 score`);
+      return res.status(202).json({
+        _id: siteScan._id,
+        id: siteScan._id,
+        mode: 'crawl',
+        projectId: siteScan.projectId,
+        startUrl: siteScan.startUrl,
+        status: siteScan.status,
+        options: siteScan.options,
+        scanOptions: siteScan.scanOptions,
+        timestamp: siteScan.timestamp
+      });
+    } catch (error) {
+      console.error('Failed to start site scan:', error);
+      return res.status(500).json({
+        error: 'Failed to start site scan. Please try again.',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'Site scan failed'
+      });
+    }
+  }
 
-    // Create scan record with proper validation
-    const scanData = {
-      userId: req.user.id,
-      url: String(url),
-      issues: Number(processedIssues.length),
-      issueDetails: processedIssues,
-      score: Number(score),
-      status: 'completed',
-      timestamp: new Date(),
-      scanDuration: Number(scanDuration),
-      pageTitle: String(results.pageTitle || 'Unknown'),
-      pageDescription: String(results.pageDescription || '')
-    };
+  try {
+    const overQuota = await checkScanQuota(req.user.id, { count: devices ? devices.length : 1, plan: await planOf(req) });
+    if (overQuota) {
+      return sendLimitError(res, overQuota);
+    }
+  } catch (error) {
+    console.error('Error checking scan quota:', error);
+    return res.status(500).json({ error: 'Failed to queue scan. Please try again.' });
+  }
 
-    console.log('Saving scan with data:', {
-      ...scanData,
-      issueDetails: `${scanData.issueDetails.length} issues`
-    });
+  if (devices) {
+    try {
+      const responsiveGroupId = new mongoose.Types.ObjectId();
+      const scans = [];
+      for (const { deviceType, device } of devices) {
+        scans.push(await enqueueScan({
+          userId: req.user.id,
+          projectId,
+          url,
+          options: { ...scanOptions, deviceType, device },
+          auth,
+          responsiveGroupId
+        }));
+      }
+      if (projectId !== null) await addProjectUrl(projectId, url);
 
-    const scan = new Scan(scanData);
-    await scan.save();
+      return res.status(202).json({
+        responsiveGroupId,
+        projectId,
+        url,
+        scans: scans.map(scan => ({
+          _id: scan._id,
+          id: scan._id,
+          deviceType: scan.options.deviceType,
+          device: scan.options.device,
+          status: scan.status,
+          progress: scan.progress,
+          timestamp: scan.timestamp
+        }))
+      });
+    } catch (error) {
+      console.error('Failed to queue responsive scans:', error);
+      return res.status(500).json({ error: 'Failed to queue scans. Please try again.' });
+    }
+  }
 
-    console.log('Scan saved successfully with ID:', scan._id);
+  try {
+    const scan = await enqueueScan({
+      userId: req.user.id,
+      projectId,
+      url,
+      options: scanOptions,
+      auth
+    });
+    if (projectId !== null) await addProjectUrl(projectId, url);
 
     // Return response matching frontend expectations
-    res.json({
+    res.status(202).json({
       _id: scan._id,
       id: scan._id,
+      projectId: scan.projectId,
       url: scan.url,
-      issues: processedIssues.length,
-      issueDetails: processedIssues,
-      score: scan.score,
+      issues: 0,
+      issueDetails: [],
+      score: 0,
       status: scan.status,
-      timestamp: scan.timestamp,
-      scanDuration: scan.scanDuration,
-      pageTitle: scan.pageTitle,
-      pageDescription: scan.pageDescription
+      progress: scan.progress,
+      options: scan.options,
+      timestamp: scan.timestamp
     });
 
   } catch (error) {
-    console.error('Scan failed:', error.message);
-    console.error('Full error:', error);
-    
-    // Save failed scan with userId
-    try {
-      const failedScan = new Scan({
-        userId: req.user.id,
-        url: String(url),
-        issues: 0,
-        issueDetails: [],
-        score: 0,
-        status: 'failed',
-        timestamp: new Date(),
-        pageTitle: 'Scan Failed'
-      });
-      await failedScan.save();
-      console.log('Failed scan record saved');
-    } catch (saveError) {
-      console.error('Failed to save failed scan:', saveError);
-    }
-
+    console.error('Failed to queue scan:', error);
     res.status(500).json({ 
-      error: 'Failed to scan website. Please check the URL and try again.',
+      error: 'Failed to queue scan. Please try again.',
       details: process.env.NODE_ENV === 'development' ? error.message : 'Scan failed'
     });
   }
 });
 
+// Scan submitted HTML instead of a URL, e.g. a component before it is
+// deployed. Body: { html, css, name, fragment } plus the usual scan options.
+// A fragment (detected when html has no <html> or doctype) is wrapped in a
+// minimal page. The scan is stored with url 'html:<name>' (or a content
+// hash) and the markup in `html`; follow it like any other scan.
+app.post('/scan/html', authenticateToken, scanRateLimit, async (req, res) => {
+  const { values: html, error: htmlError } = parseHtmlSource(req.body);
+  if (htmlError) {
+    return res.status(400).json({ error: htmlError });
+  }
+
+  const { options: scanOptions, error: optionsError } = parseScanOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  // There is no site to log in to
+  if (req.body.auth !== undefined || scanOptions.credentialId) {
+    return res.status(400).json({ error: 'auth and credentialId cannot be used when scanning HTML.' });
+  }
+
+  try {
+    const { projectId = null } = req.body;
+    if (projectId !== null) {
+      const access = await getProjectAccess(req.user.id, projectId);
+      if (!access) {
+        return res.status(400).json({ error: 'Project not found' });
+      }
+      if (!hasRole(access.role, 'editor')) {
+        return res.status(403).json({ error: 'Scanning in this project requires the editor role.' });
+      }
+    }
+
+    const overQuota = await checkScanQuota(req.user.id, { plan: await planOf(req) });
+    if (overQuota) {
+      return sendLimitError(res, overQuota);
+    }
+
+    const scan = await enqueueScan({
+      userId: req.user.id,
+      projectId,
+      url: htmlSourceId(html),
+      options: scanOptions,
+      html
+    });
+
+    res.status(202).json({
+      _id: scan._id,
+      id: scan._id,
+      projectId: scan.projectId,
+      url: scan.url,
+      html: {
+        name: scan.html.name,
+        fragment: scan.html.fragment,
+        sha256: scan.html.sha256,
+        size: scan.html.size
+      },
+      status: scan.status,
+      progress: scan.progress,
+      options: scan.options,
+      timestamp: scan.timestamp
+    });
+  } catch (error) {
+    console.error('Failed to queue HTML scan:', error);
+    res.status(500).json({ error: 'Failed to queue scan. Please try again.' });
+  }
+});
+
 // Email scan results endpoint
 app.post('/email-scan-results', authenticateToken, async (req, res) => {
   try {
@@ -479,8 +1010,21 @@ app.post('/email-scan-results', authenticateToken, async (req, res) => {
     // Fetch full scan details if scanId is provided
     let scanDetails = null;
     if (scanId) {
-      scanDetails = await Scan.findOne({ _id: scanId, userId: userId });
+      scanDetails = await Scan.findOne({ _id: scanId, ...await scanAccessFilter(userId) });
+    }
+
+    // Issues triaged as false positives are left out of the email
+    const topIssues = scanDetails ? scanDetails.issueDetails.filter(issue => !issue.falsePositive).slice(0, 5) : [];
+
+    // Inline screenshots of the top issues, when the scan captured them
+    const attachments = [];
+    for (const issue of topIssues) {
+      const image = issue.screenshotId ? await readScreenshot(issue.screenshotId) : null;
+      if (image) {
+        attachments.push({ filename: `issue-${issue.id}.jpg`, content: image, cid: `issue-${issue.id}@a11ycheck` });
+      }
     }
+    const hasScreenshot = issue => attachments.some(attachment => attachment.cid === `issue-${issue.id}@a11ycheck`);
 
     // Create email content
     const emailHtml = `
@@ -521,19 +1065,20 @@ app.post('/email-scan-results', authenticateToken, async (req, res) => {
                     <h3>📊 Issues Summary</h3>
                     <p><strong>Total Issues Found:</strong> ${totalIssues}</p>
                     ${scanDetails ? `
-                    <p><strong>Critical Errors:</strong> ${scanDetails.issueDetails.filter(i => i.severity === 'error').length}</p>
-                    <p><strong>Warnings:</strong> ${scanDetails.issueDetails.filter(i => i.severity === 'warning').length}</p>
-                    <p><strong>Notices:</strong> ${scanDetails.issueDetails.filter(i => i.severity === 'notice').length}</p>
+                    <p><strong>Critical Errors:</strong> ${scanDetails.issueDetails.filter(i => !i.falsePositive && i.severity === 'error').length}</p>
+                    <p><strong>Warnings:</strong> ${scanDetails.issueDetails.filter(i => !i.falsePositive && i.severity === 'warning').length}</p>
+                    <p><strong>Notices:</strong> ${scanDetails.issueDetails.filter(i => !i.falsePositive && i.severity === 'notice').length}</p>
                     ` : ''}
                 </div>
                 
-                ${scanDetails && scanDetails.issueDetails.length > 0 ? `
+                ${topIssues.length > 0 ? `
                 <h3>🔧 Top Issues to Fix</h3>
-                ${scanDetails.issueDetails.slice(0, 5).map(issue => `
+                ${topIssues.map(issue => `
                     <div style="background: white; padding: 15px; margin: 10px 0; border-radius: 6px; border-left: 4px solid ${issue.severity === 'error' ? '#ef4444' : issue.severity === 'warning' ? '#f59e0b' : '#3b82f6'};">
                         <strong>${issue.type}</strong><br>
                         <span style="color: #666; font-size: 14px;">${issue.description}</span>
                         ${issue.selector ? `<br><code style="background: #f3f4f6; padding: 2px 4px; border-radius: 3px; font-size: 12px;">${issue.selector}</code>` : ''}
+                        ${hasScreenshot(issue) ? `<br><img src="cid:issue-${issue.id}@a11ycheck" alt="Screenshot of the element" style="max-width: 100%; margin-top: 8px; border: 1px solid #e5e7eb;">` : ''}
                     </div>
                 `).join('')}
                 ` : ''}
@@ -559,7 +1104,8 @@ app.post('/email-scan-results', authenticateToken, async (req, res) => {
       from: process.env.SMTP_USER,
       to: user.email,
       subject: `A11yCheck Report: ${url} (Score: ${score}/100)`,
-      html: emailHtml
+      html: emailHtml,
+      attachments
     };
 
     // Send email
@@ -580,16 +1126,25 @@ app.post('/email-scan-results', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete scan for the current user
+// Delete a scan: the user's own, or a project scan for editors and owners
 app.delete('/scan/:id', authenticateToken, async (req, res) => {
   try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid scan ID.' });
+    }
+
     const scan = await Scan.findOneAndDelete({ 
       _id: req.params.id, 
-      userId: req.user.id 
+      ...await scanAccessFilter(req.user.id, { minRole: 'editor' })
     });
     if (!scan) {
-      return res.status(404).json({ error: 'Scan not found' });
+      // Viewers can see the scan but not delete it
+      const visible = await Scan.exists({ _id: req.params.id, ...await scanAccessFilter(req.user.id) });
+      return visible
+        ? res.status(403).json({ error: 'Deleting project scans requires the editor role.' })
+        : res.status(404).json({ error: 'Scan not found' });
     }
+    await deleteScanScreenshots(scan._id);
     res.json({ message: 'Scan deleted successfully' });
   } catch (error) {
     console.error('Error deleting scan:', error);
@@ -599,6 +1154,22 @@ app.delete('/scan/:id', authenticateToken, async (req, res) => {
 
 // Mount auth routes
 app.use('/api/auth', authRoutes);
+app.use('/site-scans', siteScanRoutes);
+app.use('/schedules', scheduleRoutes);
+app.use('/credentials', credentialRoutes);
+app.use('/api-keys', apiKeyRoutes);
+app.use('/ci', ciRoutes);
+app.use('/teams', teamRoutes);
+app.use('/projects', projectRoutes);
+app.use('/triage', triageRoutes);
+app.use('/scoring', scoringRoutes);
+app.use('/rules', ruleRoutes);
+app.use('/devices', deviceRoutes);
+app.use('/tools', toolRoutes);
+app.use('/batches', batchRoutes);
+app.use('/webhooks', webhookRoutes);
+app.use('/admin', adminRoutes);
+app.use('/usage', usageRoutes);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const ACCOUNT_TOKEN_PURPOSES = ['verify_email', 'change_email', 'reset_password'];
+
+// Single-use token emailed to a user to verify an address, confirm an email
+// change or reset a forgotten password. Only a SHA-256 hash is stored.
+const accountTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ACCOUNT_TOKEN_PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // The address the token was sent to (for a change, the new address)
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+// Expired tokens are removed by MongoDB a day after they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
+module.exports.ACCOUNT_TOKEN_PURPOSES = ACCOUNT_TOKEN_PURPOSES;
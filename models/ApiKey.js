@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Long-lived API key for CI pipelines. Only a SHA-256 hash of the key is
+// stored; the plain key is shown once, when it is created.
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  // First characters of the key, so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
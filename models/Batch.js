@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { scanOptionsSchema } = require('./Scan');
+const { encryptedSchema } = require('./Credential');
+
+// A bulk scan of a URL list, CSV or sitemap. Each URL is scanned as a normal
+// Scan (with batchId set); at most `concurrency` of them are queued at once
+// so a large batch does not hold up everyone else's scans.
+const batchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: ['list', 'csv', 'sitemap'],
+    required: true
+  },
+  sitemapUrl: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'collecting', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  concurrency: {
+    type: Number,
+    default: 3
+  },
+  // Options applied to every scan in the batch
+  scanOptions: {
+    type: scanOptionsSchema,
+    default: () => ({})
+  },
+  // Inline login details shared by every scan, encrypted
+  authEncrypted: {
+    type: encryptedSchema,
+    default: null,
+    select: false
+  },
+  // One entry per URL. 'waiting' items have not been queued yet.
+  items: [{
+    _id: false,
+    url: { type: String, required: true },
+    scanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', default: null },
+    status: { type: String, default: 'waiting' },
+    score: { type: Number, default: null },
+    issues: { type: Number, default: 0 },
+    errorCount: { type: Number, default: 0 },
+    warningCount: { type: Number, default: 0 },
+    error: { type: String, default: '' }
+  }],
+  progress: {
+    total: { type: Number, default: 0 },
+    waiting: { type: Number, default: 0 },
+    inProgress: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Combined results across completed URLs
+  summary: {
+    averageScore: { type: Number, default: null },
+    totalIssues: { type: Number, default: 0 },
+    totalErrors: { type: Number, default: 0 },
+    worstPages: [{
+      _id: false,
+      url: String,
+      scanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan' },
+      score: Number,
+      issues: Number,
+      errorCount: Number
+    }],
+    failures: [{
+      _id: false,
+      url: String,
+      scanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan' },
+      error: String
+    }]
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+batchSchema.index({ userId: 1, timestamp: -1 });
+batchSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Batch', batchSchema);
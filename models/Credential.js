@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Encrypted payload written by services/secrets.js
+const encryptedSchema = new mongoose.Schema({
+  iv: { type: String, required: true },
+  tag: { type: String, required: true },
+  data: { type: String, required: true }
+}, { _id: false });
+
+// Saved login details for scanning pages behind authentication. The secret
+// part is only ever decrypted by the scan worker.
+const credentialSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  // Non-secret description of what the credential contains
+  summary: {
+    headerNames: { type: [String], default: [] },
+    cookieNames: { type: [String], default: [] },
+    basicAuth: { type: Boolean, default: false },
+    actionCount: { type: Number, default: 0 }
+  },
+  secret: {
+    type: encryptedSchema,
+    required: true,
+    select: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+credentialSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Credential', credentialSchema);
+module.exports.encryptedSchema = encryptedSchema;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const TRIAGE_STATUSES = ['open', 'in_progress', 'fixed', 'wont_fix', 'false_positive'];
+
+// Triage state of one issue on one URL, keyed by the issue fingerprint (see
+// services/scanDiff.js) so it carries over to later scans. Project scans
+// share triage with the team; other scans are triaged by their owner.
+const issueTriageSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // Set for personal (non-project) scans only
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  // Copied from the issue so the triage list reads without loading scans
+  code: { type: String, default: '' },
+  selector: { type: String, default: '' },
+  severity: { type: String, default: '' },
+  type: { type: String, default: '' },
+  status: {
+    type: String,
+    enum: TRIAGE_STATUSES,
+    default: 'open'
+  },
+  assigneeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  comments: {
+    type: [{
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      body: { type: String, required: true, maxLength: 2000 },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+issueTriageSchema.index({ projectId: 1, userId: 1, url: 1, fingerprint: 1 }, { unique: true });
+issueTriageSchema.index({ assigneeId: 1, status: 1 });
+
+module.exports = mongoose.model('IssueTriage', issueTriageSchema);
+module.exports.TRIAGE_STATUSES = TRIAGE_STATUSES;
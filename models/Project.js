@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const MAX_PROJECT_URLS = 200;
+
+// A set of URLs owned by a team. Scans started with a projectId are shared
+// with every team member, according to their role.
+const projectSchema = new mongoose.Schema({
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  description: {
+    type: String,
+    default: '',
+    maxLength: 500
+  },
+  urls: {
+    type: [String],
+    default: []
+  },
+  // Overrides the members' own scoring profiles for the project's scans
+  scoringProfile: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ teamId: 1, name: 1 });
+
+module.exports = mongoose.model('Project', projectSchema);
+module.exports.MAX_PROJECT_URLS = MAX_PROJECT_URLS;
@@ -1,4 +1,46 @@
 const mongoose = require('mongoose');
+const { encryptedSchema } = require('./Credential');
+
+// Everything needed to reproduce a scan (see services/scanOptions.js)
+const scanOptionsSchema = new mongoose.Schema({
+  scanType: { type: String, enum: ['quick', 'full'], default: 'full' },
+  // A key of DEVICE_PROFILES (data/deviceProfiles.js) or 'custom'
+  deviceType: { type: String, default: 'desktop' },
+  // The viewport the scan ran with, resolved from deviceType when the scan
+  // was requested
+  device: {
+    type: new mongoose.Schema({
+      name: String,
+      width: Number,
+      height: Number,
+      deviceScaleFactor: Number,
+      isMobile: Boolean,
+      hasTouch: Boolean,
+      userAgent: { type: String, default: null }
+    }, { _id: false }),
+    default: null
+  },
+  runners: {
+    type: [{ type: String, enum: ['htmlcs', 'axe'] }],
+    default: ['htmlcs']
+  },
+  standard: {
+    type: String,
+    enum: ['WCAG2A', 'WCAG2AA', 'WCAG2AAA', 'WCAG22AA'],
+    default: 'WCAG2AA'
+  },
+  ignore: { type: [String], default: [] },
+  rootElement: { type: String, default: '' },
+  hideElements: { type: [String], default: [] },
+  includeNotices: { type: Boolean, default: false },
+  includeWarnings: { type: Boolean, default: true },
+  // Capture a highlighted page screenshot and a crop of each issue
+  screenshots: { type: Boolean, default: false },
+  // Saved login details to scan with (see models/Credential.js)
+  credentialId: { type: mongoose.Schema.Types.ObjectId, ref: 'Credential', default: null },
+  // True when the scan ran with a credential or inline auth config
+  authenticated: { type: Boolean, default: false }
+}, { _id: false });
 
 const scanSchema = new mongoose.Schema({
   userId: {
@@ -11,44 +53,109 @@ const scanSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Shared with the project's team when set (see services/permissions.js)
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // Set when the scan is one page of a site crawl
+  siteScanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SiteScan',
+    default: null
+  },
+  // Set when the scan is one URL of a bulk batch
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Batch',
+    default: null
+  },
+  // Shared by the scans of one URL across several devices (see
+  // GET /scans/responsive/:groupId)
+  responsiveGroupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // The submitted markup of an HTML scan (POST /scan/html); `url` is then a
+  // synthetic 'html:...' identifier (see services/htmlScans.js)
+  html: {
+    type: new mongoose.Schema({
+      markup: { type: String, required: true },
+      css: { type: String, default: '' },
+      name: { type: String, default: null },
+      fragment: { type: Boolean, default: false },
+      sha256: { type: String, required: true },
+      size: { type: Number, default: 0 }
+    }, { _id: false }),
+    default: null
+  },
+  // Set when the scan was started by a recurring schedule
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    default: null
+  },
+  // Pass/fail rules for scans started through the CI endpoint
+  ciThresholds: {
+    type: new mongoose.Schema({
+      minScore: { type: Number, default: null },
+      maxErrors: { type: Number, default: null },
+      maxWarnings: { type: Number, default: null },
+      forbiddenRules: { type: [String], default: [] }
+    }, { _id: false }),
+    default: null
+  },
   issues: {
     type: Number,
     required: true,
     default: 0
   },
   // CRITICAL: This should be an array of objects, not a string!
-  issueDetails: [{
-    id: {
-      type: Number,
-      required: true
-    },
-    type: {
-      type: String,
-      required: true,
-      enum: ['error', 'warning', 'notice']
-    },
-    severity: {
-      type: String,
-      required: true,
-      enum: ['error', 'warning', 'notice']
-    },
-    selector: {
-      type: String,
-      required: true
-    },
-    message: {
-      type: String,
-      required: true
-    },
-    code: {
-      type: String,
-      required: true
-    },
-    context: {
-      type: String,
-      default: ''
-    }
-  }],
+  issueDetails: {
+    type: [{
+      id: { type: Number, required: true },
+      type: { type: String, required: true },
+      description: { type: String, required: true },
+      severity: {
+        type: String,
+        required: true,
+        enum: ['error', 'warning', 'notice']
+      },
+      selector: { type: String, default: '' },
+      message: { type: String, default: '' },
+      code: { type: String, default: '' },
+      context: { type: String, default: '' },
+      runner: { type: String, default: '' },
+      screenshotId: { type: String, default: null },
+      // WCAG success criterion, e.g. '1.4.3' (null for best practices)
+      successCriterion: { type: String, default: null },
+      // Stable identity across scans (see services/scanDiff.js)
+      fingerprint: { type: String, default: '' },
+      // Triaged as a false positive: left out of the score and counts
+      falsePositive: { type: Boolean, default: false },
+      // Measured colors for contrast issues (see services/contrast.js)
+      contrast: {
+        type: new mongoose.Schema({
+          foreground: String,
+          background: String,
+          ratio: Number,
+          required: Number,
+          level: String,
+          fontSize: Number,
+          fontWeight: Number,
+          largeText: Boolean,
+          backgroundImage: Boolean,
+          suggestion: {
+            foreground: String,
+            background: String
+          }
+        }, { _id: false }),
+        default: null
+      }
+    }],
+    default: []
+  },
   score: {
     type: Number,
     required: true,
@@ -61,6 +168,44 @@ const scanSchema = new mongoose.Schema({
     enum: ['pending', 'running', 'completed', 'failed'],
     default: 'pending'
   },
+  // Options the scan was requested with, read back by the queue worker
+  options: {
+    type: scanOptionsSchema,
+    default: () => ({})
+  },
+  // Inline login details for this scan only, encrypted and never returned
+  authEncrypted: {
+    type: encryptedSchema,
+    default: null,
+    select: false
+  },
+  // Queue bookkeeping. `stage` is one of SCAN_STAGES in services/scanQueue.js.
+  progress: {
+    stage: { type: String, default: 'queued' },
+    message: { type: String, default: '' },
+    details: { type: mongoose.Schema.Types.Mixed, default: null },
+    updatedAt: { type: Date, default: Date.now }
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: ''
+  },
   timestamp: {
     type: Date,
     default: Date.now
@@ -77,6 +222,29 @@ const scanSchema = new mongoose.Schema({
   pageDescription: {
     type: String,
     default: ''
+  },
+  // How the score was computed (see services/scoring.js). Missing on scans
+  // from before scoring profiles, which used the 'legacy' formula.
+  scoring: {
+    type: new mongoose.Schema({
+      profile: String,
+      version: Number,
+      deduction: Number,
+      sizeFactor: Number,
+      elementsChecked: Number,
+      principles: {
+        perceivable: Number,
+        operable: Number,
+        understandable: Number,
+        robust: Number
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // Highlighted full-page capture (see services/screenshots.js)
+  pageScreenshotId: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true // This adds createdAt and updatedAt automatically
@@ -85,6 +253,12 @@ const scanSchema = new mongoose.Schema({
 // Add indexes for better query performance
 scanSchema.index({ userId: 1, timestamp: -1 });
 scanSchema.index({ url: 1 });
-scanSchema.index({ status: 1 });
+scanSchema.index({ status: 1, timestamp: 1 });
+scanSchema.index({ siteScanId: 1 });
+scanSchema.index({ batchId: 1 });
+scanSchema.index({ responsiveGroupId: 1 });
+scanSchema.index({ scheduleId: 1, timestamp: -1 });
+scanSchema.index({ projectId: 1, timestamp: -1 });
 
-module.exports = mongoose.model('Scan', scanSchema);
\ No newline at end of file
+module.exports = mongoose.model('Scan', scanSchema);
+module.exports.scanOptionsSchema = scanOptionsSchema;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { scanOptionsSchema } = require('./Scan');
+
+// A recurring scan of one URL. Each run is stored as a normal Scan with
+// scheduleId set.
+const scheduleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    default: '',
+    trim: true,
+    maxLength: 100
+  },
+  // 'hourly', 'daily', 'weekly' or 'custom' (see cron)
+  frequency: {
+    type: String,
+    enum: ['hourly', 'daily', 'weekly', 'custom'],
+    default: 'daily'
+  },
+  // Five-field cron expression, evaluated in UTC
+  cron: {
+    type: String,
+    required: true
+  },
+  scanOptions: {
+    type: scanOptionsSchema,
+    default: () => ({})
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Email alert rules, checked after every run
+  alerts: {
+    email: { type: Boolean, default: true },
+    // Alert when the score drops by at least this many points
+    scoreDropThreshold: { type: Number, min: 0, max: 100, default: 5 },
+    // Alert when new error-severity issues appear
+    onNewErrors: { type: Boolean, default: true }
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastScanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scan',
+    default: null
+  },
+  lastAlertAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+scheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+scheduleSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('Schedule', scheduleSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A logged-in device. Access tokens name their session, so revoking it logs
+// the device out at once; the refresh token is rotated on every use and only
+// its SHA-256 hash is stored.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The token it replaced, to tell a stolen, already-rotated token apart
+  // from an unknown one
+  previousTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // 'logout', 'logout_all', 'revoked', 'password_changed' or 'token_reuse'
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+// Sessions are removed by MongoDB a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { scanOptionsSchema } = require('./Scan');
+const { encryptedSchema } = require('./Credential');
+
+// A multi-page crawl. Each discovered page is scanned as a normal Scan
+// (with siteScanId set) and summarised here.
+const siteScanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  startUrl: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'crawling', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  options: {
+    maxDepth: { type: Number, default: 2 },
+    maxPages: { type: Number, default: 20 },
+    respectRobots: { type: Boolean, default: true },
+    useSitemap: { type: Boolean, default: true }
+  },
+  // Options applied to every page scan
+  scanOptions: {
+    type: scanOptionsSchema,
+    default: () => ({})
+  },
+  // Inline login details shared by every page scan, encrypted
+  authEncrypted: {
+    type: encryptedSchema,
+    default: null,
+    select: false
+  },
+  // Page-level breakdown, kept in sync as child scans finish
+  pages: [{
+    _id: false,
+    url: { type: String, required: true },
+    depth: { type: Number, default: 0 },
+    scanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', default: null },
+    status: { type: String, default: 'pending' },
+    score: { type: Number, default: null },
+    issues: { type: Number, default: 0 },
+    errorCount: { type: Number, default: 0 },
+    warningCount: { type: Number, default: 0 },
+    noticeCount: { type: Number, default: 0 }
+  }],
+  // Combined results across completed pages
+  score: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  issues: {
+    type: Number,
+    default: 0
+  },
+  completedPages: {
+    type: Number,
+    default: 0
+  },
+  failedPages: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+siteScanSchema.index({ userId: 1, timestamp: -1 });
+siteScanSchema.index({ status: 1 });
+
+module.exports = mongoose.model('SiteScan', siteScanSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Roles, from least to most access (see services/permissions.js)
+const TEAM_ROLES = ['viewer', 'editor', 'owner'];
+
+// A group of users sharing projects. Every member has one role that applies
+// to all of the team's projects.
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  members: {
+    type: [{
+      _id: false,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      role: { type: String, enum: TEAM_ROLES, required: true },
+      addedAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+teamSchema.index({ 'members.userId': 1 });
+
+module.exports = mongoose.model('Team', teamSchema);
+module.exports.TEAM_ROLES = TEAM_ROLES;
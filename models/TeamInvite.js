@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { TEAM_ROLES } = require('./Team');
+
+// A pending invitation to join a team. The emailed token is stored hashed.
+const teamInviteSchema = new mongoose.Schema({
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: TEAM_ROLES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+teamInviteSchema.index({ teamId: 1, email: 1 });
+teamInviteSchema.index({ email: 1, acceptedAt: 1 });
+
+module.exports = mongoose.model('TeamInvite', teamInviteSchema);
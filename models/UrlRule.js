@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Admin-managed exception to the scan URL policy (see services/urlPolicy.js).
+// `pattern` is a host name ('intranet.example.com'), a wildcard for its
+// subdomains ('*.example.com'), an IP address or a CIDR range. Deny rules
+// always win; allow rules let scans reach hosts or ranges the policy would
+// otherwise block, such as an internal staging server.
+const urlRuleSchema = new mongoose.Schema({
+  pattern: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  action: {
+    type: String,
+    enum: ['allow', 'deny'],
+    required: true
+  },
+  note: {
+    type: String,
+    default: '',
+    maxLength: 200
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+urlRuleSchema.index({ pattern: 1, action: 1 }, { unique: true });
+
+module.exports = mongoose.model('UrlRule', urlRuleSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A count of events in one fixed time window, e.g. 'scan-requests:<userId>'
+// for one minute or 'scans:day:<userId>' for one UTC day. Used for rate
+// limits and scan quotas (see services/usage.js); old windows are removed
+// by MongoDB once they expire.
+const usageCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+usageCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+usageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsageCounter', usageCounterSchema);
@@ -26,6 +26,19 @@ const userSchema = new mongoose.Schema({
     type: String, 
     required: true 
   },
+  // Set once the user follows the link emailed to their address
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
   bio: { 
     type: String, 
     default: '',
@@ -35,6 +48,24 @@ const userSchema = new mongoose.Schema({
     type: String, 
     default: null 
   },
+  // Scoring profile for the user's scans (see services/scoring.js);
+  // null means the server default
+  scoringProfile: {
+    type: String,
+    default: null
+  },
+  // Usage plan (see data/plans.js); null means the server default
+  plan: {
+    type: String,
+    default: null
+  },
+  // Admins manage server-wide settings such as the URL policy rules
+  // (routes/admin.js). Set directly in the database.
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { encryptedSchema } = require('./Credential');
+
+const WEBHOOK_EVENTS = ['scan.completed', 'scan.failed', 'scan.regressed', 'schedule.run'];
+
+// An outgoing webhook. Personal webhooks receive events for their owner's
+// own scans; project webhooks for every scan filed under the project.
+const webhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: '',
+    maxLength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    default: WEBHOOK_EVENTS
+  },
+  // 'json' sends the signed event envelope; 'slack' sends a Slack message
+  format: {
+    type: String,
+    enum: ['json', 'slack'],
+    default: 'json'
+  },
+  // Signing secret, encrypted because we need it back to sign payloads
+  secret: {
+    type: encryptedSchema,
+    required: true,
+    select: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ projectId: 1, enabled: 1 });
+webhookSchema.index({ userId: 1, projectId: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
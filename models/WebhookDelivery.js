@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// How long the delivery log is kept
+const DELIVERY_TTL_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_TTL_DAYS, 10) || 30;
+
+// One event sent (or being sent) to one webhook, with every attempt. Like
+// the scan queue, a 'pending' delivery is a job: nextAttemptAt says when it
+// is due.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  scanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Scan',
+    default: null
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: [{
+    _id: false,
+    attemptedAt: { type: Date, default: Date.now },
+    statusCode: { type: Number, default: null },
+    // Start of the response body, for debugging receivers
+    responseBody: { type: String, default: '' },
+    error: { type: String, default: '' },
+    durationMs: { type: Number, default: 0 }
+  }],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
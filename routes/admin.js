@@ -0,0 +1,113 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const UrlRule = require('../models/UrlRule');
+const User = require('../models/User');
+const { PLANS, isPlanId } = require('../data/plans');
+const { authenticateToken, requireUserSession, requireAdmin } = require('./auth');
+const { ALLOWED_PORTS, parseRulePattern, clearUrlRuleCache, checkUrl } = require('../services/urlPolicy');
+
+const router = express.Router();
+
+// Every admin route needs a logged-in administrator (not an API key)
+router.use(authenticateToken, requireUserSession, requireAdmin);
+
+// GET /admin/url-rules - The URL policy's allow and deny rules
+router.get('/url-rules', async (req, res) => {
+  try {
+    const rules = await UrlRule.find().sort({ action: 1, pattern: 1 });
+    res.json({ rules, allowedPorts: ALLOWED_PORTS });
+  } catch (error) {
+    console.error('Error fetching URL rules:', error);
+    res.status(500).json({ error: 'Failed to fetch URL rules.' });
+  }
+});
+
+// POST /admin/url-rules - Add a rule. Body: { pattern, action: 'allow' |
+// 'deny', note }. pattern is a host, *.domain, IP address or CIDR range.
+router.post('/url-rules', async (req, res) => {
+  try {
+    const { action, note = '' } = req.body || {};
+
+    if (!['allow', 'deny'].includes(action)) {
+      return res.status(400).json({ error: 'action must be "allow" or "deny".' });
+    }
+    if (typeof note !== 'string' || note.length > 200) {
+      return res.status(400).json({ error: 'note must be a string of at most 200 characters.' });
+    }
+
+    const { pattern, error } = parseRulePattern(req.body.pattern);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rule = await UrlRule.create({ pattern, action, note, createdBy: req.user.id });
+    clearUrlRuleCache();
+    res.status(201).json(rule);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'This rule already exists' });
+    }
+    console.error('Error creating URL rule:', error);
+    res.status(500).json({ error: 'Failed to create URL rule.' });
+  }
+});
+
+// DELETE /admin/url-rules/:id - Remove a rule
+router.delete('/url-rules/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid rule ID.' });
+    }
+
+    const rule = await UrlRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'URL rule not found' });
+    }
+    clearUrlRuleCache();
+    res.json({ message: 'URL rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting URL rule:', error);
+    res.status(500).json({ error: 'Failed to delete URL rule.' });
+  }
+});
+
+// POST /admin/url-rules/check - Whether the policy would let a URL be
+// scanned. Body: { url }
+router.post('/url-rules/check', async (req, res) => {
+  try {
+    const verdict = await checkUrl((req.body || {}).url);
+    res.json(verdict.error
+      ? { allowed: false, code: verdict.code, error: verdict.error }
+      : { allowed: true, url: verdict.url });
+  } catch (error) {
+    console.error('Error checking URL:', error);
+    res.status(500).json({ error: 'Failed to check URL.' });
+  }
+});
+
+// PUT /admin/users/:id/plan - Move a user to another usage plan. Body:
+// { plan } (null for the server default)
+router.put('/users/:id/plan', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid user ID.' });
+    }
+
+    const { plan = null } = req.body || {};
+    if (plan !== null && !isPlanId(plan)) {
+      return res.status(400).json({ error: `plan must be null or one of: ${Object.keys(PLANS).join(', ')}.` });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { plan, updatedAt: new Date() }, { new: true })
+      .select('username email plan');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    console.error('Error updating user plan:', error);
+    res.status(500).json({ error: 'Failed to update user plan.' });
+  }
+});
+
+module.exports = router;
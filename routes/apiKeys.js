@@ -0,0 +1,98 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { authenticateToken, requireUserSession } = require('./auth');
+const { generateApiKey } = require('../services/apiKeys');
+
+const router = express.Router();
+
+const MAX_ACTIVE_KEYS = 20;
+const MAX_EXPIRY_DAYS = 365 * 2;
+
+function serializeApiKey(apiKey) {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    lastUsedAt: apiKey.lastUsedAt,
+    expiresAt: apiKey.expiresAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt
+  };
+}
+
+// Keys can only be managed from a normal login
+router.use(authenticateToken, requireUserSession);
+
+// GET /api-keys - List the current user's API keys (never the keys themselves)
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    res.json({ apiKeys: apiKeys.map(serializeApiKey) });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys.' });
+  }
+});
+
+// POST /api-keys - Create a key. The plain key is only returned here.
+router.post('/', async (req, res) => {
+  try {
+    const { name, expiresInDays } = req.body;
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({ error: 'A name of at most 100 characters is required.' });
+    }
+    if (expiresInDays !== undefined &&
+        (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS)) {
+      return res.status(400).json({ error: `expiresInDays must be an integer between 1 and ${MAX_EXPIRY_DAYS}.` });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ userId: req.user.id, revokedAt: null });
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_ACTIVE_KEYS} active API keys.` });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      userId: req.user.id,
+      name,
+      prefix,
+      keyHash,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    res.status(201).json({
+      ...serializeApiKey(apiKey),
+      key,
+      message: 'Store this key now; it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key.' });
+  }
+});
+
+// DELETE /api-keys/:id - Revoke a key. It stays listed for auditing.
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid API key ID.' });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+    res.json({ message: 'API key revoked', apiKey: serializeApiKey(apiKey) });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key.' });
+  }
+});
+
+module.exports = router;
@@ -1,30 +1,106 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const { isApiKey, findActiveApiKey } = require('../services/apiKeys');
+const { PROFILES, isProfileId } = require('../services/scoring');
+const { authRateLimit } = require('../services/usage');
+const {
+  createSession,
+  refreshSession,
+  verifyAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+} = require('../services/sessions');
+const {
+  consumeAccountToken,
+  revokeAccountTokens,
+  sendVerificationEmail,
+  sendEmailChangeEmails,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../services/accountTokens');
 
 const router = express.Router();
 
-// Middleware to authenticate JWT token
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Rules for a new password (reset and change). Returns an error message or null.
+function checkNewPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `The new password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+}
+
+// Middleware to authenticate an access token or a CI API key. API keys can
+// be sent as a Bearer token or in the X-API-Key header. Access tokens are
+// only accepted while their session is live (see services/sessions.js).
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = req.headers['x-api-key'] || (authHeader && authHeader.split(' ')[1]);
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret', (err, decoded) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid token' });
-    }
-    req.user = { id: decoded.userId };
-    next();
-  });
+  if (isApiKey(token)) {
+    return findActiveApiKey(token)
+      .then(apiKey => {
+        if (!apiKey) {
+          return res.status(403).json({ error: 'Invalid API key' });
+        }
+        req.user = { id: String(apiKey.userId), apiKeyId: apiKey._id };
+        next();
+      })
+      .catch(error => {
+        console.error('Error checking API key:', error);
+        res.status(500).json({ error: 'Server error' });
+      });
+  }
+
+  verifyAccessToken(token)
+    .then(session => {
+      if (!session) {
+        return res.status(403).json({ error: 'Invalid token' });
+      }
+      req.user = { id: session.userId, sessionId: session.sessionId };
+      next();
+    })
+    .catch(error => {
+      console.error('Error checking session:', error);
+      res.status(500).json({ error: 'Server error' });
+    });
+}
+
+// For routes an API key must not reach (e.g. managing the keys themselves)
+function requireUserSession(req, res, next) {
+  if (req.user.apiKeyId) {
+    return res.status(403).json({ error: 'This action requires a user login, not an API key' });
+  }
+  next();
+}
+
+// For server administration routes. Use after authenticateToken and
+// requireUserSession.
+function requireAdmin(req, res, next) {
+  User.findById(req.user.id).select('role')
+    .then(user => {
+      if (!user || user.role !== 'admin') {
+        return res.status(403).json({ error: 'This action requires an administrator' });
+      }
+      next();
+    })
+    .catch(error => {
+      console.error('Error checking admin role:', error);
+      res.status(500).json({ error: 'Server error' });
+    });
 }
 
 // Signup route
-router.post('/signup', async (req, res) => {
+router.post('/signup', authRateLimit, async (req, res) => {
   try {
     const { username, name, email, password } = req.body;
 
@@ -57,7 +133,9 @@ router.post('/signup', async (req, res) => {
     });
     await newUser.save();
 
-    res.status(201).json({ message: 'User registered successfully' });
+    const emailSent = await sendVerificationEmail(newUser);
+
+    res.status(201).json({ message: 'User registered successfully', emailSent });
   } catch (err) {
     console.error("Signup error:", err);
     res.status(500).json({ error: 'Server error' });
@@ -65,7 +143,7 @@ router.post('/signup', async (req, res) => {
 });
 
 // Login route (now uses username instead of email)
-router.post('/login', async (req, res) => {
+router.post('/login', authRateLimit, async (req, res) => {
   try {
     const { username, password } = req.body;
 
@@ -79,17 +157,78 @@ router.post('/login', async (req, res) => {
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) return res.status(401).json({ error: 'Invalid credentials' });
 
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET || 'your_jwt_secret', {
-      expiresIn: '1d',
-    });
+    const tokens = await createSession(user._id, req);
 
-    res.status(200).json({ message: 'Login successful', token });
+    // `token` is the access token, kept under its old name for existing clients
+    res.status(200).json({ message: 'Login successful', token: tokens.accessToken, ...tokens });
   } catch (err) {
     console.error('Error during login:', err);
     res.status(500).json({ error: 'Server error during login' });
   }
 });
 
+// Swap a refresh token for a new access and refresh token. Body: { refreshToken }
+router.post('/refresh', authRateLimit, async (req, res) => {
+  try {
+    const result = await refreshSession(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+    res.json({ token: result.accessToken, ...result });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Log out this device
+router.post('/logout', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Log out every device. Body: { keepCurrent } to stay logged in here.
+router.post('/logout-all', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const keepCurrent = req.body && req.body.keepCurrent === true;
+    const result = await revokeUserSessions(req.user.id, 'logout_all', keepCurrent ? req.user.sessionId : null);
+    res.json({ message: 'Logged out of all devices', sessionsRevoked: result.modifiedCount });
+  } catch (error) {
+    console.error('Error logging out all devices:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Active sessions with their device and IP address
+router.get('/sessions', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    res.json({ sessions: await listSessions(req.user.id, req.user.sessionId) });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Log out one device
+router.delete('/sessions/:id', authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id) &&
+      await revokeSession(req.params.id, 'revoked', req.user.id);
+    if (!result || !result.modifiedCount) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get current user profile
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -105,17 +244,22 @@ router.get('/me', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put('/update-profile', authenticateToken, async (req, res) => {
+router.put('/update-profile', authenticateToken, requireUserSession, async (req, res) => {
   try {
-    const { name, bio, profilePhoto } = req.body;
+    const { name, bio, profilePhoto, scoringProfile } = req.body;
     const userId = req.user.id;
 
+    if (scoringProfile !== undefined && scoringProfile !== null && !isProfileId(scoringProfile)) {
+      return res.status(400).json({ error: `scoringProfile must be null or one of: ${Object.keys(PROFILES).join(', ')}` });
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       userId,
       {
         name: name || '',
         bio: bio || '',
         profilePhoto: profilePhoto || null,
+        ...(scoringProfile !== undefined ? { scoringProfile } : {}),
         updatedAt: new Date()
       },
       { new: true, runValidators: true }
@@ -135,6 +279,201 @@ router.put('/update-profile', authenticateToken, async (req, res) => {
   }
 });
 
+// Verify an email address: the link sent on signup, or the one confirming
+// a new address. Body: { token }
+router.post('/verify-email', authRateLimit, async (req, res) => {
+  try {
+    const record = await consumeAccountToken(req.body.token, ['verify_email', 'change_email']);
+    if (!record) {
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user) {
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
+    }
+
+    if (record.purpose === 'change_email') {
+      // The address may have been taken since the change was requested
+      const taken = await User.exists({ email: record.email, _id: { $ne: user._id } });
+      if (taken) {
+        return res.status(400).json({ error: 'Email already exists' });
+      }
+      user.email = record.email;
+    } else if (record.email !== user.email) {
+      // Sent to an address the account no longer uses
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({ message: 'Email address verified', email: user.email });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+    console.error('Error verifying email:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send the verification email again
+router.post('/resend-verification', authRateLimit, authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Your email address is already verified' });
+    }
+
+    const emailSent = await sendVerificationEmail(user);
+    if (!emailSent) {
+      return res.status(503).json({ error: 'The verification email could not be sent. Please try again later.' });
+    }
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Email a password reset link. Body: { email }. The response is the same
+// whether or not an account uses the address.
+router.post('/forgot-password', authRateLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({ message: 'If an account uses this email address, a password reset link has been sent to it.' });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Set a new password with the emailed reset token. Body: { token, password }
+router.post('/reset-password', authRateLimit, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const passwordError = checkNewPassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const record = await consumeAccountToken(token, 'reset_password');
+    const user = record && await User.findById(record.userId);
+    if (!user || record.email !== user.email) {
+      return res.status(400).json({ error: 'This link is invalid or has expired' });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    user.passwordChangedAt = new Date();
+    // The reset link proved the user can read this address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAccountTokens(user._id, 'reset_password');
+    await revokeUserSessions(user._id, 'password_changed');
+
+    res.json({ message: 'Password reset successfully. You can now log in.' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change the password. Body: { currentPassword, newPassword }
+router.post('/change-password', authRateLimit, authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'currentPassword and newPassword are required' });
+    }
+    const passwordError = checkNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) return res.status(401).json({ error: 'Current password is incorrect' });
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.passwordChangedAt = new Date();
+    await user.save();
+    await revokeAccountTokens(user._id, 'reset_password');
+    // Other devices have to log in again with the new password
+    await revokeUserSessions(user._id, 'password_changed', req.user.sessionId);
+    await sendPasswordChangedEmail(user);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change the email address. Body: { currentPassword, newEmail }. The new
+// address takes effect once confirmed through the link emailed to it.
+router.post('/change-email', authRateLimit, authenticateToken, requireUserSession, async (req, res) => {
+  try {
+    const { currentPassword } = req.body;
+    const newEmail = typeof req.body.newEmail === 'string' ? req.body.newEmail.trim().toLowerCase() : '';
+
+    if (!currentPassword || !newEmail) {
+      return res.status(400).json({ error: 'currentPassword and newEmail are required' });
+    }
+    if (!EMAIL_PATTERN.test(newEmail)) {
+      return res.status(400).json({ error: 'newEmail must be a valid email address' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) return res.status(401).json({ error: 'Current password is incorrect' });
+
+    if (newEmail === user.email) {
+      return res.status(400).json({ error: 'This is already your email address' });
+    }
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+
+    const emailSent = await sendEmailChangeEmails(user, newEmail);
+    if (!emailSent) {
+      return res.status(503).json({ error: 'The confirmation email could not be sent. Please try again later.' });
+    }
+    res.json({ message: `A confirmation link has been sent to ${newEmail}` });
+  } catch (error) {
+    console.error('Error changing email:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Export the middleware for use in other routes
 module.exports = router;
-module.exports.authenticateToken = authenticateToken;
\ No newline at end of file
+module.exports.authenticateToken = authenticateToken;
+module.exports.requireUserSession = requireUserSession;
+module.exports.requireAdmin = requireAdmin;
\ No newline at end of file
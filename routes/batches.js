@@ -0,0 +1,256 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const Scan = require('../models/Scan');
+const Project = require('../models/Project');
+const { MAX_PROJECT_URLS } = require('../models/Project');
+const { authenticateToken } = require('./auth');
+const { parseScanOptions } = require('../services/scanOptions');
+const { validateScanAuth } = require('../services/scanAuth');
+const { checkUrl } = require('../services/urlPolicy');
+const { scanRateLimit, planOf, checkScanQuota, planConcurrency, sendLimitError } = require('../services/usage');
+const { hasRole, getProjectAccess, scanAccessFilter } = require('../services/permissions');
+const { deleteScanScreenshots } = require('../services/screenshots');
+const {
+  MAX_BATCH_CONCURRENCY,
+  DEFAULT_BATCH_CONCURRENCY,
+  parseUrlCsv,
+  normalizeBatchUrls,
+  startBatch
+} = require('../services/batches');
+
+const router = express.Router();
+
+// CSV files can also be posted as the raw request body
+const csvBody = express.text({ type: ['text/csv', 'application/csv'], limit: '2mb' });
+
+// Where the URLs come from: { source, urls } or { source, sitemapUrl }, or
+// { error }. `body` is the JSON body, or the text of an uploaded CSV.
+function parseBatchSource(body) {
+  if (typeof body === 'string') {
+    return { source: 'csv', ...normalizeBatchUrls(parseUrlCsv(body)) };
+  }
+
+  const { urls, csv, sitemapUrl } = body;
+  const given = [urls, csv, sitemapUrl].filter(value => value !== undefined);
+  if (given.length !== 1) {
+    return { error: 'Provide exactly one of urls (a list), csv (CSV text) or sitemapUrl.' };
+  }
+
+  if (urls !== undefined) {
+    return { source: 'list', ...normalizeBatchUrls(urls) };
+  }
+  if (csv !== undefined) {
+    if (typeof csv !== 'string') {
+      return { error: 'csv must be the text of a CSV file.' };
+    }
+    return { source: 'csv', ...normalizeBatchUrls(parseUrlCsv(csv)) };
+  }
+
+  try {
+    if (typeof sitemapUrl !== 'string' || !['http:', 'https:'].includes(new URL(sitemapUrl).protocol)) {
+      throw new Error('invalid');
+    }
+  } catch (urlError) {
+    return { error: 'sitemapUrl must be an http:// or https:// URL.' };
+  }
+  return { source: 'sitemap', sitemapUrl };
+}
+
+// GET /batches - List the batches the current user can see (own and shared
+// through projects; ?projectId= limits the list to one project)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const access = await scanAccessFilter(req.user.id, { projectId: req.query.projectId });
+    if (!access) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const batches = await Batch.find(access)
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-items');
+
+    const total = await Batch.countDocuments(access);
+
+    res.json({
+      batches,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: batches.length,
+        totalBatches: total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching batches:', error);
+    res.status(500).json({ error: 'Failed to fetch batches.' });
+  }
+});
+
+// POST /batches - Scan many URLs. The body is JSON with urls, csv or
+// sitemapUrl plus the usual scan options, or a CSV file sent as text/csv
+// (options then come from the query string: name, projectId, concurrency).
+// Poll GET /batches/:id for progress and the summary.
+router.post('/', authenticateToken, scanRateLimit, csvBody, async (req, res) => {
+  const isUpload = typeof req.body === 'string';
+  const body = isUpload ? {} : (req.body || {});
+  const settings = isUpload ? req.query : body;
+
+  const { source, urls, sitemapUrl, error: sourceError } = parseBatchSource(isUpload ? req.body : body);
+  if (sourceError) {
+    return res.status(400).json({ error: sourceError });
+  }
+
+  const concurrency = settings.concurrency === undefined
+    ? DEFAULT_BATCH_CONCURRENCY
+    : Number(settings.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+    return res.status(400).json({ error: `concurrency must be an integer between 1 and ${MAX_BATCH_CONCURRENCY}.` });
+  }
+
+  const name = settings.name === undefined ? '' : settings.name;
+  if (typeof name !== 'string' || name.length > 100) {
+    return res.status(400).json({ error: 'name must be a string of at most 100 characters.' });
+  }
+
+  const { options: scanOptions, error: optionsError } = parseScanOptions(body);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  try {
+    // Every target must pass the URL policy; one DNS lookup per host
+    const lookupCache = new Map();
+    for (const target of urls || [sitemapUrl]) {
+      const verdict = await checkUrl(target, { lookupCache });
+      if (verdict.error) {
+        return res.status(verdict.status).json({ error: `${target}: ${verdict.error}`, code: verdict.code, url: target });
+      }
+    }
+
+    // A sitemap's size is only known once it is read (and checked then).
+    // No more scans run at once than the plan allows.
+    const plan = await planOf(req);
+    const batchConcurrency = planConcurrency(plan, concurrency);
+    const overQuota = await checkScanQuota(req.user.id, {
+      count: urls ? urls.length : 1,
+      simultaneous: urls ? Math.min(urls.length, batchConcurrency) : 1,
+      plan
+    });
+    if (overQuota) {
+      return sendLimitError(res, overQuota);
+    }
+
+    const authCheck = await validateScanAuth(req.user.id, scanOptions, body.auth);
+    if (authCheck.error) {
+      return res.status(authCheck.status).json({ error: authCheck.error });
+    }
+
+    // Batches filed under a project are shared with its team (editors and up)
+    const projectId = settings.projectId || null;
+    if (projectId !== null) {
+      const access = mongoose.isValidObjectId(projectId) && await getProjectAccess(req.user.id, projectId);
+      if (!access) {
+        return res.status(400).json({ error: 'Project not found' });
+      }
+      if (!hasRole(access.role, 'editor')) {
+        return res.status(403).json({ error: 'Scanning in this project requires the editor role.' });
+      }
+    }
+
+    const batch = await startBatch({
+      userId: req.user.id,
+      projectId,
+      name,
+      source,
+      urls,
+      sitemapUrl,
+      concurrency: batchConcurrency,
+      scanOptions,
+      auth: authCheck.auth
+    });
+
+    // Listed in the project if there is room for all of them
+    if (projectId !== null && urls && urls.length <= MAX_PROJECT_URLS) {
+      await Project.updateOne(
+        { _id: projectId, [`urls.${MAX_PROJECT_URLS - urls.length}`]: { $exists: false } },
+        { $addToSet: { urls: { $each: urls } } }
+      ).catch(error => console.error('Error adding URLs to project:', error));
+    }
+
+    res.status(202).json({
+      _id: batch._id,
+      id: batch._id,
+      name: batch.name,
+      source: batch.source,
+      sitemapUrl: batch.sitemapUrl,
+      projectId: batch.projectId,
+      status: batch.status,
+      concurrency: batch.concurrency,
+      progress: batch.progress,
+      scanOptions: batch.scanOptions,
+      timestamp: batch.timestamp
+    });
+  } catch (error) {
+    console.error('Failed to start batch:', error);
+    res.status(500).json({ error: 'Failed to start batch. Please try again.' });
+  }
+});
+
+// GET /batches/:id - Batch progress, per-URL results and summary
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid batch ID.' });
+    }
+
+    const batch = await Batch.findOne({
+      _id: req.params.id,
+      ...await scanAccessFilter(req.user.id)
+    });
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(batch);
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    res.status(500).json({ error: 'Failed to fetch batch details.' });
+  }
+});
+
+// DELETE /batches/:id - Delete a batch and its scans (the user's own, or a
+// project batch for editors and owners). Scans not yet started are dropped
+// from the queue.
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid batch ID.' });
+    }
+
+    const batch = await Batch.findOneAndDelete({
+      _id: req.params.id,
+      ...await scanAccessFilter(req.user.id, { minRole: 'editor' })
+    });
+    if (!batch) {
+      // Viewers can see the batch but not delete it
+      const visible = await Batch.exists({ _id: req.params.id, ...await scanAccessFilter(req.user.id) });
+      return visible
+        ? res.status(403).json({ error: 'Deleting project batches requires the editor role.' })
+        : res.status(404).json({ error: 'Batch not found' });
+    }
+    const batchScans = await Scan.find({ batchId: batch._id }).select('_id');
+    await Scan.deleteMany({ batchId: batch._id });
+    await Promise.all(batchScans.map(scan => deleteScanScreenshots(scan._id)));
+    res.json({ message: 'Batch deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting batch:', error);
+    res.status(500).json({ error: 'Failed to delete batch.' });
+  }
+});
+
+module.exports = router;
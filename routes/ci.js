@@ -0,0 +1,136 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Scan = require('../models/Scan');
+const { authenticateToken } = require('./auth');
+const { enqueueScan, waitForScan } = require('../services/scanQueue');
+const { parseScanOptions } = require('../services/scanOptions');
+const { validateScanAuth } = require('../services/scanAuth');
+const { checkUrl } = require('../services/urlPolicy');
+const { scanRateLimit, planOf, checkScanQuota, sendLimitError } = require('../services/usage');
+const { parseThresholds, evaluateThresholds } = require('../services/ciThresholds');
+
+const router = express.Router();
+
+// How long POST /ci/scan holds the request open before answering 202
+const DEFAULT_WAIT_SECONDS = 120;
+const MAX_WAIT_SECONDS = 600;
+
+// The verdict for a scan and the HTTP status that goes with it, so a CI step
+// can fail on any non-2xx response: 200 pass, 422 thresholds broken, 502 scan
+// failed, 202 still running
+function buildVerdict(scan) {
+  const base = {
+    scanId: scan._id,
+    url: scan.url,
+    status: scan.status,
+    statusUrl: `/ci/scan/${scan._id}`
+  };
+
+  if (scan.status === 'pending' || scan.status === 'running') {
+    return { status: 202, body: { ...base, verdict: 'pending' } };
+  }
+
+  if (scan.status === 'failed') {
+    return { status: 502, body: { ...base, verdict: 'error', error: scan.error || 'Scan failed' } };
+  }
+
+  const thresholds = scan.ciThresholds
+    ? scan.ciThresholds.toObject()
+    : { minScore: null, maxErrors: null, maxWarnings: null, forbiddenRules: [] };
+  const { passed, counts, failures } = evaluateThresholds(scan, thresholds);
+
+  return {
+    status: passed ? 200 : 422,
+    body: {
+      ...base,
+      verdict: passed ? 'pass' : 'fail',
+      score: scan.score,
+      counts,
+      thresholds,
+      failures,
+      scanDuration: scan.scanDuration,
+      completedAt: scan.completedAt
+    }
+  };
+}
+
+// POST /ci/scan - Scan a URL and judge it against thresholds. Waits for the
+// result unless `wait` is false or the wait times out (then poll statusUrl).
+router.post('/scan', authenticateToken, scanRateLimit, async (req, res) => {
+  try {
+    const { url, wait = true, timeout = DEFAULT_WAIT_SECONDS } = req.body;
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'A valid http:// or https:// URL is required.' });
+    }
+
+    const target = await checkUrl(url);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error, code: target.code });
+    }
+
+    if (typeof wait !== 'boolean') {
+      return res.status(400).json({ error: 'wait must be a boolean.' });
+    }
+    if (!Number.isInteger(timeout) || timeout < 1 || timeout > MAX_WAIT_SECONDS) {
+      return res.status(400).json({ error: `timeout must be an integer between 1 and ${MAX_WAIT_SECONDS} seconds.` });
+    }
+
+    const { thresholds, error: thresholdsError } = parseThresholds(req.body.thresholds);
+    if (thresholdsError) {
+      return res.status(400).json({ error: thresholdsError });
+    }
+
+    const { options: scanOptions, error: optionsError } = parseScanOptions(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const authCheck = await validateScanAuth(req.user.id, scanOptions, req.body.auth);
+    if (authCheck.error) {
+      return res.status(authCheck.status).json({ error: authCheck.error });
+    }
+
+    const overQuota = await checkScanQuota(req.user.id, { plan: await planOf(req) });
+    if (overQuota) {
+      return sendLimitError(res, overQuota);
+    }
+
+    const scan = await enqueueScan({
+      userId: req.user.id,
+      url,
+      options: scanOptions,
+      ciThresholds: thresholds,
+      auth: authCheck.auth
+    });
+
+    const finished = wait ? await waitForScan(scan._id, timeout * 1000) : null;
+    const { status, body } = buildVerdict(finished || scan);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error running CI scan:', error);
+    res.status(500).json({ error: 'Failed to run CI scan.' });
+  }
+});
+
+// GET /ci/scan/:id - Current verdict for a CI scan
+router.get('/scan/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid scan ID.' });
+    }
+
+    const scan = await Scan.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+
+    const { status, body } = buildVerdict(scan);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error fetching CI verdict:', error);
+    res.status(500).json({ error: 'Failed to fetch CI verdict.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Credential = require('../models/Credential');
+const { authenticateToken } = require('./auth');
+const { parseAuthConfig, summarizeAuth } = require('../services/scanAuth');
+const { isEncryptionConfigured, encryptJson } = require('../services/secrets');
+
+const router = express.Router();
+
+// Secrets are write-only: responses only ever include the summary
+function serializeCredential(credential) {
+  return {
+    id: credential._id,
+    name: credential.name,
+    summary: credential.summary,
+    lastUsedAt: credential.lastUsedAt,
+    createdAt: credential.createdAt,
+    updatedAt: credential.updatedAt
+  };
+}
+
+// GET /credentials - List saved scan credentials (without secrets)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const credentials = await Credential.find({ userId: req.user.id }).sort({ name: 1 });
+    res.json({ credentials: credentials.map(serializeCredential) });
+  } catch (error) {
+    console.error('Error fetching credentials:', error);
+    res.status(500).json({ error: 'Failed to fetch credentials.' });
+  }
+});
+
+// POST /credentials - Save login details for authenticated scans
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    if (!isEncryptionConfigured()) {
+      return res.status(503).json({ error: 'Credential storage is not configured on this server.' });
+    }
+
+    const { name, auth: input } = req.body;
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({ error: 'A name of at most 100 characters is required.' });
+    }
+
+    const { auth, error } = parseAuthConfig(input);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!auth) {
+      return res.status(400).json({ error: 'auth is required.' });
+    }
+
+    const existing = await Credential.findOne({ userId: req.user.id, name: name.trim() });
+    if (existing) {
+      return res.status(400).json({ error: 'A credential with this name already exists' });
+    }
+
+    const credential = await Credential.create({
+      userId: req.user.id,
+      name,
+      summary: summarizeAuth(auth),
+      secret: encryptJson(auth)
+    });
+
+    res.status(201).json(serializeCredential(credential));
+  } catch (error) {
+    console.error('Error saving credential:', error);
+    res.status(500).json({ error: 'Failed to save credential.' });
+  }
+});
+
+// PUT /credentials/:id - Rename and/or replace the stored login details
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid credential ID.' });
+    }
+
+    const credential = await Credential.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!credential) {
+      return res.status(404).json({ error: 'Credential not found' });
+    }
+
+    const { name, auth: input } = req.body;
+    if (name !== undefined) {
+      if (!name || typeof name !== 'string' || name.length > 100) {
+        return res.status(400).json({ error: 'name must be at most 100 characters.' });
+      }
+      credential.name = name;
+    }
+
+    if (input !== undefined) {
+      if (!isEncryptionConfigured()) {
+        return res.status(503).json({ error: 'Credential storage is not configured on this server.' });
+      }
+      const { auth, error } = parseAuthConfig(input);
+      if (error || !auth) {
+        return res.status(400).json({ error: error || 'auth is required.' });
+      }
+      credential.summary = summarizeAuth(auth);
+      credential.secret = encryptJson(auth);
+    }
+
+    await credential.save();
+    res.json(serializeCredential(credential));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A credential with this name already exists' });
+    }
+    console.error('Error updating credential:', error);
+    res.status(500).json({ error: 'Failed to update credential.' });
+  }
+});
+
+// DELETE /credentials/:id - Delete saved login details
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid credential ID.' });
+    }
+
+    const credential = await Credential.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!credential) {
+      return res.status(404).json({ error: 'Credential not found' });
+    }
+    res.json({ message: 'Credential deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting credential:', error);
+    res.status(500).json({ error: 'Failed to delete credential.' });
+  }
+});
+
+module.exports = router;
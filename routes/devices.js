@@ -0,0 +1,17 @@
+const express = require('express');
+const { DEVICE_PROFILES } = require('../data/deviceProfiles');
+const { MAX_RESPONSIVE_DEVICES } = require('../services/scanOptions');
+
+const router = express.Router();
+
+// GET /devices - The named device profiles accepted as deviceType (and in
+// the devices list of a multi-device scan). 'custom' takes a device object
+// with width, height, deviceScaleFactor, isMobile, hasTouch and userAgent.
+router.get('/', (req, res) => {
+  res.json({
+    devices: Object.entries(DEVICE_PROFILES).map(([id, profile]) => ({ id, ...profile })),
+    maxDevicesPerScan: MAX_RESPONSIVE_DEVICES
+  });
+});
+
+module.exports = router;
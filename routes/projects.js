@@ -0,0 +1,194 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const { MAX_PROJECT_URLS } = require('../models/Project');
+const Scan = require('../models/Scan');
+const { authenticateToken } = require('./auth');
+const { hasRole, getTeamRole, getProjectAccess, teamIdsWithRole } = require('../services/permissions');
+const { PROFILES, isProfileId } = require('../services/scoring');
+
+const router = express.Router();
+
+// Scan fields shown in a project's latest-scan summaries. A whitelist,
+// because an aggregate ignores `select: false` (e.g. authEncrypted).
+const LATEST_SCAN_FIELDS = [
+  'userId', 'url', 'projectId', 'status', 'progress', 'error', 'score', 'issues', 'scoring',
+  'options', 'pageTitle', 'pageDescription', 'scanDuration', 'timestamp', 'completedAt',
+  'html.name', 'html.fragment', 'html.sha256'
+];
+
+// The latest scan of each URL of a project, as summaries
+function latestScansPipeline(projectId) {
+  return [
+    { $match: { projectId } },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: '$url', scan: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$scan' } },
+    { $project: Object.fromEntries(LATEST_SCAN_FIELDS.map(field => [field, 1])) },
+    { $sort: { url: 1 } }
+  ];
+}
+
+// Validate a create/update body. Returns { values } or { error }.
+function parseProjectBody(body, existing = null) {
+  const values = {};
+
+  if (body.name !== undefined || !existing) {
+    if (!body.name || typeof body.name !== 'string' || body.name.length > 100) {
+      return { error: 'A name of at most 100 characters is required.' };
+    }
+    values.name = body.name;
+  }
+
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.length > 500) {
+      return { error: 'description must be a string of at most 500 characters.' };
+    }
+    values.description = body.description;
+  }
+
+  if (body.scoringProfile !== undefined) {
+    if (body.scoringProfile !== null && !isProfileId(body.scoringProfile)) {
+      return { error: `scoringProfile must be null or one of: ${Object.keys(PROFILES).join(', ')}.` };
+    }
+    values.scoringProfile = body.scoringProfile;
+  }
+
+  if (body.urls !== undefined) {
+    if (!Array.isArray(body.urls) || body.urls.length > MAX_PROJECT_URLS) {
+      return { error: `urls must be a list of at most ${MAX_PROJECT_URLS} URLs.` };
+    }
+    for (const url of body.urls) {
+      try {
+        if (typeof url !== 'string' || !['http:', 'https:'].includes(new URL(url).protocol)) {
+          throw new Error('invalid');
+        }
+      } catch (urlError) {
+        return { error: 'urls must only contain http:// or https:// URLs.' };
+      }
+    }
+    values.urls = [...new Set(body.urls)];
+  }
+
+  return { values };
+}
+
+// Load a project and check the current user's role. Sends the error response
+// and returns null when access is missing.
+async function loadProject(req, res, minRole = 'viewer') {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid project ID.' });
+    return null;
+  }
+
+  const access = await getProjectAccess(req.user.id, req.params.id);
+  if (!access) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+  if (!hasRole(access.role, minRole)) {
+    res.status(403).json({ error: `This action requires the ${minRole} role.` });
+    return null;
+  }
+  return access;
+}
+
+// GET /projects - Projects the current user can see (optionally ?teamId=)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const teamIds = await teamIdsWithRole(req.user.id);
+    const filter = { teamId: { $in: teamIds } };
+    if (req.query.teamId) {
+      filter.teamId = teamIds.find(id => String(id) === req.query.teamId) || null;
+    }
+
+    const projects = await Project.find(filter).sort({ name: 1 }).populate('teamId', 'name');
+    res.json({ projects });
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({ error: 'Failed to fetch projects.' });
+  }
+});
+
+// POST /projects - Create a project in a team (editors and owners)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { teamId } = req.body;
+    if (!mongoose.isValidObjectId(teamId)) {
+      return res.status(400).json({ error: 'teamId must be a valid team ID.' });
+    }
+
+    const role = await getTeamRole(teamId, req.user.id);
+    if (!role) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+    if (!hasRole(role, 'editor')) {
+      return res.status(403).json({ error: 'This action requires the editor role.' });
+    }
+
+    const { values, error } = parseProjectBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const project = await Project.create({ ...values, teamId, createdBy: req.user.id });
+    res.status(201).json({ ...project.toObject(), role });
+  } catch (error) {
+    console.error('Error creating project:', error);
+    res.status(500).json({ error: 'Failed to create project.' });
+  }
+});
+
+// GET /projects/:id - Project with the latest scan of each of its URLs
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadProject(req, res);
+    if (!access) return;
+    const { project, role } = access;
+
+    const latestScans = await Scan.aggregate(latestScansPipeline(project._id));
+
+    res.json({ ...project.toObject(), role, latestScans });
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    res.status(500).json({ error: 'Failed to fetch project.' });
+  }
+});
+
+// PUT /projects/:id - Update a project (editors and owners)
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadProject(req, res, 'editor');
+    if (!access) return;
+
+    const { values, error } = parseProjectBody(req.body, access.project);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    access.project.set(values);
+    await access.project.save();
+    res.json({ ...access.project.toObject(), role: access.role });
+  } catch (error) {
+    console.error('Error updating project:', error);
+    res.status(500).json({ error: 'Failed to update project.' });
+  }
+});
+
+// DELETE /projects/:id - Delete a project (owners). Its scans go back to the
+// users who started them.
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadProject(req, res, 'owner');
+    if (!access) return;
+
+    await Scan.updateMany({ projectId: access.project._id }, { $set: { projectId: null } });
+    await access.project.deleteOne();
+    res.json({ message: 'Project deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ error: 'Failed to delete project.' });
+  }
+});
+
+module.exports = router;
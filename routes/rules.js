@@ -0,0 +1,36 @@
+const express = require('express');
+const { USER_GROUPS, LEVELS, getRule, listRules } = require('../services/ruleCatalog');
+
+const router = express.Router();
+
+// GET /rules - The rule catalog. Filters: runner (axe | htmlcs), criterion
+// ('1.4.3'), level (A | AA | AAA, includes lower levels), user (a user group)
+// and q (text search).
+router.get('/', (req, res) => {
+  const { runner, criterion, level, user, q } = req.query;
+
+  if (runner && !['axe', 'htmlcs'].includes(runner)) {
+    return res.status(400).json({ error: 'runner must be axe or htmlcs.' });
+  }
+  if (level && !LEVELS.includes(level)) {
+    return res.status(400).json({ error: `level must be one of: ${LEVELS.join(', ')}.` });
+  }
+  if (user && (typeof user !== 'string' || !Object.prototype.hasOwnProperty.call(USER_GROUPS, user))) {
+    return res.status(400).json({ error: `user must be one of: ${Object.keys(USER_GROUPS).join(', ')}.` });
+  }
+
+  const rules = listRules({ runner, criterion, level, user, q });
+  res.json({ rules, count: rules.length, userGroups: USER_GROUPS });
+});
+
+// GET /rules/:code - One rule, by axe rule ID or HTML_CodeSniffer code (the
+// full Pa11y code works too)
+router.get('/:code', (req, res) => {
+  const rule = getRule(req.params.code);
+  if (!rule) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  res.json(rule);
+});
+
+module.exports = router;
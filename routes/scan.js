@@ -1,7 +1,13 @@
 const express = require('express');
-const pa11y = require('pa11y');
 const Scan = require('../models/Scan');
 const { authenticateToken } = require('./auth');
+const { runScan } = require('../services/scanner');
+const { storeScanScreenshots } = require('../services/screenshots');
+const { applyTriage } = require('../services/triage');
+const { resolveScoringProfile } = require('../services/scoring');
+const { parseScanOptions } = require('../services/scanOptions');
+const { validateScanAuth, resolveScanAuth } = require('../services/scanAuth');
+const { checkUrl, fetchWithPolicy } = require('../services/urlPolicy');
 
 const router = express.Router();
 
@@ -18,63 +24,52 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    // Validate URL format
-    try {
-      new URL(url);
-    } catch (error) {
+    // Only public http(s) targets (see services/urlPolicy.js)
+    const target = await checkUrl(url);
+    if (target.error) {
+      return res.status(target.status).json({
+        success: false,
+        error: target.error,
+        code: target.code
+      });
+    }
+
+    const { options, error: optionsError } = parseScanOptions(req.body);
+    if (optionsError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid URL format'
+        error: optionsError
       });
     }
 
-    console.log(`🔍 Starting Pa11y scan for: ${url}`);
-    const startTime = Date.now();
-    
-    // Run Pa11y scan
-    const results = await pa11y(url, {
-      standard: 'WCAG2AA',
-      wait: 2000,
-      timeout: 30000,
-      chromeLaunchConfig: {
-        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-      }
-    });
+    const { auth, status: authStatus, error: authError } = await validateScanAuth(userId, options, req.body.auth);
+    if (authError) {
+      return res.status(authStatus).json({
+        success: false,
+        error: authError
+      });
+    }
+
+    console.log(`🔍 Starting scan for: ${url}`);
     
-    const endTime = Date.now();
-    const scanDuration = endTime - startTime;
-    
-    console.log(`✅ Pa11y scan completed: Found ${results.issues.length} issues in ${scanDuration}ms`);
-    
-    // Process the issues - THIS IS THE KEY FIX!
-    const processedIssues = results.issues.map((issue, index) => ({
-      id: index + 1,
-      type: issue.type,
-      severity: issue.type, // Pa11y uses 'error', 'warning', 'notice'
-      selector: issue.selector,
-      message: issue.message,
-      code: issue.code,
-      context: issue.context || ''
-    }));
-    
-    // Calculate score based on issues
-    const errorCount = results.issues.filter(i => i.type === 'error').length;
-    const warningCount = results.issues.filter(i => i.type === 'warning').length;
-    const noticeCount = results.issues.filter(i => i.type === 'notice').length;
-    
-    // Scoring algorithm
-    let score = 100;
-    score -= errorCount * 10;    // Each error = -10 points
-    score -= warningCount * 5;   // Each warning = -5 points  
-    score -= noticeCount * 2;    // Each notice = -2 points
-    score = Math.max(0, score);  // Don't go below 0
+    // Run the selected engines (duplicates across engines are merged)
+    const results = await runScan(url, options, auth || await resolveScanAuth({ userId, options }));
+    const { scanDuration } = results;
+    // Flag known false positives and score with the user's scoring profile
+    const { issueDetails: processedIssues, issues: issueCount, score, scoring } = await applyTriage(
+      { userId, url },
+      results.issueDetails,
+      { profile: await resolveScoringProfile({ userId }), elementsChecked: results.scoring.elementsChecked }
+    );
+    
+    console.log(`✅ Scan completed: Found ${processedIssues.length} issues in ${scanDuration}ms`);
     
     // Get page metadata
-    let pageTitle = 'Unknown';
-    let pageDescription = '';
+    let pageTitle = results.pageTitle;
+    let pageDescription = results.pageDescription;
     
     try {
-      const pageResponse = await fetch(url);
+      const pageResponse = await fetchWithPolicy(url);
       const html = await pageResponse.text();
       const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
       const descMatch = html.match(/<meta[^>]+name=["']description["'][^>]+content=["']([^"']+)["']/i);
@@ -89,9 +84,11 @@ router.post('/', authenticateToken, async (req, res) => {
     const scanData = {
       userId,
       url,
-      issues: results.issues.length,
+      issues: issueCount,
       issueDetails: processedIssues, // This is now an array of objects!
       score,
+      scoring,
+      options: { ...options, authenticated: Boolean(auth || options.credentialId) },
       status: 'completed',
       timestamp: new Date(),
       scanDuration,
@@ -101,7 +98,12 @@ router.post('/', authenticateToken, async (req, res) => {
     
     console.log(`💾 Saving scan with ${processedIssues.length} processed issues`);
     
-    const savedScan = await Scan.create(scanData);
+    let savedScan = await Scan.create(scanData);
+
+    if (results.screenshots) {
+      const stored = await storeScanScreenshots(savedScan._id, processedIssues, results.screenshots);
+      savedScan = await Scan.findByIdAndUpdate(savedScan._id, { $set: stored }, { new: true });
+    }
     
     console.log(`✅ Scan saved with ID: ${savedScan._id}`);
     
@@ -119,6 +121,7 @@ router.post('/', authenticateToken, async (req, res) => {
         scanDuration: savedScan.scanDuration,
         pageTitle: savedScan.pageTitle,
         pageDescription: savedScan.pageDescription,
+        options: savedScan.options,
         issueDetails: savedScan.issueDetails
       }
     });
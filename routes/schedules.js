@@ -0,0 +1,249 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const Scan = require('../models/Scan');
+const { authenticateToken } = require('./auth');
+const { PRESETS, parseCron, nextCronRun } = require('../services/cron');
+const { parseScanOptions } = require('../services/scanOptions');
+const { runSchedule } = require('../services/scheduler');
+const { validateScanAuth } = require('../services/scanAuth');
+const { checkUrl } = require('../services/urlPolicy');
+const { scanRateLimit, planOf, checkScanQuota, sendLimitError } = require('../services/usage');
+
+const router = express.Router();
+
+// Validate a create/update body. `existing` is the schedule being updated,
+// so omitted fields keep their current values. Returns { values } or { error }.
+function parseScheduleBody(body, existing = null) {
+  const values = {};
+
+  if (body.url !== undefined || !existing) {
+    const { url } = body;
+    try {
+      if (!url || typeof url !== 'string' || !['http:', 'https:'].includes(new URL(url).protocol)) {
+        throw new Error('invalid');
+      }
+    } catch (urlError) {
+      return { error: 'A valid http:// or https:// URL is required.' };
+    }
+    values.url = url;
+  }
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.length > 100) {
+      return { error: 'name must be a string of at most 100 characters.' };
+    }
+    values.name = body.name;
+  }
+
+  // Either a preset frequency or a custom cron expression
+  if (body.cron !== undefined || body.frequency !== undefined || !existing) {
+    const frequency = body.cron !== undefined ? 'custom' : (body.frequency || 'daily');
+    const expression = frequency === 'custom' ? body.cron : PRESETS[frequency];
+
+    if (!expression) {
+      return { error: `frequency must be one of: ${Object.keys(PRESETS).join(', ')} (or pass a cron expression).` };
+    }
+
+    let cron;
+    try {
+      cron = parseCron(expression);
+      nextCronRun(cron);
+    } catch (cronError) {
+      return { error: cronError.message };
+    }
+
+    // Keep the scanners from being flooded: at most one run per hour
+    if (cron.minute.size !== 1) {
+      return { error: 'Schedules can run at most once per hour (use a single minute value).' };
+    }
+
+    values.frequency = frequency;
+    values.cron = cron.expression;
+  }
+
+  if (body.scanOptions !== undefined || !existing) {
+    const { options, error } = parseScanOptions(body.scanOptions || {});
+    if (error) return { error };
+    values.scanOptions = options;
+  }
+
+  if (body.alerts !== undefined) {
+    const alerts = { ...(existing ? existing.alerts.toObject() : {}), ...body.alerts };
+    const { email = true, scoreDropThreshold = 5, onNewErrors = true } = alerts;
+
+    if (typeof email !== 'boolean' || typeof onNewErrors !== 'boolean') {
+      return { error: 'alerts.email and alerts.onNewErrors must be booleans.' };
+    }
+    if (typeof scoreDropThreshold !== 'number' || scoreDropThreshold < 0 || scoreDropThreshold > 100) {
+      return { error: 'alerts.scoreDropThreshold must be a number between 0 and 100.' };
+    }
+    values.alerts = { email, scoreDropThreshold, onNewErrors };
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean.' };
+    }
+    values.enabled = body.enabled;
+  }
+
+  return { values };
+}
+
+// GET /schedules - List the current user's schedules
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const schedules = await Schedule.find({ userId: req.user.id }).sort({ createdAt: -1 });
+    res.json({ schedules });
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    res.status(500).json({ error: 'Failed to fetch schedules.' });
+  }
+});
+
+// POST /schedules - Register a recurring scan
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { values, error } = parseScheduleBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const target = await checkUrl(values.url);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error, code: target.code });
+    }
+
+    // Scheduled scans can use saved credentials, not inline auth
+    const authCheck = await validateScanAuth(req.user.id, values.scanOptions, undefined);
+    if (authCheck.error) {
+      return res.status(authCheck.status).json({ error: authCheck.error });
+    }
+
+    const schedule = await Schedule.create({
+      ...values,
+      userId: req.user.id,
+      nextRunAt: nextCronRun(values.cron)
+    });
+
+    res.status(201).json(schedule);
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({ error: 'Failed to create schedule.' });
+  }
+});
+
+// GET /schedules/:id - Schedule with its most recent runs
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid schedule ID.' });
+    }
+
+    const schedule = await Schedule.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const recentScans = await Scan.find({ scheduleId: schedule._id })
+      .sort({ timestamp: -1 })
+      .limit(10)
+      .select('-issueDetails');
+
+    res.json({ ...schedule.toObject(), recentScans });
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch schedule.' });
+  }
+});
+
+// PUT /schedules/:id - Update a schedule
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid schedule ID.' });
+    }
+
+    const schedule = await Schedule.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const { values, error } = parseScheduleBody(req.body, schedule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (values.url) {
+      const target = await checkUrl(values.url);
+      if (target.error) {
+        return res.status(target.status).json({ error: target.error, code: target.code });
+      }
+    }
+
+    if (values.scanOptions) {
+      const authCheck = await validateScanAuth(req.user.id, values.scanOptions, undefined);
+      if (authCheck.error) {
+        return res.status(authCheck.status).json({ error: authCheck.error });
+      }
+    }
+
+    schedule.set(values);
+    // Recompute the next run when the timing changes or the schedule is re-enabled
+    if (values.cron || values.enabled) {
+      schedule.nextRunAt = nextCronRun(schedule.cron);
+    }
+    await schedule.save();
+
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule.' });
+  }
+});
+
+// DELETE /schedules/:id - Stop and remove a schedule (past scans are kept)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid schedule ID.' });
+    }
+
+    const schedule = await Schedule.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ message: 'Schedule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule.' });
+  }
+});
+
+// POST /schedules/:id/run - Run a schedule now without changing its timing
+router.post('/:id/run', authenticateToken, scanRateLimit, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid schedule ID.' });
+    }
+
+    const schedule = await Schedule.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const overQuota = await checkScanQuota(req.user.id, { plan: await planOf(req) });
+    if (overQuota) {
+      return sendLimitError(res, overQuota);
+    }
+
+    const scan = await runSchedule(schedule);
+    res.status(202).json({ message: 'Scheduled scan queued', scanId: scan._id, status: scan.status });
+  } catch (error) {
+    console.error('Error running schedule:', error);
+    res.status(500).json({ error: 'Failed to run schedule.' });
+  }
+});
+
+module.exports = router;
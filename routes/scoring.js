@@ -0,0 +1,21 @@
+const express = require('express');
+const { listProfiles, getProfile } = require('../services/scoring');
+
+const router = express.Router();
+
+// GET /scoring/profiles - The available scoring profiles and how each scores
+router.get('/profiles', (req, res) => {
+  res.json({ profiles: listProfiles() });
+});
+
+// GET /scoring/profiles/:key - One profile, by ID ('standard') or pinned
+// version ('standard@1', as recorded in Scan.scoring)
+router.get('/profiles/:key', (req, res) => {
+  const profile = getProfile(req.params.key);
+  if (!profile) {
+    return res.status(404).json({ error: 'Scoring profile not found' });
+  }
+  res.json(profile);
+});
+
+module.exports = router;
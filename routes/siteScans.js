@@ -0,0 +1,96 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const SiteScan = require('../models/SiteScan');
+const Scan = require('../models/Scan');
+const { authenticateToken } = require('./auth');
+const { scanAccessFilter } = require('../services/permissions');
+const { deleteScanScreenshots } = require('../services/screenshots');
+
+const router = express.Router();
+
+// GET /site-scans - List the site scans the current user can see (own and
+// shared through projects; ?projectId= limits the list to one project)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const access = await scanAccessFilter(req.user.id, { projectId: req.query.projectId });
+    if (!access) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const siteScans = await SiteScan.find(access)
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-pages');
+
+    const total = await SiteScan.countDocuments(access);
+
+    res.json({
+      siteScans,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: siteScans.length,
+        totalSiteScans: total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching site scans:', error);
+    res.status(500).json({ error: 'Failed to fetch site scans.' });
+  }
+});
+
+// GET /site-scans/:id - Site scan with combined score and page breakdown
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid site scan ID.' });
+    }
+
+    const siteScan = await SiteScan.findOne({
+      _id: req.params.id,
+      ...await scanAccessFilter(req.user.id)
+    });
+    if (!siteScan) {
+      return res.status(404).json({ error: 'Site scan not found' });
+    }
+    res.json(siteScan);
+  } catch (error) {
+    console.error('Error fetching site scan:', error);
+    res.status(500).json({ error: 'Failed to fetch site scan details.' });
+  }
+});
+
+// DELETE /site-scans/:id - Delete a site scan and its page scans (the
+// user's own, or a project site scan for editors and owners)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid site scan ID.' });
+    }
+
+    const siteScan = await SiteScan.findOneAndDelete({
+      _id: req.params.id,
+      ...await scanAccessFilter(req.user.id, { minRole: 'editor' })
+    });
+    if (!siteScan) {
+      // Viewers can see the site scan but not delete it
+      const visible = await SiteScan.exists({ _id: req.params.id, ...await scanAccessFilter(req.user.id) });
+      return visible
+        ? res.status(403).json({ error: 'Deleting project site scans requires the editor role.' })
+        : res.status(404).json({ error: 'Site scan not found' });
+    }
+    const pageScans = await Scan.find({ siteScanId: siteScan._id }).select('_id');
+    await Scan.deleteMany({ siteScanId: siteScan._id });
+    await Promise.all(pageScans.map(scan => deleteScanScreenshots(scan._id)));
+    res.json({ message: 'Site scan deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting site scan:', error);
+    res.status(500).json({ error: 'Failed to delete site scan.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const TeamInvite = require('../models/TeamInvite');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { TEAM_ROLES } = require('../models/Team');
+const { authenticateToken } = require('./auth');
+const { transporter } = require('../services/mailer');
+const { hasRole, getTeamRole } = require('../services/permissions');
+
+const router = express.Router();
+
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Load a team the current user belongs to. Sends the error response and
+// returns null when the ID is invalid, the team is missing or the user's
+// role is below minRole.
+async function loadTeam(req, res, minRole = 'viewer') {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid team ID.' });
+    return null;
+  }
+
+  const team = await Team.findById(req.params.id);
+  const role = team && await getTeamRole(team, req.user.id);
+  if (!role) {
+    res.status(404).json({ error: 'Team not found' });
+    return null;
+  }
+  if (!hasRole(role, minRole)) {
+    res.status(403).json({ error: `This action requires the ${minRole} role.` });
+    return null;
+  }
+
+  return { team, role };
+}
+
+function countOwners(team) {
+  return team.members.filter(member => member.role === 'owner').length;
+}
+
+// GET /teams - Teams the current user belongs to
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const teams = await Team.find({ 'members.userId': req.user.id }).sort({ name: 1 });
+    res.json({
+      teams: teams.map(team => ({
+        ...team.toObject(),
+        role: team.members.find(member => String(member.userId) === String(req.user.id)).role
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({ error: 'Failed to fetch teams.' });
+  }
+});
+
+// POST /teams - Create a team; the creator becomes its owner
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({ error: 'A name of at most 100 characters is required.' });
+    }
+
+    const team = await Team.create({
+      name,
+      createdBy: req.user.id,
+      members: [{ userId: req.user.id, role: 'owner' }]
+    });
+
+    res.status(201).json({ ...team.toObject(), role: 'owner' });
+  } catch (error) {
+    console.error('Error creating team:', error);
+    res.status(500).json({ error: 'Failed to create team.' });
+  }
+});
+
+// GET /teams/invites - Pending invitations for the current user's email
+router.get('/invites', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const invites = await TeamInvite.find({
+      email: user.email,
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).populate('teamId', 'name');
+
+    res.json({ invites });
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({ error: 'Failed to fetch invites.' });
+  }
+});
+
+// POST /teams/invites/accept - Join a team with the emailed invite token
+router.post('/invites/accept', authenticateToken, async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'token is required.' });
+    }
+
+    const invite = await TeamInvite.findOne({ tokenHash: hashToken(token), acceptedAt: null });
+    if (!invite || invite.expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'This invitation is invalid or has expired.' });
+    }
+
+    // Invites are bound to the address they were sent to
+    const user = await User.findById(req.user.id);
+    if (!user || user.email !== invite.email) {
+      return res.status(403).json({ error: 'This invitation was sent to a different email address.' });
+    }
+
+    const team = await Team.findById(invite.teamId);
+    if (!team) {
+      return res.status(404).json({ error: 'Team not found' });
+    }
+
+    if (!team.members.some(member => String(member.userId) === String(user._id))) {
+      team.members.push({ userId: user._id, role: invite.role });
+      await team.save();
+    }
+
+    invite.acceptedAt = new Date();
+    await invite.save();
+
+    res.json({ message: 'Invitation accepted', team });
+  } catch (error) {
+    console.error('Error accepting invite:', error);
+    res.status(500).json({ error: 'Failed to accept invitation.' });
+  }
+});
+
+// GET /teams/:id - Team with members, projects and (for owners) pending invites
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadTeam(req, res);
+    if (!access) return;
+    const { team, role } = access;
+
+    await team.populate('members.userId', 'username name email');
+    const projects = await Project.find({ teamId: team._id }).sort({ name: 1 });
+    const invites = role === 'owner'
+      ? await TeamInvite.find({ teamId: team._id, acceptedAt: null, expiresAt: { $gt: new Date() } })
+      : [];
+
+    res.json({ ...team.toObject(), role, projects, invites });
+  } catch (error) {
+    console.error('Error fetching team:', error);
+    res.status(500).json({ error: 'Failed to fetch team.' });
+  }
+});
+
+// PUT /teams/:id - Rename a team
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadTeam(req, res, 'owner');
+    if (!access) return;
+
+    const { name } = req.body;
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({ error: 'A name of at most 100 characters is required.' });
+    }
+
+    access.team.name = name;
+    await access.team.save();
+    res.json(access.team);
+  } catch (error) {
+    console.error('Error updating team:', error);
+    res.status(500).json({ error: 'Failed to update team.' });
+  }
+});
+
+// DELETE /teams/:id - Delete a team that has no projects left
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadTeam(req, res, 'owner');
+    if (!access) return;
+
+    if (await Project.exists({ teamId: access.team._id })) {
+      return res.status(409).json({ error: 'Delete the team\'s projects first.' });
+    }
+
+    await TeamInvite.deleteMany({ teamId: access.team._id });
+    await access.team.deleteOne();
+    res.json({ message: 'Team deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    res.status(500).json({ error: 'Failed to delete team.' });
+  }
+});
+
+// POST /teams/:id/invites - Invite someone by email
+router.post('/:id/invites', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadTeam(req, res, 'owner');
+    if (!access) return;
+    const { team } = access;
+
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const { role = 'viewer' } = req.body;
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email address is required.' });
+    }
+    if (!TEAM_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${TEAM_ROLES.join(', ')}.` });
+    }
+
+    const existingUser = await User.findOne({ email }).select('_id');
+    if (existingUser && team.members.some(member => String(member.userId) === String(existingUser._id))) {
+      return res.status(400).json({ error: 'This user is already a member of the team' });
+    }
+
+    // A new invite replaces any earlier one for the same address
+    await TeamInvite.deleteMany({ teamId: team._id, email, acceptedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invite = await TeamInvite.create({
+      teamId: team._id,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + INVITE_TTL)
+    });
+
+    const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invites/accept?token=${token}`;
+    let emailSent = false;
+
+    if (transporter) {
+      try {
+        await transporter.sendMail({
+          from: process.env.SMTP_USER,
+          to: email,
+          subject: `You've been invited to ${team.name} on A11yCheck`,
+          html: `
+            <p>You have been invited to join <strong>${escapeHtml(team.name)}</strong> on A11yCheck as ${escapeHtml(role)}.</p>
+            <p><a href="${escapeHtml(acceptUrl)}">Accept the invitation</a></p>
+            <p>The invitation expires in 7 days.</p>
+          `
+        });
+        emailSent = true;
+      } catch (mailError) {
+        console.error('Failed to send team invite:', mailError);
+      }
+    }
+
+    res.status(201).json({
+      id: invite._id,
+      email,
+      role,
+      expiresAt: invite.expiresAt,
+      emailSent,
+      // Without email the owner has to pass the link on themselves
+      ...(emailSent ? {} : { acceptUrl })
+    });
+  } catch (error) {
+    console.error('Error inviting team member:', error);
+    res.status(500).json({ error: 'Failed to send invitation.' });
+  }
+});
+
+// DELETE /teams/:id/invites/:inviteId - Withdraw a pending invitation
+router.delete('/:id/invites/:inviteId', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadTeam(req, res, 'owner');
+    if (!access) return;
+
+    if (!mongoose.isValidObjectId(req.params.inviteId)) {
+      return res.status(400).json({ error: 'Invalid invite ID.' });
+    }
+
+    const invite = await TeamInvite.findOneAndDelete({ _id: req.params.inviteId, teamId: access.team._id, acceptedAt: null });
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    res.json({ message: 'Invitation withdrawn' });
+  } catch (error) {
+    console.error('Error withdrawing invite:', error);
+    res.status(500).json({ error: 'Failed to withdraw invitation.' });
+  }
+});
+
+// PUT /teams/:id/members/:userId - Change a member's role
+router.put('/:id/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const access = await loadTeam(req, res, 'owner');
+    if (!access) return;
+    const { team } = access;
+
+    const { role } = req.body;
+    if (!TEAM_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${TEAM_ROLES.join(', ')}.` });
+    }
+
+    const member = team.members.find(entry => String(entry.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner' && role !== 'owner' && countOwners(team) === 1) {
+      return res.status(400).json({ error: 'A team needs at least one owner.' });
+    }
+
+    member.role = role;
+    await team.save();
+    res.json(team);
+  } catch (error) {
+    console.error('Error updating team member:', error);
+    res.status(500).json({ error: 'Failed to update team member.' });
+  }
+});
+
+// DELETE /teams/:id/members/:userId - Remove a member (or leave the team)
+router.delete('/:id/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const leaving = req.params.userId === String(req.user.id);
+    const access = await loadTeam(req, res, leaving ? 'viewer' : 'owner');
+    if (!access) return;
+    const { team } = access;
+
+    const member = team.members.find(entry => String(entry.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner' && countOwners(team) === 1) {
+      return res.status(400).json({ error: 'A team needs at least one owner.' });
+    }
+
+    team.members = team.members.filter(entry => entry !== member);
+    await team.save();
+    res.json({ message: leaving ? 'You left the team' : 'Member removed' });
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    res.status(500).json({ error: 'Failed to remove team member.' });
+  }
+});
+
+module.exports = router;
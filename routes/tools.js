@@ -0,0 +1,41 @@
+const express = require('express');
+const { parseColor, blend, evaluateContrast } = require('../services/contrast');
+
+const router = express.Router();
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+// POST /tools/contrast - Check a text/background color pair against WCAG AA
+// and AAA. Body: { foreground, background, fontSize (px, optional),
+// fontWeight (optional) }. Failing levels come with the nearest passing
+// text and background colors.
+router.post('/contrast', (req, res) => {
+  const { foreground, background, fontSize = null, fontWeight = 400 } = req.body || {};
+
+  const text = parseColor(foreground);
+  const behind = parseColor(background);
+  if (!text || !behind) {
+    return res.status(400).json({ error: 'foreground and background must be CSS colors (#hex, rgb(), rgba(), hsl() or a basic color name).' });
+  }
+
+  if (fontSize !== null && (typeof fontSize !== 'number' || fontSize <= 0 || fontSize > 500)) {
+    return res.status(400).json({ error: 'fontSize must be a size in pixels between 0 and 500.' });
+  }
+
+  if (!Number.isInteger(fontWeight) || fontWeight < 1 || fontWeight > 1000) {
+    return res.status(400).json({ error: 'fontWeight must be an integer between 1 and 1000.' });
+  }
+
+  // Translucent colors are checked as painted: the background over white,
+  // the text over the background
+  const opaqueBackground = blend(behind, WHITE);
+  const opaqueForeground = blend(text, opaqueBackground);
+
+  res.json({
+    ...evaluateContrast(opaqueForeground, opaqueBackground, { fontSize, fontWeight }),
+    fontSize,
+    fontWeight
+  });
+});
+
+module.exports = router;
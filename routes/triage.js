@@ -0,0 +1,68 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const IssueTriage = require('../models/IssueTriage');
+const { TRIAGE_STATUSES } = require('../models/IssueTriage');
+const { authenticateToken } = require('./auth');
+const { getProjectAccess } = require('../services/permissions');
+
+const router = express.Router();
+
+// GET /triage - Triaged issues of a project (?projectId=) or of the user's
+// own scans. Filters: url, status, assignee ('me' or a user ID).
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { projectId, url, status, assignee, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (projectId) {
+      const access = await getProjectAccess(req.user.id, projectId);
+      if (!access) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      filter.projectId = access.project._id;
+    } else {
+      filter.projectId = null;
+      filter.userId = req.user.id;
+    }
+
+    if (url) filter.url = String(url);
+    if (status) {
+      if (!TRIAGE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${TRIAGE_STATUSES.join(', ')}.` });
+      }
+      filter.status = status;
+    }
+    if (assignee) {
+      const assigneeId = assignee === 'me' ? req.user.id : assignee;
+      if (!mongoose.isValidObjectId(assigneeId)) {
+        return res.status(400).json({ error: 'assignee must be "me" or a user ID.' });
+      }
+      filter.assigneeId = assigneeId;
+    }
+
+    const perPage = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const [issues, total] = await Promise.all([
+      IssueTriage.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((Math.max(parseInt(page, 10) || 1, 1) - 1) * perPage)
+        .limit(perPage)
+        .populate('assigneeId', 'username name'),
+      IssueTriage.countDocuments(filter)
+    ]);
+
+    res.json({
+      issues,
+      pagination: {
+        current: Number(page),
+        total: Math.ceil(total / perPage),
+        count: issues.length,
+        totalIssues: total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching triage list:', error);
+    res.status(500).json({ error: 'Failed to fetch triaged issues.' });
+  }
+});
+
+module.exports = router;
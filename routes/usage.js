@@ -0,0 +1,23 @@
+const express = require('express');
+const { authenticateToken } = require('./auth');
+const { getUsage } = require('../services/usage');
+const { PLANS } = require('../data/plans');
+
+const router = express.Router();
+
+// GET /usage - The user's plan, scan requests this minute, scans queued
+// today and this month against their quotas, scans in progress and daily
+// scans over the last 30 days
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      ...await getUsage(req.user.id),
+      plans: Object.entries(PLANS).map(([id, plan]) => ({ id, ...plan }))
+    });
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({ error: 'Failed to fetch usage.' });
+  }
+});
+
+module.exports = router;
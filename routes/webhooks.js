@@ -0,0 +1,343 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const { authenticateToken } = require('./auth');
+const { hasRole, getProjectAccess } = require('../services/permissions');
+const { isEncryptionConfigured } = require('../services/secrets');
+const { checkUrl } = require('../services/urlPolicy');
+const { generateWebhookSecret, encryptWebhookSecret, sendTestEvent, redeliver } = require('../services/webhooks');
+
+const router = express.Router();
+
+const MAX_WEBHOOKS_PER_SCOPE = 20;
+
+// The signing secret is write-only: it is returned when created or rotated
+function serializeWebhook(webhook) {
+  return {
+    id: webhook._id,
+    projectId: webhook.projectId,
+    name: webhook.name,
+    url: webhook.url,
+    events: webhook.events,
+    format: webhook.format,
+    enabled: webhook.enabled,
+    lastDeliveryAt: webhook.lastDeliveryAt,
+    lastDeliveryStatus: webhook.lastDeliveryStatus,
+    createdAt: webhook.createdAt,
+    updatedAt: webhook.updatedAt
+  };
+}
+
+// Validate a create/update body. Returns { values } or { error }.
+function parseWebhookBody(body, existing = null) {
+  const values = {};
+
+  if (body.url !== undefined || !existing) {
+    try {
+      if (!body.url || typeof body.url !== 'string' || !['http:', 'https:'].includes(new URL(body.url).protocol)) {
+        throw new Error('invalid');
+      }
+    } catch (urlError) {
+      return { error: 'A valid http:// or https:// URL is required.' };
+    }
+    values.url = body.url;
+  }
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.length > 100) {
+      return { error: 'name must be a string of at most 100 characters.' };
+    }
+    values.name = body.name;
+  }
+
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.length === 0 ||
+        body.events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return { error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}.` };
+    }
+    values.events = [...new Set(body.events)];
+  }
+
+  if (body.format !== undefined) {
+    if (!['json', 'slack'].includes(body.format)) {
+      return { error: 'format must be "json" or "slack".' };
+    }
+    values.format = body.format;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean.' };
+    }
+    values.enabled = body.enabled;
+  }
+
+  return { values };
+}
+
+// Check the current user can manage webhooks of a scope: their own, or a
+// project's (editors and owners). Returns the scope filter, or sends the
+// error response and returns null.
+async function loadScope(req, res, projectId) {
+  if (!projectId) {
+    return { userId: req.user.id, projectId: null };
+  }
+
+  const access = mongoose.isValidObjectId(projectId) && await getProjectAccess(req.user.id, projectId);
+  if (!access) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+  if (!hasRole(access.role, 'editor')) {
+    res.status(403).json({ error: 'Managing project webhooks requires the editor role.' });
+    return null;
+  }
+  return { projectId: access.project._id };
+}
+
+// Load a webhook the current user can manage, or send the error response
+// and return null
+async function loadWebhook(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: 'Invalid webhook ID.' });
+    return null;
+  }
+
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook || (!webhook.projectId && String(webhook.userId) !== String(req.user.id))) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  if (webhook.projectId && !await loadScope(req, res, webhook.projectId)) {
+    return null;
+  }
+  return webhook;
+}
+
+// GET /webhooks - The user's personal webhooks, or a project's (?projectId=)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const scope = await loadScope(req, res, req.query.projectId);
+    if (!scope) return;
+
+    const webhooks = await Webhook.find(scope).sort({ createdAt: -1 });
+    res.json({ webhooks: webhooks.map(serializeWebhook), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks.' });
+  }
+});
+
+// POST /webhooks - Register a webhook. The signing secret is only returned
+// here (and when rotated).
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    if (!isEncryptionConfigured()) {
+      return res.status(503).json({ error: 'Webhook secrets cannot be stored: CREDENTIALS_SECRET is not configured on this server.' });
+    }
+
+    const scope = await loadScope(req, res, req.body.projectId);
+    if (!scope) return;
+
+    const { values, error } = parseWebhookBody(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const target = await checkUrl(values.url);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error, code: target.code });
+    }
+
+    if (await Webhook.countDocuments(scope) >= MAX_WEBHOOKS_PER_SCOPE) {
+      return res.status(400).json({ error: `At most ${MAX_WEBHOOKS_PER_SCOPE} webhooks can be registered here.` });
+    }
+
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.create({
+      ...values,
+      ...scope,
+      userId: req.user.id,
+      secret: encryptWebhookSecret(secret)
+    });
+
+    res.status(201).json({ ...serializeWebhook(webhook), secret });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook.' });
+  }
+});
+
+// GET /webhooks/:id - One webhook
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+    res.json(serializeWebhook(webhook));
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook.' });
+  }
+});
+
+// PUT /webhooks/:id - Update the URL, name, events, format or enabled flag
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const { values, error } = parseWebhookBody(req.body, webhook);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (values.url) {
+      const target = await checkUrl(values.url);
+      if (target.error) {
+        return res.status(target.status).json({ error: target.error, code: target.code });
+      }
+    }
+
+    webhook.set(values);
+    await webhook.save();
+    res.json(serializeWebhook(webhook));
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook.' });
+  }
+});
+
+// POST /webhooks/:id/secret - Replace the signing secret
+router.post('/:id/secret', authenticateToken, async (req, res) => {
+  try {
+    if (!isEncryptionConfigured()) {
+      return res.status(503).json({ error: 'Webhook secrets cannot be stored: CREDENTIALS_SECRET is not configured on this server.' });
+    }
+
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const secret = generateWebhookSecret();
+    await Webhook.updateOne({ _id: webhook._id }, { $set: { secret: encryptWebhookSecret(secret) } });
+    res.json({ ...serializeWebhook(webhook), secret });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret.' });
+  }
+});
+
+// DELETE /webhooks/:id - Remove a webhook and its delivery log
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await webhook.deleteOne();
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook.' });
+  }
+});
+
+// POST /webhooks/:id/test - Send a 'ping' event to the endpoint
+router.post('/:id/test', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    if (!webhook.enabled) {
+      return res.status(409).json({ error: 'Enable the webhook before testing it.' });
+    }
+
+    const delivery = await sendTestEvent(webhook);
+    res.status(202).json({ message: 'Test event queued', deliveryId: delivery._id });
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    res.status(500).json({ error: 'Failed to send test event.' });
+  }
+});
+
+// GET /webhooks/:id/deliveries - Delivery log with every attempt (newest
+// first; ?status=pending|delivered|failed)
+router.get('/:id/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) {
+      if (!['pending', 'delivered', 'failed'].includes(req.query.status)) {
+        return res.status(400).json({ error: 'status must be pending, delivered or failed.' });
+      }
+      filter.status = req.query.status;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-payload'),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      deliveries,
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: deliveries.length,
+        totalDeliveries: total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries.' });
+  }
+});
+
+// GET /webhooks/:id/deliveries/:deliveryId - One delivery with its payload
+router.get('/:id/deliveries/:deliveryId', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId) &&
+      await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id });
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery.' });
+  }
+});
+
+// POST /webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivery again
+// (a new attempt on the same delivery)
+router.post('/:id/deliveries/:deliveryId/redeliver', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId) &&
+      await redeliver(webhook._id, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found, or it is still being retried' });
+    }
+    res.status(202).json(delivery);
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook.' });
+  }
+});
+
+module.exports = router;
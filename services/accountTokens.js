@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const { transporter } = require('./mailer');
+
+// Email verification, email changes and password resets. Each link carries a
+// random single-use token; only its hash is stored, and issuing a new token
+// for the same purpose voids the earlier ones.
+
+const TOKEN_TTL = {
+  verify_email: 24 * 60 * 60 * 1000,
+  change_email: 24 * 60 * 60 * 1000,
+  reset_password: 60 * 60 * 1000
+};
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Create a token for a user and purpose. Returns the plain token.
+async function issueAccountToken(userId, purpose, email) {
+  await AccountToken.deleteMany({ userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccountToken.create({
+    userId,
+    purpose,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL[purpose])
+  });
+  return token;
+}
+
+// Use up a token. Returns the token record, or null when the token is
+// unknown, expired or already used. Marking it used is atomic, so a token
+// works only once even when presented twice at the same time.
+function consumeAccountToken(token, purposes) {
+  if (typeof token !== 'string' || !token) return Promise.resolve(null);
+
+  return AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose: { $in: [].concat(purposes) },
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+}
+
+// Void a user's unused tokens, e.g. pending resets once the password changed
+function revokeAccountTokens(userId, purpose) {
+  return AccountToken.deleteMany({ userId, purpose, usedAt: null });
+}
+
+// Send an email if email is configured. Returns whether it was sent.
+async function sendAccountEmail(to, subject, html) {
+  if (!transporter) {
+    console.log(`Email is not configured; "${subject}" was not sent to ${to}`);
+    return false;
+  }
+
+  try {
+    await transporter.sendMail({ from: process.env.SMTP_USER, to, subject, html });
+    return true;
+  } catch (error) {
+    console.error(`Failed to send "${subject}" email:`, error);
+    return false;
+  }
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueAccountToken(user._id, 'verify_email', user.email);
+  const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+  return sendAccountEmail(user.email, 'Verify your A11yCheck email address', `
+    <p>Hi ${escapeHtml(user.name)},</p>
+    <p>Please confirm that this is your email address:</p>
+    <p><a href="${escapeHtml(link)}">Verify email address</a></p>
+    <p>The link expires in 24 hours. If you did not create an A11yCheck account, you can ignore this email.</p>
+  `);
+}
+
+// The change only takes effect once the new address is confirmed; the
+// current address is told about the request
+async function sendEmailChangeEmails(user, newEmail) {
+  const token = await issueAccountToken(user._id, 'change_email', newEmail);
+  const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+  const sent = await sendAccountEmail(newEmail, 'Confirm your new A11yCheck email address', `
+    <p>Hi ${escapeHtml(user.name)},</p>
+    <p>Confirm <strong>${escapeHtml(newEmail)}</strong> as the email address of your A11yCheck account:</p>
+    <p><a href="${escapeHtml(link)}">Confirm new email address</a></p>
+    <p>The link expires in 24 hours.</p>
+  `);
+
+  await sendAccountEmail(user.email, 'Your A11yCheck email address is being changed', `
+    <p>Hi ${escapeHtml(user.name)},</p>
+    <p>Someone asked to change the email address of your A11yCheck account to ${escapeHtml(newEmail)}.
+    It changes once the new address is confirmed.</p>
+    <p>If this wasn't you, change your password now.</p>
+  `);
+
+  return sent;
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueAccountToken(user._id, 'reset_password', user.email);
+  const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+  return sendAccountEmail(user.email, 'Reset your A11yCheck password', `
+    <p>Hi ${escapeHtml(user.name)},</p>
+    <p>We received a request to reset the password of your A11yCheck account (${escapeHtml(user.username)}).</p>
+    <p><a href="${escapeHtml(link)}">Choose a new password</a></p>
+    <p>The link expires in 1 hour and can be used once. If you did not ask for this, you can ignore this email.</p>
+  `);
+}
+
+function sendPasswordChangedEmail(user) {
+  return sendAccountEmail(user.email, 'Your A11yCheck password was changed', `
+    <p>Hi ${escapeHtml(user.name)},</p>
+    <p>The password of your A11yCheck account (${escapeHtml(user.username)}) was just changed.</p>
+    <p>If this wasn't you, reset your password now and contact support.</p>
+  `);
+}
+
+module.exports = {
+  consumeAccountToken,
+  revokeAccountTokens,
+  sendVerificationEmail,
+  sendEmailChangeEmails,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+// Long-lived keys for CI pipelines. Keys are random, so a plain SHA-256
+// hash is enough to store them; the key itself is only returned once.
+
+const KEY_PREFIX = 'a11y_';
+// Don't write lastUsedAt on every request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+// Returns { key, prefix, keyHash }
+function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return {
+    key,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key)
+  };
+}
+
+// The active (not revoked, not expired) key record for a presented key
+async function findActiveApiKey(key) {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key), revokedAt: null });
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.error('Error updating API key usage:', error));
+  }
+
+  return apiKey;
+}
+
+module.exports = {
+  isApiKey,
+  generateApiKey,
+  findActiveApiKey
+};
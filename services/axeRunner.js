@@ -0,0 +1,70 @@
+const { AxePuppeteer } = require('@axe-core/puppeteer');
+
+// axe impact -> our severity levels
+const IMPACT_SEVERITY = {
+  critical: 'error',
+  serious: 'error',
+  moderate: 'warning',
+  minor: 'notice'
+};
+
+// axe targets are arrays (one entry per iframe/shadow boundary)
+function targetToSelector(target) {
+  return target
+    .map(part => (Array.isArray(part) ? part.join(' ') : part))
+    .join(' ');
+}
+
+// Convert axe results into raw issues shaped like Pa11y's
+function normalizeAxeResults(results, { includeWarnings = true } = {}) {
+  const issues = [];
+
+  const addNodes = (rule, severityFor) => {
+    for (const node of rule.nodes) {
+      issues.push({
+        code: rule.id,
+        type: severityFor(node),
+        title: rule.help,
+        message: node.failureSummary
+          ? `${rule.help}. ${node.failureSummary}`
+          : `${rule.help}. ${rule.description}`,
+        selector: targetToSelector(node.target),
+        context: String(node.html || '').slice(0, 300),
+        runner: 'axe',
+        tags: rule.tags,
+        helpUrl: rule.helpUrl
+      });
+    }
+  };
+
+  for (const rule of results.violations) {
+    addNodes(rule, node => IMPACT_SEVERITY[node.impact || rule.impact] || 'warning');
+  }
+
+  // "Incomplete" results need manual review, which is what HTMLCS warnings mean too
+  if (includeWarnings) {
+    for (const rule of results.incomplete) {
+      addNodes(rule, () => 'warning');
+    }
+  }
+
+  return issues;
+}
+
+// Run axe against a page that has already been loaded. rootElement and
+// hideElements limit the audit the same way they do for Pa11y.
+async function runAxe(page, { tags, includeWarnings = true, rootElement = '', hideElements = [] } = {}) {
+  const axe = new AxePuppeteer(page).withTags(tags);
+  if (rootElement) axe.include(rootElement);
+  hideElements.forEach(selector => axe.exclude(selector));
+
+  const results = await axe.analyze();
+  console.log(`axe found ${results.violations.length} violated rules, ${results.incomplete.length} needing review`);
+  return normalizeAxeResults(results, { includeWarnings });
+}
+
+module.exports = {
+  IMPACT_SEVERITY,
+  runAxe,
+  normalizeAxeResults
+};
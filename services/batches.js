@@ -0,0 +1,318 @@
+const Batch = require('../models/Batch');
+const Scan = require('../models/Scan');
+const { loadSitemapUrls } = require('./crawler');
+const { enqueueScan, scanEvents } = require('./scanQueue');
+const { resolveScanAuth, buildRequestHeaders } = require('./scanAuth');
+const { encryptJson } = require('./secrets');
+const { getUserPlan, checkScanQuota, planConcurrency } = require('./usage');
+
+const MAX_BATCH_URLS = parseInt(process.env.BATCH_MAX_URLS, 10) || 500;
+const DEFAULT_BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+const MAX_BATCH_CONCURRENCY = parseInt(process.env.BATCH_MAX_CONCURRENCY, 10) || 10;
+const WORST_PAGES = 10;
+
+// Split one CSV line, honouring quoted fields ("a, b" and "" escapes)
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',' || char === ';' || char === '\t') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+// URLs from CSV text: the 'url' column when there is a header row naming
+// one, otherwise the first column
+function parseUrlCsv(text) {
+  const rows = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(splitCsvLine);
+  if (!rows.length) return [];
+
+  const header = rows[0].map(field => field.toLowerCase());
+  const urlColumn = header.findIndex(field => ['url', 'urls', 'link', 'page'].includes(field));
+  const hasHeader = urlColumn !== -1 || !/^https?:\/\//i.test(rows[0][0]);
+
+  return rows
+    .slice(hasHeader ? 1 : 0)
+    .map(row => row[Math.max(urlColumn, 0)])
+    .filter(Boolean);
+}
+
+// Validate and de-duplicate a URL list. Returns { urls } or { error }.
+function normalizeBatchUrls(list) {
+  if (!Array.isArray(list) || list.length === 0) {
+    return { error: 'At least one URL is required.' };
+  }
+
+  const urls = [];
+  const invalid = [];
+  for (const value of list) {
+    try {
+      const parsed = new URL(String(value).trim());
+      if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('invalid');
+      parsed.hash = '';
+      urls.push(parsed.toString());
+    } catch (error) {
+      invalid.push(String(value).slice(0, 200));
+    }
+  }
+
+  if (invalid.length) {
+    return { error: `Invalid URLs (http:// or https:// required): ${invalid.slice(0, 5).join(', ')}${invalid.length > 5 ? ` and ${invalid.length - 5} more` : ''}` };
+  }
+
+  const unique = [...new Set(urls)];
+  if (unique.length > MAX_BATCH_URLS) {
+    return { error: `A batch can contain at most ${MAX_BATCH_URLS} URLs (got ${unique.length}).` };
+  }
+  return { urls: unique };
+}
+
+// Create a batch and start it in the background. URL lists start right away;
+// sitemaps are fetched first.
+async function startBatch({ userId, projectId = null, name = '', source, urls = [], sitemapUrl = null, concurrency = DEFAULT_BATCH_CONCURRENCY, scanOptions, auth = null }) {
+  const batch = await Batch.create({
+    userId,
+    projectId,
+    name,
+    source,
+    sitemapUrl,
+    concurrency,
+    scanOptions: { ...scanOptions, authenticated: Boolean(scanOptions.credentialId || auth) },
+    authEncrypted: auth ? encryptJson(auth) : null,
+    items: urls.map(url => ({ url })),
+    progress: { total: urls.length, waiting: urls.length },
+    status: source === 'sitemap' ? 'pending' : 'running',
+    timestamp: new Date()
+  });
+
+  console.log(`Batch ${batch._id} created with ${source === 'sitemap' ? `sitemap ${sitemapUrl}` : `${urls.length} URLs`}`);
+  setImmediate(() => {
+    const run = source === 'sitemap' ? collectSitemap(batch._id) : refreshBatch(batch._id);
+    run.catch(error => console.error(`Batch ${batch._id} failed to start:`, error));
+  });
+  return batch;
+}
+
+// Read the URLs of a sitemap batch, then start scanning
+async function collectSitemap(batchId) {
+  const batch = await Batch.findOneAndUpdate(
+    { _id: batchId, status: { $in: ['pending', 'collecting'] } },
+    { $set: { status: 'collecting' } },
+    { new: true }
+  ).select('+authEncrypted');
+  if (!batch) return;
+
+  try {
+    // Sitemaps of sites behind a login get the same headers as the scans
+    const auth = await resolveScanAuth({
+      userId: batch.userId,
+      options: batch.scanOptions,
+      authEncrypted: batch.authEncrypted
+    });
+    const locs = await loadSitemapUrls([batch.sitemapUrl], MAX_BATCH_URLS, {
+      origin: new URL(batch.sitemapUrl).origin,
+      requestHeaders: buildRequestHeaders(auth, { includeCookies: true })
+    });
+
+    // Skip malformed <loc> entries rather than failing the whole batch
+    const urls = [...new Set(locs.map(loc => normalizeBatchUrls([loc]).urls).filter(Boolean).flat())];
+    if (urls.length === 0) {
+      throw new Error('No URLs found in the sitemap');
+    }
+
+    // The batch was only counted as one scan when it was created
+    const overQuota = await checkScanQuota(batch.userId, { count: urls.length, concurrency: false });
+    if (overQuota) {
+      throw new Error(overQuota.error);
+    }
+
+    await Batch.updateOne({ _id: batchId }, {
+      $set: {
+        items: urls.map(url => ({ url })),
+        progress: { total: urls.length, waiting: urls.length },
+        status: 'running'
+      }
+    });
+    await refreshBatch(batchId);
+  } catch (error) {
+    console.error(`Batch ${batchId} sitemap failed:`, error.message);
+    await Batch.updateOne({ _id: batchId }, {
+      $set: { status: 'failed', error: String(error.message), completedAt: new Date() }
+    });
+  }
+}
+
+function buildSummary(items) {
+  const completed = items.filter(item => item.status === 'completed');
+  const failed = items.filter(item => item.status === 'failed');
+
+  return {
+    averageScore: completed.length
+      ? Math.round(completed.reduce((sum, item) => sum + item.score, 0) / completed.length)
+      : null,
+    totalIssues: completed.reduce((sum, item) => sum + item.issues, 0),
+    totalErrors: completed.reduce((sum, item) => sum + item.errorCount, 0),
+    worstPages: [...completed]
+      .sort((a, b) => a.score - b.score || b.errorCount - a.errorCount)
+      .slice(0, WORST_PAGES)
+      .map(({ url, scanId, score, issues, errorCount }) => ({ url, scanId, score, issues, errorCount })),
+    failures: failed.map(({ url, scanId, error }) => ({ url, scanId, error }))
+  };
+}
+
+// Sync the items with their scans, queue waiting URLs up to the batch's
+// concurrency (capped by the user's current plan) and finish the batch once
+// every URL is done
+async function updateBatch(batchId) {
+  const batch = await Batch.findById(batchId).select('+authEncrypted');
+  if (!batch || batch.status !== 'running') return batch;
+
+  const concurrency = planConcurrency(await getUserPlan(batch.userId), batch.concurrency);
+
+  const scans = await Scan.find({ batchId }).select('url status score issues error issueDetails.severity issueDetails.falsePositive');
+  const scansById = new Map(scans.map(scan => [String(scan._id), scan]));
+  // Scans queued before an interrupted update was saved
+  const scansByUrl = new Map(scans.map(scan => [scan.url, scan]));
+
+  const items = batch.items.map(item => {
+    const plain = item.toObject();
+    const scan = plain.scanId ? scansById.get(String(plain.scanId)) : scansByUrl.get(plain.url);
+    if (!scan) {
+      return plain.scanId ? { ...plain, status: 'failed', error: 'The scan was deleted' } : plain;
+    }
+
+    const count = severity => scan.issueDetails.filter(issue => issue.severity === severity && !issue.falsePositive).length;
+    return {
+      ...plain,
+      scanId: scan._id,
+      status: scan.status,
+      score: scan.status === 'completed' ? scan.score : null,
+      issues: scan.issues,
+      errorCount: count('error'),
+      warningCount: count('warning'),
+      error: scan.error || ''
+    };
+  });
+
+  let inProgress = items.filter(item => ['pending', 'running'].includes(item.status)).length;
+  for (const item of items) {
+    if (inProgress >= concurrency) break;
+    if (item.status !== 'waiting') continue;
+
+    const scan = await enqueueScan({
+      userId: batch.userId,
+      url: item.url,
+      options: batch.scanOptions.toObject(),
+      authEncrypted: batch.authEncrypted,
+      projectId: batch.projectId,
+      batchId: batch._id
+    });
+    item.scanId = scan._id;
+    item.status = 'pending';
+    inProgress++;
+  }
+
+  const count = status => items.filter(item => item.status === status).length;
+  const progress = {
+    total: items.length,
+    waiting: count('waiting'),
+    inProgress,
+    completed: count('completed'),
+    failed: count('failed')
+  };
+  const update = { items, progress, summary: buildSummary(items) };
+
+  if (progress.completed + progress.failed === items.length) {
+    update.status = progress.completed ? 'completed' : 'failed';
+    update.completedAt = new Date();
+    if (!progress.completed) update.error = 'Every URL in the batch failed to scan';
+  }
+
+  const updated = await Batch.findByIdAndUpdate(batchId, { $set: update }, { new: true });
+  if (!updated) {
+    // Deleted while we were queueing scans
+    await Scan.deleteMany({ batchId, status: 'pending' });
+  }
+  return updated;
+}
+
+// Updates of one batch run one at a time so two scans finishing together
+// cannot queue the same URL twice
+const batchUpdates = new Map();
+
+function refreshBatch(batchId) {
+  const key = String(batchId);
+  const next = (batchUpdates.get(key) || Promise.resolve())
+    .catch(() => {})
+    .then(() => updateBatch(batchId));
+
+  batchUpdates.set(key, next);
+  next.catch(() => {}).finally(() => {
+    if (batchUpdates.get(key) === next) batchUpdates.delete(key);
+  });
+  return next;
+}
+
+function onChildScanFinished(scan) {
+  if (!scan.batchId) return;
+  refreshBatch(scan.batchId).catch(error => {
+    console.error('Error updating batch:', error);
+  });
+}
+
+// Listen for batch scans finishing and pick up batches interrupted by a
+// restart
+async function startBatchMonitor() {
+  scanEvents.on('completed', onChildScanFinished);
+  scanEvents.on('failed', onChildScanFinished);
+
+  try {
+    const unfinished = await Batch.find({ status: { $in: ['pending', 'collecting', 'running'] } }).select('status');
+    for (const batch of unfinished) {
+      if (batch.status === 'running') {
+        await refreshBatch(batch._id);
+      } else {
+        setImmediate(() => collectSitemap(batch._id).catch(error => {
+          console.error(`Batch ${batch._id} failed to resume:`, error);
+        }));
+      }
+    }
+  } catch (error) {
+    console.error('Error resuming batches:', error);
+  }
+}
+
+module.exports = {
+  MAX_BATCH_URLS,
+  DEFAULT_BATCH_CONCURRENCY,
+  MAX_BATCH_CONCURRENCY,
+  parseUrlCsv,
+  normalizeBatchUrls,
+  startBatch,
+  refreshBatch,
+  startBatchMonitor
+};
@@ -0,0 +1,216 @@
+const puppeteer = require('puppeteer');
+
+// A small pool of long-lived Chrome instances shared by scans and PDF
+// reports. Each task gets a fresh page in its own incognito context, so
+// cookies and storage (logins!) never leak between scans.
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+// Pages one browser may have open at the same time
+const MAX_PAGES_PER_BROWSER = parseInt(process.env.BROWSER_MAX_PAGES, 10) || 2;
+// A browser is retired and replaced after serving this many pages, which
+// keeps slow leaks in Chrome from piling up
+const RECYCLE_AFTER = parseInt(process.env.BROWSER_RECYCLE_AFTER, 10) || 50;
+// How long a task waits for a free page before giving up
+const ACQUIRE_TIMEOUT = parseInt(process.env.BROWSER_ACQUIRE_TIMEOUT, 10) || 2 * 60 * 1000;
+
+// Tuned for small containers such as Render's. No --single-process: one
+// crashing page must not take the whole browser down. Web security stays on
+// so pages cannot read responses from other origins.
+const LAUNCH_CONFIG = {
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+    '--disable-features=VizDisplayCompositor',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    '--disable-field-trial-config',
+    '--disable-back-forward-cache',
+    '--disable-hang-monitor',
+    '--disable-ipc-flooding-protection',
+    '--disable-background-timer-throttling',
+    '--memory-pressure-off',
+    '--no-zygote'
+  ],
+  headless: 'new'
+};
+
+const browsers = [];
+const waiting = [];
+let nextBrowserId = 1;
+
+const stats = {
+  launched: 0,
+  launchFailures: 0,
+  crashes: 0,
+  pageCrashes: 0,
+  recycled: 0,
+  pagesServed: 0,
+  acquireTimeouts: 0,
+  waits: 0,
+  totalWaitMs: 0
+};
+
+function removeEntry(entry) {
+  const index = browsers.indexOf(entry);
+  if (index !== -1) browsers.splice(index, 1);
+}
+
+function launchBrowser() {
+  const entry = {
+    id: nextBrowserId++,
+    browser: null,
+    activePages: 0,
+    pagesServed: 0,
+    retiring: false,
+    closing: false,
+    startedAt: new Date()
+  };
+
+  entry.ready = puppeteer.launch(LAUNCH_CONFIG).then(browser => {
+    stats.launched++;
+    entry.browser = browser;
+    browser.on('disconnected', () => {
+      if (entry.closing) return;
+      stats.crashes++;
+      console.error(`Browser ${entry.id} crashed or was closed unexpectedly; it will be replaced`);
+      entry.closing = true;
+      removeEntry(entry);
+      serveWaiters();
+    });
+    return browser;
+  }, error => {
+    stats.launchFailures++;
+    entry.closing = true;
+    removeEntry(entry);
+    setImmediate(serveWaiters);
+    throw error;
+  });
+  // Failures are reported to the tasks waiting on this browser
+  entry.ready.catch(() => {});
+
+  browsers.push(entry);
+  return entry;
+}
+
+function closeEntry(entry) {
+  if (entry.closing) return;
+  entry.closing = true;
+  removeEntry(entry);
+  entry.ready
+    .then(browser => browser.close())
+    .catch(error => console.error(`Error closing browser ${entry.id}:`, error.message));
+  serveWaiters();
+}
+
+// Reserve a page on the least busy browser, launching one if the pool has
+// room. Returns the browser entry, or null when the pool is full.
+function reserveSlot() {
+  const available = browsers
+    .filter(entry => !entry.retiring && !entry.closing && entry.activePages < MAX_PAGES_PER_BROWSER)
+    .sort((a, b) => a.activePages - b.activePages);
+
+  let entry = available[0];
+  if (!entry) {
+    if (browsers.length >= POOL_SIZE) return null;
+    entry = launchBrowser();
+  }
+
+  entry.activePages++;
+  entry.pagesServed++;
+  stats.pagesServed++;
+  if (entry.pagesServed >= RECYCLE_AFTER) entry.retiring = true;
+  return entry;
+}
+
+function releaseSlot(entry) {
+  entry.activePages--;
+  if (entry.retiring && entry.activePages === 0 && !entry.closing) {
+    stats.recycled++;
+    closeEntry(entry);
+  }
+  serveWaiters();
+}
+
+function serveWaiters() {
+  while (waiting.length) {
+    const entry = reserveSlot();
+    if (!entry) return;
+
+    const waiter = waiting.shift();
+    clearTimeout(waiter.timer);
+    stats.waits++;
+    stats.totalWaitMs += Date.now() - waiter.since;
+    waiter.resolve(entry);
+  }
+}
+
+function waitForSlot() {
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, since: Date.now() };
+    waiter.timer = setTimeout(() => {
+      waiting.splice(waiting.indexOf(waiter), 1);
+      stats.acquireTimeouts++;
+      reject(new Error(`No browser became available within ${ACQUIRE_TIMEOUT}ms`));
+    }, ACQUIRE_TIMEOUT);
+    waiting.push(waiter);
+  });
+}
+
+// Run `task(page, browser)` on a fresh pooled page and clean up afterwards,
+// whatever the outcome. Resolves with the task's result.
+async function withPage(task) {
+  const entry = reserveSlot() || await waitForSlot();
+  let context = null;
+
+  try {
+    const browser = await entry.ready;
+    context = await browser.createIncognitoBrowserContext();
+    const page = await context.newPage();
+    page.on('error', error => {
+      // The page's renderer died; don't trust this browser with more work
+      stats.pageCrashes++;
+      console.error(`Page crashed in browser ${entry.id}:`, error.message);
+      entry.retiring = true;
+    });
+
+    return await task(page, browser);
+  } finally {
+    if (context) {
+      await context.close().catch(() => {});
+    }
+    releaseSlot(entry);
+  }
+}
+
+function getPoolStats() {
+  const now = Date.now();
+  return {
+    size: POOL_SIZE,
+    maxPagesPerBrowser: MAX_PAGES_PER_BROWSER,
+    recycleAfter: RECYCLE_AFTER,
+    browsers: browsers.length,
+    activePages: browsers.reduce((sum, entry) => sum + entry.activePages, 0),
+    waiting: waiting.length,
+    launched: stats.launched,
+    launchFailures: stats.launchFailures,
+    crashes: stats.crashes,
+    pageCrashes: stats.pageCrashes,
+    recycled: stats.recycled,
+    pagesServed: stats.pagesServed,
+    acquireTimeouts: stats.acquireTimeouts,
+    averageWaitMs: stats.waits ? Math.round(stats.totalWaitMs / stats.waits) : 0,
+    instances: browsers.map(entry => ({
+      id: entry.id,
+      status: !entry.browser ? 'launching' : entry.retiring ? 'retiring' : 'ready',
+      activePages: entry.activePages,
+      pagesServed: entry.pagesServed,
+      uptimeMs: now - entry.startedAt.getTime()
+    }))
+  };
+}
+
+module.exports = {
+  withPage,
+  getPoolStats
+};
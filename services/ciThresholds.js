@@ -0,0 +1,103 @@
+const { RULE_CODE_PATTERN, matchesRuleCode } = require('./scanOptions');
+
+// Pass/fail rules for CI pipelines. Every threshold is optional; a scan
+// passes when none of the configured ones is broken.
+
+const MAX_FORBIDDEN_RULES = 200;
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Validate the `thresholds` object of a CI scan request. Returns
+// { thresholds } or { error }.
+function parseThresholds(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'thresholds must be an object.' };
+  }
+
+  const { minScore = null, maxErrors = null, maxWarnings = null, forbiddenRules = [] } = input;
+
+  if (minScore !== null && (typeof minScore !== 'number' || minScore < 0 || minScore > 100)) {
+    return { error: 'thresholds.minScore must be a number between 0 and 100.' };
+  }
+  if (maxErrors !== null && !isCount(maxErrors)) {
+    return { error: 'thresholds.maxErrors must be a non-negative integer.' };
+  }
+  if (maxWarnings !== null && !isCount(maxWarnings)) {
+    return { error: 'thresholds.maxWarnings must be a non-negative integer.' };
+  }
+  if (!Array.isArray(forbiddenRules) || forbiddenRules.length > MAX_FORBIDDEN_RULES ||
+      !forbiddenRules.every(code => typeof code === 'string' && RULE_CODE_PATTERN.test(code))) {
+    return { error: `thresholds.forbiddenRules must be a list of at most ${MAX_FORBIDDEN_RULES} rule codes.` };
+  }
+
+  return {
+    thresholds: {
+      minScore,
+      maxErrors,
+      maxWarnings,
+      forbiddenRules: [...new Set(forbiddenRules)]
+    }
+  };
+}
+
+// Check a completed scan against its thresholds. Each failure names the
+// threshold, the limit and the actual value.
+function evaluateThresholds(scan, thresholds) {
+  const issues = (scan.issueDetails || []).filter(issue => !issue.falsePositive);
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  const warnings = issues.filter(issue => issue.severity === 'warning').length;
+  const failures = [];
+
+  if (thresholds.minScore !== null && scan.score < thresholds.minScore) {
+    failures.push({
+      threshold: 'minScore',
+      expected: thresholds.minScore,
+      actual: scan.score,
+      message: `Score ${scan.score} is below the minimum of ${thresholds.minScore}`
+    });
+  }
+
+  if (thresholds.maxErrors !== null && errors > thresholds.maxErrors) {
+    failures.push({
+      threshold: 'maxErrors',
+      expected: thresholds.maxErrors,
+      actual: errors,
+      message: `${errors} error(s) found (at most ${thresholds.maxErrors} allowed)`
+    });
+  }
+
+  if (thresholds.maxWarnings !== null && warnings > thresholds.maxWarnings) {
+    failures.push({
+      threshold: 'maxWarnings',
+      expected: thresholds.maxWarnings,
+      actual: warnings,
+      message: `${warnings} warning(s) found (at most ${thresholds.maxWarnings} allowed)`
+    });
+  }
+
+  for (const rule of thresholds.forbiddenRules || []) {
+    const matches = issues.filter(issue => matchesRuleCode(issue.code, [rule]));
+    if (matches.length) {
+      failures.push({
+        threshold: 'forbiddenRules',
+        rule,
+        actual: matches.length,
+        message: `Forbidden rule ${rule} was violated ${matches.length} time(s)`,
+        selectors: [...new Set(matches.map(issue => issue.selector).filter(Boolean))].slice(0, 20)
+      });
+    }
+  }
+
+  return {
+    passed: failures.length === 0,
+    counts: { errors, warnings, total: issues.length },
+    failures
+  };
+}
+
+module.exports = {
+  parseThresholds,
+  evaluateThresholds
+};
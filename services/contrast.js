@@ -0,0 +1,311 @@
+// WCAG color contrast: parsing CSS colors, contrast ratios, the ratio a
+// piece of text needs, and the nearest colors that would pass. Used by the
+// scanner to measure contrast issues and by POST /tools/contrast.
+
+// Minimum ratios by level, for normal and large text (1.4.3 and 1.4.6)
+const REQUIREMENTS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 }
+};
+
+// Large text is at least 18pt, or 14pt bold (1pt = 4/3 px)
+const LARGE_TEXT_PX = 24;
+const LARGE_BOLD_TEXT_PX = 18.66;
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  silver: [192, 192, 192],
+  red: [255, 0, 0],
+  maroon: [128, 0, 0],
+  orange: [255, 165, 0],
+  yellow: [255, 255, 0],
+  olive: [128, 128, 0],
+  lime: [0, 255, 0],
+  green: [0, 128, 0],
+  aqua: [0, 255, 255],
+  teal: [0, 128, 128],
+  blue: [0, 0, 255],
+  navy: [0, 0, 128],
+  fuchsia: [255, 0, 255],
+  purple: [128, 0, 128]
+};
+
+// Scan issues that are contrast failures, and the level their criterion
+// requires: HTMLCS 1.4.3 (G18, G145) and 1.4.6 (G17, G18), axe
+// color-contrast and color-contrast-enhanced
+const HTMLCS_CONTRAST = /\.1_4_(3|6)\.G(17|18|145)(\.|$)/;
+const AXE_CONTRAST = { 'color-contrast': 'AA', 'color-contrast-enhanced': 'AAA' };
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function parseChannel(value, max) {
+  const text = String(value).trim();
+  const number = parseFloat(text);
+  if (Number.isNaN(number)) return null;
+  return clamp(text.endsWith('%') ? number / 100 * max : number, 0, max);
+}
+
+function parseAlpha(value) {
+  return value === undefined ? 1 : parseChannel(value, 1);
+}
+
+function hslToRgb(h, s, l) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0), f(8), f(4)].map(channel => channel * 255);
+}
+
+function rgbToHsl([r, g, b]) {
+  const [red, green, blue] = [r, g, b].map(channel => channel / 255);
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === red) h = (green - blue) / d + (green < blue ? 6 : 0);
+  else if (max === green) h = (blue - red) / d + 2;
+  else h = (red - green) / d + 4;
+  return [h * 60, s, l];
+}
+
+// Parse a CSS color (#rgb, #rrggbb, #rrggbbaa, rgb()/rgba(), hsl()/hsla(),
+// basic names, 'transparent') into { r, g, b, a }, or null
+function parseColor(value) {
+  const text = String(value || '').trim().toLowerCase();
+
+  if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (Object.prototype.hasOwnProperty.call(NAMED_COLORS, text)) {
+    const [r, g, b] = NAMED_COLORS[text];
+    return { r, g, b, a: 1 };
+  }
+
+  const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    const [r, g, b, a = 255] = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return { r, g, b, a: a / 255 };
+  }
+
+  // Comma or space separated, with an optional "/ alpha"
+  const fn = text.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!fn) return null;
+  const parts = fn[2].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+  if (parts.length < 3 || parts.length > 4) return null;
+
+  if (fn[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map(part => parseChannel(part, 255));
+    const a = parseAlpha(parts[3]);
+    if ([r, g, b, a].includes(null)) return null;
+    return { r, g, b, a };
+  }
+
+  const h = parseFloat(parts[0]);
+  const s = parseChannel(parts[1], 1);
+  const l = parseChannel(parts[2], 1);
+  const a = parseAlpha(parts[3]);
+  if (Number.isNaN(h) || [s, l, a].includes(null)) return null;
+  const [r, g, b] = hslToRgb(((h % 360) + 360) % 360, s, l);
+  return { r, g, b, a };
+}
+
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+}
+
+// Paint `top` over an opaque `bottom`
+function blend(top, bottom) {
+  const mix = (a, b) => a * top.a + b * (1 - top.a);
+  return { r: mix(top.r, bottom.r), g: mix(top.g, bottom.g), b: mix(top.b, bottom.b), a: 1 };
+}
+
+function relativeLuminance({ r, g, b }) {
+  const [red, green, blue] = [r, g, b].map(channel => {
+    const c = Math.round(channel) / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+function contrastRatio(foreground, background) {
+  const [light, dark] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function isLargeText(fontSize, fontWeight = 400) {
+  if (!fontSize) return false;
+  return fontSize >= LARGE_TEXT_PX || (fontWeight >= 700 && fontSize >= LARGE_BOLD_TEXT_PX);
+}
+
+// The nearest color to `color` (same hue and saturation, only lighter or
+// darker) with at least `target` contrast against `other`, or null
+function nearestPassing(color, other, target) {
+  const [h, s, l] = rgbToHsl([color.r, color.g, color.b]);
+  let best = null;
+
+  for (const direction of [-1, 1]) {
+    for (let step = 1; step <= 200; step++) {
+      const lightness = l + direction * step * 0.005;
+      if (lightness < 0 || lightness > 1) break;
+      const [r, g, b] = hslToRgb(h, s, lightness).map(Math.round);
+      const candidate = { r, g, b, a: 1 };
+      if (contrastRatio(candidate, other) >= target) {
+        if (!best || step < best.step) {
+          best = { step, color: candidate, direction: direction < 0 ? 'darker' : 'lighter' };
+        }
+        break;
+      }
+    }
+  }
+
+  return best && {
+    color: toHex(best.color),
+    ratio: Math.floor(contrastRatio(best.color, other) * 100) / 100,
+    change: best.direction
+  };
+}
+
+// Suggested fixes for a level: the nearest passing text color, and the
+// nearest passing background
+function suggestFixes(foreground, background, target) {
+  return {
+    foreground: nearestPassing(foreground, background, target),
+    background: nearestPassing(background, foreground, target)
+  };
+}
+
+// Just the colors of suggestFixes(), as stored on scan issues
+function suggestedColors(fixes) {
+  return {
+    foreground: fixes.foreground ? fixes.foreground.color : null,
+    background: fixes.background ? fixes.background.color : null
+  };
+}
+
+// Full contrast check of two opaque colors. Ratios are rounded down so a
+// reported 4.49 never passes as 4.5.
+function evaluateContrast(foreground, background, { fontSize = null, fontWeight = 400 } = {}) {
+  const ratio = Math.floor(contrastRatio(foreground, background) * 100) / 100;
+  const largeText = isLargeText(fontSize, fontWeight);
+  const size = largeText ? 'large' : 'normal';
+
+  const levels = {};
+  for (const [level, required] of Object.entries(REQUIREMENTS)) {
+    levels[level] = {
+      normalText: ratio >= required.normal,
+      largeText: ratio >= required.large,
+      required: required[size],
+      passes: ratio >= required[size],
+      suggestions: ratio >= required[size] ? null : suggestFixes(foreground, background, required[size])
+    };
+  }
+
+  return {
+    foreground: toHex(foreground),
+    background: toHex(background),
+    ratio,
+    largeText,
+    ...levels
+  };
+}
+
+// The level a scan issue's contrast rule checks, or null when the issue is
+// not a text contrast failure
+function contrastLevel(issue) {
+  if (Object.prototype.hasOwnProperty.call(AXE_CONTRAST, issue.code)) return AXE_CONTRAST[issue.code];
+  const match = String(issue.code || '').match(HTMLCS_CONTRAST);
+  if (!match) return null;
+  return match[1] === '3' ? 'AA' : 'AAA';
+}
+
+// Read the computed text color, the stack of backgrounds behind each
+// element and its font from the page
+function readElementColors(page, selectors) {
+  return page.evaluate(list => list.map(selector => {
+    try {
+      const element = selector && document.querySelector(selector);
+      if (!element) return null;
+
+      const style = getComputedStyle(element);
+      const backgrounds = [];
+      let backgroundImage = false;
+      for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+        const nodeStyle = getComputedStyle(node);
+        backgrounds.push(nodeStyle.backgroundColor);
+        if (nodeStyle.backgroundImage && nodeStyle.backgroundImage !== 'none') backgroundImage = true;
+      }
+
+      return {
+        color: style.color,
+        backgrounds,
+        backgroundImage,
+        opacity: parseFloat(style.opacity),
+        fontSize: parseFloat(style.fontSize),
+        fontWeight: parseInt(style.fontWeight, 10) || 400
+      };
+    } catch (error) {
+      return null;
+    }
+  }), selectors);
+}
+
+// What a contrast issue actually measures, from the colors read in the page
+function measureIssue(level, colors) {
+  // Backgrounds are painted from the outermost ancestor in, over the
+  // (white) canvas
+  let background = { r: 255, g: 255, b: 255, a: 1 };
+  for (const value of [...colors.backgrounds].reverse()) {
+    const layer = parseColor(value);
+    if (layer && layer.a > 0) background = blend(layer, background);
+  }
+
+  const text = parseColor(colors.color);
+  if (!text) return null;
+  const foreground = blend({ ...text, a: text.a * (Number.isNaN(colors.opacity) ? 1 : colors.opacity) }, background);
+
+  const largeText = isLargeText(colors.fontSize, colors.fontWeight);
+  const required = REQUIREMENTS[level][largeText ? 'large' : 'normal'];
+  const ratio = Math.floor(contrastRatio(foreground, background) * 100) / 100;
+
+  return {
+    foreground: toHex(foreground),
+    background: toHex(background),
+    ratio,
+    required,
+    level,
+    fontSize: colors.fontSize,
+    fontWeight: colors.fontWeight,
+    largeText,
+    // Text over an image: the colors above are only an estimate
+    backgroundImage: colors.backgroundImage,
+    suggestion: ratio >= required ? null : suggestedColors(suggestFixes(foreground, background, required))
+  };
+}
+
+// Add a `contrast` measurement to each contrast issue, in place
+async function attachContrast(page, issueDetails) {
+  const contrastIssues = issueDetails
+    .map(issue => ({ issue, level: contrastLevel(issue) }))
+    .filter(({ level }) => level);
+  if (!contrastIssues.length) return;
+
+  const colors = await readElementColors(page, contrastIssues.map(({ issue }) => issue.selector));
+  contrastIssues.forEach(({ issue, level }, index) => {
+    issue.contrast = colors[index] ? measureIssue(level, colors[index]) : null;
+  });
+}
+
+module.exports = {
+  parseColor,
+  blend,
+  evaluateContrast,
+  attachContrast
+};
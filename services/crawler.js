@@ -0,0 +1,235 @@
+// Same-origin site crawler used by site scans. Discovery only fetches HTML
+// and extracts links; the accessibility checks still run through Pa11y.
+
+const { fetchWithPolicy } = require('./urlPolicy');
+
+const USER_AGENT = 'A11yCheckBot';
+const FETCH_TIMEOUT = 10000;
+
+// File types that are never worth handing to Pa11y
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|txt|zip|gz|tar|rar|mp3|mp4|webm|avi|mov|woff2?|ttf|eot|docx?|xlsx?|pptx?)$/i;
+
+// Redirects are followed only to URLs the URL policy allows, and without
+// the request headers once they leave the origin
+async function fetchText(url, requestHeaders = {}) {
+  const response = await fetchWithPolicy(url, {
+    headers: { ...requestHeaders, 'User-Agent': USER_AGENT },
+    credentialHeaders: Object.keys(requestHeaders),
+    signal: AbortSignal.timeout(FETCH_TIMEOUT)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${url}`);
+  }
+  return {
+    text: await response.text(),
+    contentType: response.headers.get('content-type') || '',
+    finalUrl: response.url || url
+  };
+}
+
+// Normalize a link so the same page is only queued once
+function normalizeUrl(href, base) {
+  try {
+    const parsed = new URL(href, base);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+    parsed.hash = '';
+    return parsed.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+function isCrawlable(url, origin) {
+  const parsed = new URL(url);
+  return parsed.origin === origin && !SKIPPED_EXTENSIONS.test(parsed.pathname);
+}
+
+// Turn a robots.txt path pattern into a RegExp (supports * and $)
+function robotsPatternToRegex(pattern) {
+  const escaped = pattern
+    .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp('^' + (escaped.endsWith('$') ? escaped : escaped + '.*'));
+}
+
+// Parse the rules that apply to us from robots.txt
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+    } else if (current && (field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value, regex: robotsPatternToRegex(value) });
+    }
+  }
+
+  const ownGroup = groups.find(group => group.agents.includes(USER_AGENT.toLowerCase()));
+  const wildcardGroup = groups.find(group => group.agents.includes('*'));
+
+  return {
+    rules: (ownGroup || wildcardGroup || { rules: [] }).rules,
+    sitemaps
+  };
+}
+
+// Longest matching rule wins; ties go to Allow
+function isAllowedByRobots(url, rules) {
+  const parsed = new URL(url);
+  const target = parsed.pathname + parsed.search;
+  let match = null;
+
+  for (const rule of rules) {
+    if (!rule.regex.test(target)) continue;
+    if (!match || rule.path.length > match.path.length ||
+        (rule.path.length === match.path.length && rule.allow)) {
+      match = rule;
+    }
+  }
+
+  return !match || match.allow;
+}
+
+async function loadRobots(origin) {
+  try {
+    const { text } = await fetchText(`${origin}/robots.txt`);
+    return parseRobotsTxt(text);
+  } catch (error) {
+    // No robots.txt means everything is allowed
+    return { rules: [], sitemaps: [] };
+  }
+}
+
+// Read <loc> entries from a sitemap, following one level of sitemap index
+async function loadSitemapUrls(sitemapUrls, limit, { origin, requestHeaders = {} } = {}) {
+  const urls = [];
+  const queue = [...sitemapUrls];
+  const seen = new Set();
+
+  while (queue.length && urls.length < limit) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    let text;
+    try {
+      // Sitemaps listed in robots.txt may live on another host
+      const sameOrigin = new URL(sitemapUrl).origin === origin;
+      ({ text } = await fetchText(sitemapUrl, sameOrigin ? requestHeaders : {}));
+    } catch (error) {
+      continue;
+    }
+
+    const isIndex = /<sitemapindex[\s>]/i.test(text);
+    const locs = [...text.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)].map(match => match[1].replace(/&amp;/g, '&'));
+
+    for (const loc of locs) {
+      if (isIndex) {
+        if (seen.size < 10) queue.push(loc);
+      } else {
+        urls.push(loc);
+        if (urls.length >= limit) break;
+      }
+    }
+  }
+
+  return urls;
+}
+
+function extractLinks(html, baseUrl) {
+  // Respect <base href> when the page declares one
+  const baseMatch = html.match(/<base[^>]+href=["']([^"']+)["']/i);
+  const base = (baseMatch && normalizeUrl(baseMatch[1], baseUrl)) || baseUrl;
+  const links = [];
+
+  for (const match of html.matchAll(/<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>/gi)) {
+    const tag = match[0];
+    if (/\brel\s*=\s*["'][^"']*nofollow/i.test(tag) || /\bdownload\b/i.test(tag)) continue;
+
+    const href = (match[1] || match[2] || match[3] || '').replace(/&amp;/g, '&');
+    const url = normalizeUrl(href, base);
+    if (url) links.push(url);
+  }
+
+  return links;
+}
+
+// Breadth-first crawl from startUrl. Returns [{ url, depth }] in discovery
+// order, capped at maxPages. requestHeaders are sent with same-origin page
+// and sitemap requests, e.g. for sites behind a login.
+async function crawlSite(startUrl, { maxDepth = 2, maxPages = 20, respectRobots = true, useSitemap = true, requestHeaders = {} } = {}) {
+  const start = normalizeUrl(startUrl);
+  const origin = new URL(start).origin;
+  const robots = respectRobots ? await loadRobots(origin) : { rules: [], sitemaps: [] };
+  const allowed = url => isCrawlable(url, origin) && isAllowedByRobots(url, robots.rules);
+
+  const pages = [];
+  const seen = new Set();
+  const queue = [];
+
+  const addPage = (url, depth) => {
+    if (!url || seen.has(url) || pages.length >= maxPages) return;
+    seen.add(url);
+    if (!allowed(url)) return;
+    pages.push({ url, depth });
+    queue.push({ url, depth });
+  };
+
+  addPage(start, 0);
+
+  if (useSitemap) {
+    const sitemapUrls = robots.sitemaps.length ? robots.sitemaps : [`${origin}/sitemap.xml`];
+    const fromSitemap = await loadSitemapUrls(sitemapUrls, maxPages * 2, { origin, requestHeaders });
+    for (const url of fromSitemap) {
+      addPage(normalizeUrl(url), 1);
+    }
+  }
+
+  while (queue.length && pages.length < maxPages) {
+    const { url, depth } = queue.shift();
+    if (depth >= maxDepth) continue;
+
+    try {
+      const { text, contentType, finalUrl } = await fetchText(url, requestHeaders);
+      if (!contentType.includes('html')) continue;
+
+      for (const link of extractLinks(text, finalUrl)) {
+        addPage(link, depth + 1);
+      }
+    } catch (error) {
+      console.log(`⚠️  Could not crawl ${url}:`, error.message);
+    }
+  }
+
+  console.log(`Crawl of ${origin} discovered ${pages.length} pages`);
+  return pages;
+}
+
+module.exports = {
+  crawlSite,
+  loadSitemapUrls,
+  extractLinks,
+  parseRobotsTxt,
+  isAllowedByRobots
+};
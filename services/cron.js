@@ -0,0 +1,123 @@
+// Minimal five-field cron support (minute hour day-of-month month
+// day-of-week) for scheduled scans. Times are evaluated in UTC.
+
+const PRESETS = {
+  hourly: '0 * * * *',
+  daily: '0 0 * * *',
+  weekly: '0 0 * * 0'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Expand one field ('*', '*/15', '1-5', '0,30', '10-50/10') into a Set
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: "${text}"`);
+    }
+
+    const [, start, end, step] = match;
+    const from = start === '*' ? min : parseInt(start, 10);
+    const to = start === '*' ? max : (end !== undefined ? parseInt(end, 10) : (step ? max : from));
+    const increment = step ? parseInt(step, 10) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid ${name} field: "${text}"`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Parse an expression (or preset name) into sets of allowed values
+function parseCron(expression) {
+  const source = PRESETS[expression] || String(expression || '').trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is an alias for Sunday
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.delete(7);
+    dayOfWeek.add(0);
+  }
+
+  return {
+    expression: source,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron: when both day fields are restricted either may match
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const domMatch = cron.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = cron.dayOfWeek.has(date.getUTCDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+// First run time strictly after `from`
+function nextCronRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Give up after roughly five years (e.g. '0 0 31 2 *' never fires)
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression "${cron.expression}" never runs`);
+}
+
+module.exports = {
+  PRESETS,
+  parseCron,
+  nextCronRun
+};
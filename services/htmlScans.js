@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+// Scans of submitted HTML (POST /scan/html): a full document, or a fragment
+// such as a single component, with optional CSS. The markup is rendered with
+// page.setContent() instead of loading a URL.
+
+const MAX_HTML_LENGTH = 500 * 1000;
+const MAX_CSS_LENGTH = 200 * 1000;
+// JSON body limit for POST /scan/html (the default is 100kb)
+const HTML_BODY_LIMIT = '1mb';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._/-]{0,99}$/i;
+
+// A fragment is markup without its own <html> or doctype
+function isFullDocument(markup) {
+  return /^\s*(<!--[\s\S]*?-->\s*)*<(!doctype|html)[\s>]/i.test(markup);
+}
+
+// Validate the html, css, name and fragment fields of a request body.
+// Returns { values } or { error }.
+function parseHtmlSource(body) {
+  const { html, css = '', name = null, fragment } = body;
+
+  if (typeof html !== 'string' || !html.trim()) {
+    return { error: 'html must be a non-empty string of HTML.' };
+  }
+  if (html.length > MAX_HTML_LENGTH) {
+    return { error: `html must be at most ${MAX_HTML_LENGTH} characters.` };
+  }
+  if (typeof css !== 'string' || css.length > MAX_CSS_LENGTH) {
+    return { error: `css must be a string of at most ${MAX_CSS_LENGTH} characters.` };
+  }
+  if (name !== null && (typeof name !== 'string' || !NAME_PATTERN.test(name))) {
+    return { error: 'name must be up to 100 letters, digits, dots, dashes, underscores or slashes.' };
+  }
+  if (fragment !== undefined && typeof fragment !== 'boolean') {
+    return { error: 'fragment must be a boolean.' };
+  }
+
+  const sha256 = crypto.createHash('sha256').update(html).update('\0').update(css).digest('hex');
+
+  return {
+    values: {
+      markup: html,
+      css,
+      name,
+      fragment: fragment === undefined ? !isFullDocument(html) : fragment,
+      sha256,
+      size: Buffer.byteLength(html) + Buffer.byteLength(css)
+    }
+  };
+}
+
+// The identifier stored as the scan's url. Named snippets keep one
+// identifier across revisions, so their scans can be compared; unnamed ones
+// are identified by their content.
+function htmlSourceId(source) {
+  return source.name ? `html:${source.name}` : `html:sha256-${source.sha256.slice(0, 16)}`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// The document to render. Fragments get a minimal page with a language and
+// title, so only the component's own issues are reported.
+function buildHtmlDocument(source) {
+  if (!source.fragment) return source.markup;
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(source.name || 'HTML snippet')}</title>`,
+    '</head>',
+    `<body>${source.markup}</body>`,
+    '</html>'
+  ].join('\n');
+}
+
+module.exports = {
+  HTML_BODY_LIMIT,
+  parseHtmlSource,
+  htmlSourceId,
+  buildHtmlDocument
+};
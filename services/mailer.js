@@ -0,0 +1,22 @@
+const nodemailer = require('nodemailer');
+
+// Email configuration
+const emailConfig = {
+  host: process.env.SMTP_HOST || 'smtp.gmail.com',
+  port: process.env.SMTP_PORT || 587,
+  secure: false,
+  auth: {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }
+};
+
+// Create transporter (only if email credentials are provided)
+let transporter = null;
+if (process.env.SMTP_USER && process.env.SMTP_PASS) {
+  transporter = nodemailer.createTransport(emailConfig);
+}
+
+module.exports = {
+  transporter
+};
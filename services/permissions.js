@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const Project = require('../models/Project');
+const { TEAM_ROLES } = require('../models/Team');
+
+// Who may see and change what. Scans without a project belong to the user
+// who started them; scans in a project follow the user's role in the
+// project's team: viewers can read, editors can also scan and delete,
+// owners can also manage the team and its projects.
+
+function hasRole(role, minRole) {
+  return TEAM_ROLES.indexOf(role) >= TEAM_ROLES.indexOf(minRole);
+}
+
+// The user's role in a team (document or ID), or null
+async function getTeamRole(team, userId) {
+  const doc = team instanceof Team ? team : await Team.findById(team);
+  if (!doc) return null;
+  const member = doc.members.find(entry => String(entry.userId) === String(userId));
+  return member ? member.role : null;
+}
+
+// The project and the user's role in it, or null if the user has no access
+async function getProjectAccess(userId, projectId) {
+  if (!mongoose.isValidObjectId(projectId)) return null;
+  const project = await Project.findById(projectId);
+  if (!project) return null;
+
+  const role = await getTeamRole(project.teamId, userId);
+  return role ? { project, role } : null;
+}
+
+// Teams where the user has at least minRole
+async function teamIdsWithRole(userId, minRole = 'viewer') {
+  const teams = await Team.find({ 'members.userId': userId }).select('members');
+  return teams
+    .filter(team => hasRole(team.members.find(entry => String(entry.userId) === String(userId)).role, minRole))
+    .map(team => team._id);
+}
+
+async function projectIdsWithRole(userId, minRole = 'viewer') {
+  const teamIds = await teamIdsWithRole(userId, minRole);
+  if (!teamIds.length) return [];
+  const projects = await Project.find({ teamId: { $in: teamIds } }).select('_id');
+  return projects.map(project => project._id);
+}
+
+// Query filter for the scans a user may access with at least minRole (also
+// fits batches and site scans, which have the same userId and projectId).
+// With a projectId the filter is limited to that project (null when the
+// user has no such access). Uses ObjectIds so it also works in aggregations.
+async function scanAccessFilter(userId, { minRole = 'viewer', projectId } = {}) {
+  if (projectId) {
+    const access = await getProjectAccess(userId, projectId);
+    if (!access || !hasRole(access.role, minRole)) return null;
+    return { projectId: access.project._id };
+  }
+
+  const projectIds = await projectIdsWithRole(userId, minRole);
+  return {
+    $or: [
+      { userId: new mongoose.Types.ObjectId(userId), projectId: null },
+      { projectId: { $in: projectIds } }
+    ]
+  };
+}
+
+module.exports = {
+  hasRole,
+  getTeamRole,
+  getProjectAccess,
+  teamIdsWithRole,
+  scanAccessFilter
+};
@@ -0,0 +1,302 @@
+const { getSuccessCriterion } = require('./scanner');
+const { withPage } = require('./browserPool');
+const { readScreenshot } = require('./screenshots');
+
+// Scan reports. Every format is rendered from the same report model so the
+// numbers in a PDF, a CSV and a CI test report always agree.
+
+const REPORT_FORMATS = ['json', 'csv', 'pdf', 'sarif', 'junit'];
+const TOOL_NAME = 'A11yCheck';
+const SARIF_LEVELS = { error: 'error', warning: 'warning', notice: 'note' };
+
+function ratingFor(score) {
+  if (score >= 90) return 'Excellent Accessibility!';
+  if (score >= 75) return 'Good with Room for Improvement';
+  return 'Needs Significant Improvements';
+}
+
+// Plain-object view of a scan shared by every report format
+function buildReportModel(scan) {
+  const allIssues = scan.issueDetails || [];
+  // False positives are triaged out of every report
+  const issues = allIssues.filter(issue => !issue.falsePositive).map(issue => ({
+    id: issue.id,
+    type: issue.type,
+    severity: issue.severity,
+    code: issue.code || '',
+    successCriterion: getSuccessCriterion({ code: issue.code }),
+    message: issue.message || issue.description || '',
+    description: issue.description || '',
+    selector: issue.selector || '',
+    context: issue.context || '',
+    runner: issue.runner || '',
+    screenshotId: issue.screenshotId || null,
+    screenshotUrl: issue.screenshotId ? `/scan/${scan._id}/issues/${issue.id}/screenshot` : null
+  }));
+
+  const count = severity => issues.filter(issue => issue.severity === severity).length;
+  const options = scan.options && scan.options.toObject ? scan.options.toObject() : (scan.options || {});
+
+  return {
+    tool: TOOL_NAME,
+    generatedAt: new Date().toISOString(),
+    scan: {
+      id: String(scan._id),
+      url: scan.url,
+      status: scan.status,
+      score: scan.score,
+      rating: ratingFor(scan.score),
+      pageTitle: scan.pageTitle || '',
+      pageDescription: scan.pageDescription || '',
+      timestamp: scan.timestamp,
+      completedAt: scan.completedAt,
+      scanDuration: scan.scanDuration,
+      standard: options.standard || 'WCAG2AA',
+      runners: options.runners || ['htmlcs'],
+      screenshotUrl: scan.pageScreenshotId ? `/scan/${scan._id}/screenshot` : null
+    },
+    summary: {
+      total: issues.length,
+      errors: count('error'),
+      warnings: count('warning'),
+      notices: count('notice'),
+      falsePositives: allIssues.length - issues.length
+    },
+    issues
+  };
+}
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Quote a CSV field, and keep spreadsheet apps from running it as a formula
+function csvField(value) {
+  let text = String(value === undefined || value === null ? '' : value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderJson(model) {
+  return JSON.stringify(model, null, 2);
+}
+
+function renderCsv(model) {
+  const columns = ['id', 'severity', 'type', 'code', 'successCriterion', 'message', 'selector', 'context', 'runner'];
+  const rows = model.issues.map(issue => columns.map(column => csvField(issue[column])).join(','));
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// SARIF 2.1.0, as read by code-scanning dashboards. Results point at the
+// scanned URL; the selector is given as the logical location.
+function renderSarif(model) {
+  const rules = [];
+  const ruleIndex = new Map();
+
+  for (const issue of model.issues) {
+    if (ruleIndex.has(issue.code)) continue;
+    ruleIndex.set(issue.code, rules.length);
+    rules.push({
+      id: issue.code,
+      name: issue.type,
+      shortDescription: { text: issue.type },
+      fullDescription: { text: issue.description || issue.message },
+      properties: {
+        tags: ['accessibility', ...(issue.successCriterion ? [`WCAG ${issue.successCriterion}`] : [])]
+      }
+    });
+  }
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          informationUri: process.env.FRONTEND_URL || 'http://localhost:3000',
+          rules
+        }
+      },
+      properties: {
+        scanId: model.scan.id,
+        score: model.scan.score,
+        standard: model.scan.standard
+      },
+      results: model.issues.map(issue => ({
+        ruleId: issue.code,
+        ruleIndex: ruleIndex.get(issue.code),
+        level: SARIF_LEVELS[issue.severity] || 'note',
+        message: { text: issue.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: model.scan.url },
+            ...(issue.context ? { region: { snippet: { text: issue.context } } } : {})
+          },
+          logicalLocations: issue.selector ? [{ name: issue.selector, kind: 'element' }] : []
+        }]
+      }))
+    }]
+  };
+
+  return JSON.stringify(sarif, null, 2);
+}
+
+// JUnit XML: one test case per error or warning (notices are skipped
+// cases), so CI test reporters list every problem
+function renderJunit(model) {
+  const failures = model.summary.errors + model.summary.warnings;
+  const duration = ((model.scan.scanDuration || 0) / 1000).toFixed(3);
+  const suiteName = `${TOOL_NAME} ${model.scan.url}`;
+
+  const cases = model.issues.map(issue => {
+    const name = escapeXml(`${issue.code}${issue.selector ? ` ${issue.selector}` : ''}`);
+    const open = `    <testcase classname="${escapeXml(issue.type)}" name="${name}">`;
+    const details = escapeXml([issue.message, issue.selector && `Selector: ${issue.selector}`, issue.context && `Context: ${issue.context}`]
+      .filter(Boolean).join('\n'));
+
+    if (issue.severity === 'notice') {
+      return `${open}\n      <skipped message="${escapeXml(issue.message)}"/>\n    </testcase>`;
+    }
+    return `${open}\n      <failure type="${issue.severity}" message="${escapeXml(issue.message)}">${details}</failure>\n    </testcase>`;
+  });
+
+  // An empty suite reads as "no tests" in some reporters; record the pass
+  if (!cases.length) {
+    cases.push(`    <testcase classname="${TOOL_NAME}" name="${escapeXml(model.scan.url)}"/>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${cases.length}" failures="${failures}" time="${duration}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}" skipped="${model.summary.notices}" time="${duration}" timestamp="${escapeXml(model.scan.completedAt ? new Date(model.scan.completedAt).toISOString() : model.generatedAt)}">`,
+    '    <properties>',
+    `      <property name="score" value="${model.scan.score}"/>`,
+    `      <property name="standard" value="${escapeXml(model.scan.standard)}"/>`,
+    '    </properties>',
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+// Printable HTML used for the PDF. `images` maps screenshot IDs to data
+// URIs for the captures that should be embedded.
+function renderHtml(model, images = new Map()) {
+  const { scan, summary } = model;
+  const scoreColor = scan.score >= 90 ? '#10b981' : scan.score >= 75 ? '#f59e0b' : '#ef4444';
+  const severityColor = { error: '#ef4444', warning: '#f59e0b', notice: '#3b82f6' };
+
+  const rows = model.issues.map(issue => `
+      <tr>
+        <td><span class="badge" style="background: ${severityColor[issue.severity]}">${escapeXml(issue.severity)}</span></td>
+        <td>
+          <strong>${escapeXml(issue.type)}</strong>
+          <div class="message">${escapeXml(issue.message)}</div>
+          ${issue.selector ? `<code>${escapeXml(issue.selector)}</code>` : ''}
+          ${images.has(issue.screenshotId) ? `<img class="shot" src="${images.get(issue.screenshotId)}" alt="">` : ''}
+        </td>
+        <td class="code">${escapeXml(issue.code)}${issue.successCriterion ? `<br>WCAG ${escapeXml(issue.successCriterion)}` : ''}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${TOOL_NAME} Report: ${escapeXml(scan.url)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; font-size: 12px; margin: 0; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .meta { color: #666; margin-bottom: 16px; word-break: break-all; }
+    .summary { display: flex; gap: 12px; margin-bottom: 20px; }
+    .box { flex: 1; padding: 12px; border-radius: 6px; background: #f3f4f6; text-align: center; }
+    .box .value { font-size: 24px; font-weight: bold; }
+    .score { background: ${scoreColor}; color: white; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; vertical-align: top; padding: 6px; border-bottom: 1px solid #e5e7eb; }
+    tr { page-break-inside: avoid; }
+    .badge { color: white; padding: 2px 6px; border-radius: 3px; font-size: 10px; text-transform: uppercase; }
+    .message { color: #555; margin: 2px 0; }
+    code { background: #f3f4f6; padding: 1px 3px; border-radius: 3px; font-size: 10px; word-break: break-all; }
+    .code { font-size: 10px; word-break: break-all; width: 30%; }
+    .shot { display: block; max-width: 100%; max-height: 240px; margin-top: 6px; border: 1px solid #e5e7eb; }
+  </style>
+</head>
+<body>
+  <h1>${TOOL_NAME} Accessibility Report</h1>
+  <div class="meta">
+    ${escapeXml(scan.pageTitle || scan.url)}<br>
+    ${escapeXml(scan.url)}<br>
+    ${escapeXml(scan.standard)} &middot; ${escapeXml(scan.runners.join(', '))} &middot; ${escapeXml(new Date(scan.completedAt || scan.timestamp || model.generatedAt).toUTCString())}
+  </div>
+  <div class="summary">
+    <div class="box score"><div class="value">${scan.score}/100</div>${escapeXml(scan.rating)}</div>
+    <div class="box"><div class="value">${summary.errors}</div>Errors</div>
+    <div class="box"><div class="value">${summary.warnings}</div>Warnings</div>
+    <div class="box"><div class="value">${summary.notices}</div>Notices</div>
+  </div>
+  ${model.issues.length ? `
+  <table>
+    <thead><tr><th>Severity</th><th>Issue</th><th>Rule</th></tr></thead>
+    <tbody>${rows}
+    </tbody>
+  </table>` : '<p>No accessibility issues were found.</p>'}
+</body>
+</html>`;
+}
+
+// Data URIs for the issue screenshots of a report
+async function loadReportImages(model) {
+  const images = new Map();
+  for (const issue of model.issues) {
+    if (!issue.screenshotId) continue;
+    const image = await readScreenshot(issue.screenshotId);
+    if (image) images.set(issue.screenshotId, `data:image/jpeg;base64,${image.toString('base64')}`);
+  }
+  return images;
+}
+
+async function renderPdf(model) {
+  const images = await loadReportImages(model);
+  return withPage(async page => {
+    // The report is self-contained; never let it load anything
+    await page.setJavaScriptEnabled(false);
+    await page.setContent(renderHtml(model, images), { waitUntil: 'load' });
+    return await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '15mm', bottom: '15mm', left: '12mm', right: '12mm' }
+    });
+  });
+}
+
+// Render a report. Returns { body, contentType, extension }.
+async function renderReport(scan, format) {
+  const model = buildReportModel(scan);
+
+  switch (format) {
+    case 'csv':
+      return { body: renderCsv(model), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+    case 'pdf':
+      return { body: Buffer.from(await renderPdf(model)), contentType: 'application/pdf', extension: 'pdf' };
+    case 'sarif':
+      return { body: renderSarif(model), contentType: 'application/sarif+json', extension: 'sarif' };
+    case 'junit':
+      return { body: renderJunit(model), contentType: 'application/xml; charset=utf-8', extension: 'xml' };
+    default:
+      return { body: renderJson(model), contentType: 'application/json; charset=utf-8', extension: 'json' };
+  }
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  buildReportModel,
+  renderReport,
+  renderHtml
+};
@@ -0,0 +1,181 @@
+const axe = require('axe-core');
+const { USER_GROUPS, PRINCIPLES, CRITERIA } = require('../data/wcagCriteria');
+const { HTMLCS_RULES } = require('../data/htmlcsRules');
+const { RULE_GUIDANCE } = require('../data/ruleGuidance');
+
+// One catalog for the rules of both engines: axe rules come from axe-core's
+// own metadata, HTML_CodeSniffer checks from data/htmlcsRules.js. Guidance
+// is rule-specific where data/ruleGuidance.js has an entry, otherwise that
+// of the rule's success criterion.
+
+const AXE_LEVEL_TAGS = {
+  wcag2a: 'A',
+  wcag21a: 'A',
+  wcag2aa: 'AA',
+  wcag21aa: 'AA',
+  wcag22aa: 'AA',
+  wcag2aaa: 'AAA'
+};
+
+// Who a best-practice axe rule (no success criterion) affects
+const AXE_CATEGORY_USERS = {
+  'cat.aria': ['blind'],
+  'cat.color': ['low-vision', 'color-blind'],
+  'cat.forms': ['blind', 'cognitive'],
+  'cat.keyboard': ['motor', 'blind'],
+  'cat.language': ['blind'],
+  'cat.name-role-value': ['blind', 'motor'],
+  'cat.parsing': ['blind'],
+  'cat.semantics': ['blind', 'cognitive'],
+  'cat.sensory-and-visual-cues': ['low-vision', 'color-blind', 'cognitive'],
+  'cat.structure': ['blind', 'cognitive'],
+  'cat.tables': ['blind'],
+  'cat.text-alternatives': ['blind', 'low-vision'],
+  'cat.time-and-media': ['deaf', 'blind', 'seizure']
+};
+
+const TECHNIQUE_FOLDERS = { ARIA: 'aria', SCR: 'client-side-script', C: 'css', F: 'failures', G: 'general', H: 'html' };
+
+const LEVEL_RANK = { A: 1, AA: 2, AAA: 3 };
+
+function understandingUrl(criterion) {
+  const slug = CRITERIA[criterion].title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `https://www.w3.org/WAI/WCAG22/Understanding/${slug}`;
+}
+
+function techniqueLinks(codes) {
+  return codes
+    .map(code => ({ code, match: code.match(/^(ARIA|SCR|C|F|G|H)\d+$/) }))
+    .filter(({ match }) => match)
+    .map(({ code, match }) => ({
+      code,
+      url: `https://www.w3.org/WAI/WCAG22/Techniques/${TECHNIQUE_FOLDERS[match[1]]}/${code}`
+    }));
+}
+
+function usersOf(keys) {
+  return [...new Set(keys)].map(id => ({ id, name: USER_GROUPS[id] }));
+}
+
+// Shared shape of a catalog entry
+function buildEntry({ id, runner, title, description = null, criteria, level, users, helpUrl, techniques = [] }) {
+  const specific = RULE_GUIDANCE[id];
+  const criterion = criteria.find(number => CRITERIA[number]);
+  return {
+    id,
+    runner,
+    title,
+    description,
+    criteria: criteria.map(number => ({
+      number,
+      title: CRITERIA[number] ? CRITERIA[number].title : null,
+      level: CRITERIA[number] ? CRITERIA[number].level : null,
+      principle: PRINCIPLES[number[0]] || null
+    })),
+    level,
+    bestPractice: criteria.length === 0,
+    users: usersOf(users),
+    guidance: specific ? specific.guidance : (criterion ? CRITERIA[criterion].guidance : description),
+    example: specific ? specific.example : null,
+    helpUrl: helpUrl || (criterion ? understandingUrl(criterion) : null),
+    techniques
+  };
+}
+
+function axeEntry(rule) {
+  const criteria = rule.tags
+    .filter(tag => /^wcag\d{3,}$/.test(tag))
+    .map(tag => `${tag[4]}.${tag[5]}.${tag.slice(6)}`);
+  const levels = rule.tags.map(tag => AXE_LEVEL_TAGS[tag]).filter(Boolean);
+  const users = criteria.length
+    ? [].concat(...criteria.map(number => (CRITERIA[number] ? CRITERIA[number].users : [])))
+    : [].concat(...rule.tags.map(tag => AXE_CATEGORY_USERS[tag] || []));
+
+  return buildEntry({
+    id: rule.ruleId,
+    runner: 'axe',
+    title: rule.help,
+    description: rule.description,
+    criteria,
+    level: levels.sort((a, b) => LEVEL_RANK[a] - LEVEL_RANK[b])[0] || null,
+    users,
+    // Drop axe's analytics query string
+    helpUrl: rule.helpUrl.split('?')[0]
+  });
+}
+
+function htmlcsEntry(id, title) {
+  const [sc, technique] = [id.slice(0, id.indexOf('.')), id.slice(id.indexOf('.') + 1)];
+  const number = sc.replace(/_/g, '.');
+  const criterion = CRITERIA[number];
+
+  return buildEntry({
+    id,
+    runner: 'htmlcs',
+    title,
+    criteria: [number],
+    level: criterion ? criterion.level : null,
+    users: criterion ? criterion.users : [],
+    techniques: techniqueLinks(technique.split(','))
+  });
+}
+
+const CATALOG = new Map();
+for (const rule of axe.getRules()) {
+  CATALOG.set(rule.ruleId, axeEntry(rule));
+}
+for (const [id, title] of Object.entries(HTMLCS_RULES)) {
+  CATALOG.set(id, htmlcsEntry(id, title));
+}
+
+// Catalog entry for an issue code: an axe rule ID, a catalog ID
+// ('1_1_1.H37') or a full Pa11y code
+// ('WCAG2AA.Principle1.Guideline1_1.1_1_1.H37'). HTML_CodeSniffer codes
+// with extra segments match their shortest known prefix, and unknown checks
+// fall back to their success criterion. Returns null for unknown codes.
+function getRule(code) {
+  const value = String(code || '');
+  if (CATALOG.has(value)) return CATALOG.get(value);
+
+  // The criterion may carry a suffix naming the sniff ('1_4_3_F24')
+  const match = value.match(/(\d+_\d+_\d+)(?:_[A-Za-z0-9]+)?\.(.+)$/);
+  if (!match) return null;
+
+  const [, sc, rest] = match;
+  const segments = rest.split('.');
+  for (let length = segments.length; length > 0; length--) {
+    const entry = CATALOG.get(`${sc}.${segments.slice(0, length).join('.')}`);
+    if (entry) return entry;
+  }
+
+  const number = sc.replace(/_/g, '.');
+  return CRITERIA[number] ? htmlcsEntry(`${sc}.${rest}`, CRITERIA[number].title) : null;
+}
+
+// Filter the catalog. All filters are optional: runner ('axe' | 'htmlcs'),
+// criterion ('1.4.3'), level (rules at or below 'A' | 'AA' | 'AAA'),
+// user (a USER_GROUPS key) and q (text search in ID, title and description).
+function listRules({ runner, criterion, level, user, q } = {}) {
+  const search = q ? String(q).toLowerCase() : null;
+
+  return [...CATALOG.values()].filter(rule =>
+    (!runner || rule.runner === runner) &&
+    (!criterion || rule.criteria.some(entry => entry.number === criterion)) &&
+    (!level || (rule.level && LEVEL_RANK[rule.level] <= LEVEL_RANK[level])) &&
+    (!user || rule.users.some(entry => entry.id === user)) &&
+    (!search || [rule.id, rule.title, rule.description || ''].some(text => text.toLowerCase().includes(search)))
+  );
+}
+
+// Issues with the catalog entry of their rule attached as `rule`
+function attachRules(issueDetails) {
+  return issueDetails.map(issue => ({ ...issue, rule: getRule(issue.code) }));
+}
+
+module.exports = {
+  USER_GROUPS,
+  LEVELS: Object.keys(LEVEL_RANK),
+  getRule,
+  listRules,
+  attachRules
+};
@@ -0,0 +1,317 @@
+const Credential = require('../models/Credential');
+const { decryptJson, isEncryptionConfigured } = require('./secrets');
+
+// Scanning pages behind a login: custom headers, cookies, HTTP basic auth
+// and a declarative list of Pa11y-style actions run before the audit.
+
+const MAX_HEADERS = 20;
+const MAX_COOKIES = 50;
+const MAX_ACTIONS = 30;
+const MAX_VALUE_LENGTH = 4096;
+const MAX_WAIT = 10000;
+
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9-]{1,100}$/;
+const COOKIE_NAME_PATTERN = /^[^\s;=,]{1,200}$/;
+// Headers the browser manages itself (or that would break the request)
+const FORBIDDEN_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding', 'cookie'];
+
+const ACTION_TYPES = ['navigate', 'fill', 'click', 'check', 'uncheck', 'select', 'waitForUrl', 'waitForElement', 'wait'];
+
+function isShortString(value, max = MAX_VALUE_LENGTH) {
+  return typeof value === 'string' && value.length <= max;
+}
+
+function isSelector(value) {
+  return isShortString(value, 500) && value.trim().length > 0 && !/[{};<]/.test(value);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseAction(action, index) {
+  const label = `actions[${index}]`;
+  if (!action || typeof action !== 'object' || !ACTION_TYPES.includes(action.type)) {
+    return { error: `${label}.type must be one of: ${ACTION_TYPES.join(', ')}.` };
+  }
+
+  switch (action.type) {
+    case 'navigate':
+      if (!isHttpUrl(action.url)) return { error: `${label}.url must be an http(s) URL.` };
+      return { action: { type: 'navigate', url: action.url } };
+    case 'fill':
+    case 'select':
+      if (!isSelector(action.selector)) return { error: `${label}.selector must be a CSS selector.` };
+      if (!isShortString(action.value)) return { error: `${label}.value must be a string.` };
+      return { action: { type: action.type, selector: action.selector, value: action.value } };
+    case 'click':
+    case 'check':
+    case 'uncheck':
+      if (!isSelector(action.selector)) return { error: `${label}.selector must be a CSS selector.` };
+      return { action: { type: action.type, selector: action.selector } };
+    case 'waitForUrl':
+      if (action.url !== undefined && !isHttpUrl(action.url)) return { error: `${label}.url must be an http(s) URL.` };
+      if (action.path !== undefined && !(isShortString(action.path, 2000) && action.path.startsWith('/'))) {
+        return { error: `${label}.path must start with "/".` };
+      }
+      if (action.url === undefined && action.path === undefined) return { error: `${label} needs a url or path.` };
+      return { action: { type: 'waitForUrl', url: action.url, path: action.path } };
+    case 'waitForElement': {
+      const state = action.state || 'visible';
+      if (!isSelector(action.selector)) return { error: `${label}.selector must be a CSS selector.` };
+      if (!['visible', 'hidden', 'present'].includes(state)) return { error: `${label}.state must be visible, hidden or present.` };
+      return { action: { type: 'waitForElement', selector: action.selector, state } };
+    }
+    case 'wait':
+      if (!Number.isInteger(action.ms) || action.ms < 0 || action.ms > MAX_WAIT) {
+        return { error: `${label}.ms must be an integer between 0 and ${MAX_WAIT}.` };
+      }
+      return { action: { type: 'wait', ms: action.ms } };
+    default:
+      return { error: `${label}.type is not supported.` };
+  }
+}
+
+// Validate an auth config from a request body. Returns { auth } (null when
+// nothing was given) or { error }.
+function parseAuthConfig(input) {
+  if (input === undefined || input === null) return { auth: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'auth must be an object.' };
+  }
+
+  const { headers = {}, cookies = [], basicAuth = null, actions = [] } = input;
+
+  if (typeof headers !== 'object' || Array.isArray(headers) || Object.keys(headers).length > MAX_HEADERS) {
+    return { error: `auth.headers must be an object with at most ${MAX_HEADERS} headers.` };
+  }
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HEADER_NAME_PATTERN.test(name) || FORBIDDEN_HEADERS.includes(name.toLowerCase())) {
+      return { error: `auth.headers: "${name}" is not an allowed header name.` };
+    }
+    if (!isShortString(value) || /[\r\n]/.test(value)) {
+      return { error: `auth.headers: value for "${name}" must be a single-line string.` };
+    }
+  }
+
+  if (!Array.isArray(cookies) || cookies.length > MAX_COOKIES) {
+    return { error: `auth.cookies must be a list of at most ${MAX_COOKIES} cookies.` };
+  }
+  for (const cookie of cookies) {
+    if (!cookie || !COOKIE_NAME_PATTERN.test(cookie.name) || !isShortString(cookie.value) || /[;\r\n]/.test(cookie.value)) {
+      return { error: 'auth.cookies entries need a valid name and value.' };
+    }
+    if ((cookie.domain !== undefined && !isShortString(cookie.domain, 255)) ||
+        (cookie.path !== undefined && !isShortString(cookie.path, 2000))) {
+      return { error: 'auth.cookies domain and path must be strings.' };
+    }
+  }
+
+  if (basicAuth !== null) {
+    if (typeof basicAuth !== 'object' || !isShortString(basicAuth.username, 256) ||
+        basicAuth.username.includes(':') || !isShortString(basicAuth.password, 1024)) {
+      return { error: 'auth.basicAuth needs a username (without ":") and a password.' };
+    }
+  }
+
+  if (!Array.isArray(actions) || actions.length > MAX_ACTIONS) {
+    return { error: `auth.actions must be a list of at most ${MAX_ACTIONS} actions.` };
+  }
+  const parsedActions = [];
+  for (let index = 0; index < actions.length; index++) {
+    const { action, error } = parseAction(actions[index], index);
+    if (error) return { error: `auth.${error}` };
+    parsedActions.push(action);
+  }
+
+  return {
+    auth: {
+      headers,
+      cookies: cookies.map(({ name, value, domain, path }) => ({ name, value, domain, path })),
+      basicAuth: basicAuth ? { username: basicAuth.username, password: basicAuth.password } : null,
+      actions: parsedActions
+    }
+  };
+}
+
+// What a config contains, without any secret values
+function summarizeAuth(auth) {
+  return {
+    headerNames: Object.keys(auth.headers),
+    cookieNames: auth.cookies.map(cookie => cookie.name),
+    basicAuth: Boolean(auth.basicAuth),
+    actionCount: auth.actions.length
+  };
+}
+
+// Headers to add to requests for the scanned site (custom headers plus the
+// basic auth Authorization header; cookies are optional for plain fetches)
+function buildRequestHeaders(auth, { includeCookies = false } = {}) {
+  if (!auth) return {};
+  const headers = { ...auth.headers };
+
+  if (auth.basicAuth) {
+    const token = Buffer.from(`${auth.basicAuth.username}:${auth.basicAuth.password}`).toString('base64');
+    headers.Authorization = `Basic ${token}`;
+  }
+
+  if (includeCookies && auth.cookies.length) {
+    headers.Cookie = auth.cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  return headers;
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Set cookies and attach headers to same-origin requests only, so
+// credentials are never sent to third-party hosts the page loads from
+async function applyAuthToPage(page, url, auth) {
+  const origin = originOf(url);
+  const extraHeaders = buildRequestHeaders(auth);
+
+  if (Object.keys(extraHeaders).length) {
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+      const headers = originOf(request.url()) === origin
+        ? { ...request.headers(), ...extraHeaders }
+        : request.headers();
+      // Cooperative mode (priority 0), so the URL policy can still abort
+      request.continue({ headers }, 0);
+    });
+  }
+
+  if (auth.cookies.length) {
+    await page.setCookie(...auth.cookies.map(cookie => ({
+      name: cookie.name,
+      value: cookie.value,
+      path: cookie.path || '/',
+      ...(cookie.domain ? { domain: cookie.domain } : { url })
+    })));
+  }
+}
+
+// Run the login actions in order. Errors name the failing step but never
+// include the values being typed.
+async function runAuthActions(page, actions, timeout) {
+  for (let index = 0; index < actions.length; index++) {
+    const action = actions[index];
+
+    try {
+      switch (action.type) {
+        case 'navigate':
+          await page.goto(action.url, { waitUntil: 'networkidle2', timeout });
+          break;
+        case 'fill':
+          await page.waitForSelector(action.selector, { visible: true, timeout });
+          await page.$eval(action.selector, element => { element.value = ''; });
+          await page.type(action.selector, action.value);
+          break;
+        case 'select':
+          await page.waitForSelector(action.selector, { timeout });
+          await page.select(action.selector, action.value);
+          break;
+        case 'click':
+          await page.waitForSelector(action.selector, { visible: true, timeout });
+          await page.click(action.selector);
+          break;
+        case 'check':
+        case 'uncheck':
+          await page.waitForSelector(action.selector, { timeout });
+          await page.$eval(action.selector, (element, checked) => {
+            element.checked = checked;
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+          }, action.type === 'check');
+          break;
+        case 'waitForUrl':
+          await page.waitForFunction(({ url, path }) => {
+            return (url === undefined || window.location.href === url) &&
+              (path === undefined || window.location.pathname === path);
+          }, { timeout }, { url: action.url, path: action.path });
+          break;
+        case 'waitForElement':
+          await page.waitForSelector(action.selector, {
+            visible: action.state === 'visible',
+            hidden: action.state === 'hidden',
+            timeout
+          });
+          break;
+        case 'wait':
+          await new Promise(resolve => setTimeout(resolve, action.ms));
+          break;
+      }
+    } catch (error) {
+      const target = action.selector || action.url || action.path || '';
+      throw new Error(`Login action ${index + 1} (${action.type}${target ? ` ${target}` : ''}) failed: ${error.name === 'TimeoutError' ? 'timed out' : 'could not be completed'}`);
+    }
+  }
+}
+
+// Load the decrypted auth config for a queued scan: a saved credential or
+// the inline config stored (encrypted) on the scan itself
+async function resolveScanAuth(scan) {
+  const credentialId = scan.options && scan.options.credentialId;
+
+  if (credentialId) {
+    const credential = await Credential.findOne({ _id: credentialId, userId: scan.userId }).select('+secret');
+    if (!credential) {
+      throw new Error('The saved credential for this scan no longer exists');
+    }
+    await Credential.updateOne({ _id: credential._id }, { $set: { lastUsedAt: new Date() } });
+    return decryptJson(credential.secret);
+  }
+
+  if (scan.authEncrypted) {
+    return decryptJson(scan.authEncrypted);
+  }
+
+  return null;
+}
+
+// Check the auth parts of a scan request: the inline `auth` config and/or
+// the credentialId in the parsed scan options. Returns { auth } or
+// { status, error }.
+async function validateScanAuth(userId, scanOptions, input) {
+  const { auth, error } = parseAuthConfig(input);
+  if (error) {
+    return { status: 400, error };
+  }
+
+  if (auth && scanOptions.credentialId) {
+    return { status: 400, error: 'Use either auth or credentialId, not both.' };
+  }
+
+  if (auth && !isEncryptionConfigured()) {
+    return { status: 503, error: 'Authenticated scanning is not configured on this server.' };
+  }
+
+  if (scanOptions.credentialId) {
+    const exists = await Credential.exists({ _id: scanOptions.credentialId, userId });
+    if (!exists) {
+      return { status: 400, error: 'Credential not found' };
+    }
+  }
+
+  return { auth };
+}
+
+module.exports = {
+  parseAuthConfig,
+  validateScanAuth,
+  summarizeAuth,
+  buildRequestHeaders,
+  applyAuthToPage,
+  runAuthActions,
+  resolveScanAuth
+};
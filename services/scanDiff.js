@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { deviceLabel } = require('./scanOptions');
+
+// Whitespace and attribute ordering aside, the same problem on the same
+// element produces the same fingerprint from scan to scan
+function normalizeText(value, maxLength) {
+  return String(value || '').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+}
+
+// Stable identity for an issue across scans: rule code + selector + context
+function fingerprintIssue(issue) {
+  const parts = [
+    String(issue.code || ''),
+    normalizeText(issue.selector, 500),
+    normalizeText(issue.context, 300)
+  ];
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+}
+
+function toComparableIssue(issue) {
+  const plain = typeof issue.toObject === 'function' ? issue.toObject() : issue;
+  return { ...plain, fingerprint: plain.fingerprint || fingerprintIssue(plain) };
+}
+
+// Issues triaged as false positives never count as new, fixed or persisting
+function comparableIssues(scan) {
+  return scan.issueDetails.map(toComparableIssue).filter(issue => !issue.falsePositive);
+}
+
+function summarizeScan(scan) {
+  return {
+    id: scan._id,
+    url: scan.url,
+    score: scan.score,
+    issues: scan.issues,
+    timestamp: scan.timestamp,
+    options: scan.options
+  };
+}
+
+// Compare two completed scans. Issues are matched by fingerprint; repeated
+// fingerprints are matched one-for-one so a page that goes from two copies
+// of an issue to three reports one new issue.
+function diffScans(base, head) {
+  const remaining = new Map();
+  for (const issue of comparableIssues(base)) {
+    const bucket = remaining.get(issue.fingerprint) || [];
+    bucket.push(issue);
+    remaining.set(issue.fingerprint, bucket);
+  }
+
+  const newIssues = [];
+  const persistingIssues = [];
+
+  for (const issue of comparableIssues(head)) {
+    const bucket = remaining.get(issue.fingerprint);
+    if (bucket && bucket.length) {
+      bucket.shift();
+      persistingIssues.push(issue);
+    } else {
+      newIssues.push(issue);
+    }
+  }
+
+  const fixedIssues = [].concat(...remaining.values());
+  const scoreDelta = head.score - base.score;
+  const newErrors = newIssues.filter(issue => issue.severity === 'error').length;
+
+  return {
+    base: summarizeScan(base),
+    head: summarizeScan(head),
+    scoreDelta,
+    regressed: scoreDelta < 0 || newErrors > 0,
+    summary: {
+      new: newIssues.length,
+      fixed: fixedIssues.length,
+      persisting: persistingIssues.length,
+      newErrors
+    },
+    newIssues,
+    fixedIssues,
+    persistingIssues
+  };
+}
+
+// Compare the scans of one URL on several devices. Each distinct issue
+// (by fingerprint) lists the devices it was found on; issues missing on
+// some devices are the ones tied to a breakpoint. Unfinished scans are
+// listed but not compared.
+function compareDevices(scans) {
+  const devices = scans.map(scan => ({
+    device: deviceLabel(scan.options),
+    profile: scan.options.device,
+    scanId: scan._id,
+    status: scan.status,
+    score: scan.status === 'completed' ? scan.score : null,
+    issues: scan.status === 'completed' ? scan.issues : null
+  }));
+
+  const compared = scans.filter(scan => scan.status === 'completed');
+  const labels = compared.map(scan => deviceLabel(scan.options));
+  const byFingerprint = new Map();
+
+  compared.forEach((scan, index) => {
+    for (const issue of comparableIssues(scan)) {
+      let entry = byFingerprint.get(issue.fingerprint);
+      if (!entry) {
+        entry = {
+          fingerprint: issue.fingerprint,
+          type: issue.type,
+          code: issue.code,
+          severity: issue.severity,
+          selector: issue.selector,
+          message: issue.message,
+          successCriterion: issue.successCriterion,
+          devices: []
+        };
+        byFingerprint.set(issue.fingerprint, entry);
+      }
+      if (!entry.devices.includes(labels[index])) entry.devices.push(labels[index]);
+    }
+  });
+
+  const issues = [...byFingerprint.values()].map(issue => ({
+    ...issue,
+    onAllDevices: issue.devices.length === labels.length
+  }));
+  const breakpointIssues = issues.filter(issue => !issue.onAllDevices);
+
+  return {
+    devices,
+    complete: compared.length === scans.length,
+    summary: {
+      devicesCompared: labels.length,
+      distinctIssues: issues.length,
+      onAllDevices: issues.length - breakpointIssues.length,
+      breakpointSpecific: breakpointIssues.length,
+      // Issues found only on one device, per device
+      onlyOn: Object.fromEntries(labels.map(label => [
+        label,
+        breakpointIssues.filter(issue => issue.devices.length === 1 && issue.devices[0] === label).length
+      ]))
+    },
+    breakpointIssues,
+    issues
+  };
+}
+
+module.exports = {
+  fingerprintIssue,
+  diffScans,
+  compareDevices
+};
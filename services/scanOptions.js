@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const { DEVICE_PROFILES } = require('../data/deviceProfiles');
+
+// Validation and defaults for the scan options accepted by POST /scan.
+// The normalized result is stored on Scan.options so a scan can be
+// reproduced later with exactly the same configuration.
+
+const SUPPORTED_RUNNERS = ['htmlcs', 'axe'];
+const SCAN_TYPES = ['quick', 'full'];
+// Scans of one URL across several devices (see parseDeviceList)
+const MAX_RESPONSIVE_DEVICES = 6;
+
+const AA_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice'];
+
+// Conformance targets. `htmlcs` is the HTML_CodeSniffer standard to run and
+// `axeTags` the axe rule tags. HTML_CodeSniffer has no WCAG 2.2 rules, so the
+// 2.2 profile requires axe and runs HTMLCS (if selected too) at 2.1 AA.
+const STANDARDS = {
+  WCAG2A: {
+    htmlcs: 'WCAG2A',
+    axeTags: ['wcag2a', 'wcag21a', 'best-practice']
+  },
+  WCAG2AA: {
+    htmlcs: 'WCAG2AA',
+    axeTags: AA_TAGS
+  },
+  WCAG2AAA: {
+    htmlcs: 'WCAG2AAA',
+    axeTags: [...AA_TAGS, 'wcag2aaa']
+  },
+  WCAG22AA: {
+    htmlcs: 'WCAG2AA',
+    axeTags: [...AA_TAGS, 'wcag22aa'],
+    requiresAxe: true
+  }
+};
+
+const MAX_IGNORED_RULES = 200;
+const MAX_SELECTOR_LENGTH = 500;
+const RULE_CODE_PATTERN = /^[A-Za-z0-9_.-]{1,200}$/;
+
+// Parse the `runners` request option: a single engine name, a list, or
+// 'both'. Returns a de-duplicated list, or null when invalid.
+function parseRunners(value = ['htmlcs']) {
+  const runners = value === 'both' ? [...SUPPORTED_RUNNERS] : [].concat(value);
+  if (runners.length === 0 || !runners.every(runner => SUPPORTED_RUNNERS.includes(runner))) {
+    return null;
+  }
+  return [...new Set(runners)];
+}
+
+// A custom viewport: { width, height, deviceScaleFactor, isMobile, hasTouch,
+// userAgent, name }. Returns { device } or { error }.
+function parseCustomDevice(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'A custom device needs width and height.' };
+  }
+
+  const { width, height, deviceScaleFactor = 1, isMobile = false, userAgent = null } = value;
+  const hasTouch = value.hasTouch === undefined ? isMobile : value.hasTouch;
+
+  if (!Number.isInteger(width) || width < 200 || width > 3840 ||
+      !Number.isInteger(height) || height < 200 || height > 4320) {
+    return { error: 'A custom device needs an integer width (200-3840) and height (200-4320).' };
+  }
+  if (typeof deviceScaleFactor !== 'number' || deviceScaleFactor < 1 || deviceScaleFactor > 4) {
+    return { error: 'deviceScaleFactor must be a number between 1 and 4.' };
+  }
+  if (typeof isMobile !== 'boolean' || typeof hasTouch !== 'boolean') {
+    return { error: 'isMobile and hasTouch must be booleans.' };
+  }
+  if (userAgent !== null && (typeof userAgent !== 'string' || !userAgent.trim() || userAgent.length > 500 || /[\r\n]/.test(userAgent))) {
+    return { error: 'userAgent must be a single line of at most 500 characters.' };
+  }
+
+  const name = value.name === undefined ? `custom-${width}x${height}` : value.name;
+  if (typeof name !== 'string' || !name.trim() || name.length > 50) {
+    return { error: 'A custom device name must be a string of at most 50 characters.' };
+  }
+
+  return {
+    device: {
+      name: name.trim(),
+      width,
+      height,
+      deviceScaleFactor,
+      isMobile,
+      hasTouch,
+      userAgent: userAgent && userAgent.trim()
+    }
+  };
+}
+
+// Resolve a deviceType to the viewport stored with the scan ('custom' takes
+// the device object). Returns { deviceType, device } or { error }.
+function parseDevice(deviceType = 'desktop', custom = undefined) {
+  if (deviceType === 'custom') {
+    const { device, error } = parseCustomDevice(custom);
+    return error ? { error } : { deviceType, device };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(DEVICE_PROFILES, deviceType)) {
+    return { error: `deviceType must be one of: ${Object.keys(DEVICE_PROFILES).join(', ')}, custom.` };
+  }
+  return { deviceType, device: { ...DEVICE_PROFILES[deviceType] } };
+}
+
+// How a device is told apart in responsive results: the profile key, or a
+// custom device's name
+function deviceLabel({ deviceType, device }) {
+  return deviceType === 'custom' && device ? device.name : deviceType;
+}
+
+// The `devices` option of a responsive scan: profile keys and/or custom
+// device objects. Returns { devices: [{ deviceType, device }] } or { error }.
+function parseDeviceList(list) {
+  if (!Array.isArray(list) || list.length < 2 || list.length > MAX_RESPONSIVE_DEVICES) {
+    return { error: `devices must be a list of 2 to ${MAX_RESPONSIVE_DEVICES} device types or custom devices.` };
+  }
+
+  const devices = [];
+  for (const entry of list) {
+    const parsed = typeof entry === 'string' ? parseDevice(entry) : parseDevice('custom', entry);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    devices.push(parsed);
+  }
+
+  const labels = devices.map(deviceLabel);
+  if (new Set(labels).size !== labels.length) {
+    return { error: 'devices must not list the same device twice (give custom devices distinct names).' };
+  }
+  return { devices };
+}
+
+// A CSS selector we can safely hand to the browser. Real syntax errors are
+// only caught in the page, but this rejects markup and style blocks.
+function isPlausibleSelector(value) {
+  return typeof value === 'string' &&
+    value.trim().length > 0 &&
+    value.length <= MAX_SELECTOR_LENGTH &&
+    !/[{};<]/.test(value);
+}
+
+// hideElements may be a comma separated string or a list of selectors
+function parseSelectorList(value) {
+  let selectors;
+  if (typeof value === 'string') {
+    selectors = value.split(',');
+  } else if (Array.isArray(value) && value.every(selector => typeof selector === 'string')) {
+    selectors = value;
+  } else {
+    return null;
+  }
+
+  const trimmed = selectors.map(selector => selector.trim());
+  if (!trimmed.every(isPlausibleSelector)) return null;
+  return trimmed;
+}
+
+// Validate scan options from a request body. Returns { options } or { error }.
+function parseScanOptions(body = {}) {
+  const {
+    scanType = 'full',
+    deviceType = 'desktop',
+    standard = 'WCAG2AA',
+    ignore = [],
+    rootElement = '',
+    hideElements = [],
+    includeNotices = false,
+    includeWarnings = true,
+    screenshots = false,
+    credentialId = null
+  } = body;
+
+  if (!SCAN_TYPES.includes(scanType)) {
+    return { error: 'scanType must be "quick" or "full".' };
+  }
+
+  const { device, error: deviceError } = parseDevice(deviceType, body.device);
+  if (deviceError) {
+    return { error: deviceError };
+  }
+
+  const runners = parseRunners(body.runners);
+  if (!runners) {
+    return { error: `runners must be one or more of: ${SUPPORTED_RUNNERS.join(', ')}.` };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(STANDARDS, standard)) {
+    return { error: `standard must be one of: ${Object.keys(STANDARDS).join(', ')}.` };
+  }
+
+  if (STANDARDS[standard].requiresAxe && !runners.includes('axe')) {
+    return { error: `The ${standard} standard requires the axe runner.` };
+  }
+
+  if (!Array.isArray(ignore) || ignore.length > MAX_IGNORED_RULES ||
+      !ignore.every(code => typeof code === 'string' && RULE_CODE_PATTERN.test(code))) {
+    return { error: `ignore must be a list of at most ${MAX_IGNORED_RULES} rule codes.` };
+  }
+
+  if (rootElement !== '' && !isPlausibleSelector(rootElement)) {
+    return { error: 'rootElement must be a CSS selector.' };
+  }
+
+  const hidden = hideElements === '' ? [] : parseSelectorList(hideElements);
+  if (!hidden) {
+    return { error: 'hideElements must be a CSS selector or a list of CSS selectors.' };
+  }
+
+  if (typeof includeNotices !== 'boolean' || typeof includeWarnings !== 'boolean') {
+    return { error: 'includeNotices and includeWarnings must be booleans.' };
+  }
+
+  if (typeof screenshots !== 'boolean') {
+    return { error: 'screenshots must be a boolean.' };
+  }
+
+  if (credentialId !== null && !mongoose.isValidObjectId(credentialId)) {
+    return { error: 'credentialId must be a valid credential ID.' };
+  }
+
+  return {
+    options: {
+      scanType,
+      deviceType,
+      device,
+      runners,
+      standard,
+      ignore: [...new Set(ignore)],
+      rootElement: rootElement.trim(),
+      hideElements: hidden,
+      includeNotices,
+      includeWarnings,
+      screenshots,
+      credentialId,
+      authenticated: credentialId !== null
+    }
+  };
+}
+
+// Whether a reported rule code is covered by a list of rule patterns (the
+// ignore list, CI forbidden rules). Entries match whole dot-separated parts
+// of a code, so an axe rule id ('image-alt'), a full HTMLCS code, a prefix
+// ('WCAG2AA.Principle1.Guideline1_4') or a technique ('H37', 'H64.1') all
+// work. Matching is case-insensitive.
+function matchesRuleCode(code, patterns = []) {
+  const padded = `.${String(code).toLowerCase()}.`;
+  return patterns.some(entry => padded.includes(`.${entry.toLowerCase()}.`));
+}
+
+module.exports = {
+  SUPPORTED_RUNNERS,
+  STANDARDS,
+  parseRunners,
+  MAX_RESPONSIVE_DEVICES,
+  parseDevice,
+  parseDeviceList,
+  deviceLabel,
+  RULE_CODE_PATTERN,
+  parseScanOptions,
+  matchesRuleCode
+};
@@ -0,0 +1,314 @@
+const EventEmitter = require('events');
+const Scan = require('../models/Scan');
+const { runScan } = require('./scanner');
+const { resolveScanAuth } = require('./scanAuth');
+const { encryptJson } = require('./secrets');
+const { storeScanScreenshots } = require('./screenshots');
+const { applyTriage } = require('./triage');
+const { resolveScoringProfile } = require('./scoring');
+const { recordScans } = require('./usage');
+
+// Queue settings. The queue lives in the scans collection itself: a Scan in
+// the 'pending' state is a queued job, so nothing is lost on restart.
+const CONCURRENCY = parseInt(process.env.SCAN_CONCURRENCY, 10) || 2;
+const POLL_INTERVAL = parseInt(process.env.SCAN_POLL_INTERVAL, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.SCAN_MAX_ATTEMPTS, 10) || 3;
+// A running job whose lock is older than this is assumed to belong to a
+// worker that died (crash, deploy) and is handed back to the queue
+const STALE_AFTER = parseInt(process.env.SCAN_STALE_AFTER, 10) || 5 * 60 * 1000;
+
+// Emits 'completed' and 'failed' with the updated Scan document so other
+// services (site scans, schedules, ...) can react without polling, and
+// 'progress' with { scanId, progress } as a scan moves through SCAN_STAGES
+const scanEvents = new EventEmitter();
+// One listener per CI request waiting on a scan, plus the services above
+scanEvents.setMaxListeners(0);
+
+// Progress stages in order; 'failed' can follow any of them
+const SCAN_STAGES = ['queued', 'running', 'browser_launched', 'page_loaded', 'runner_finished', 'issues_counted', 'completed', 'failed'];
+
+const STAGE_MESSAGES = {
+  queued: 'Waiting for a free scan worker',
+  running: 'Scan started',
+  browser_launched: 'Browser ready',
+  page_loaded: 'Page loaded',
+  runner_finished: 'Accessibility checks finished',
+  issues_counted: 'Issues counted',
+  completed: 'Results saved',
+  failed: 'Scan failed'
+};
+
+let activeJobs = 0;
+let pollTimer = null;
+let filling = false;
+
+// The progress object stored on a Scan
+function progressOf(stage, details = null) {
+  let message = STAGE_MESSAGES[stage];
+  if (stage === 'runner_finished' && details) {
+    message = `${details.runner} found ${details.issues} issue${details.issues === 1 ? '' : 's'}`;
+  } else if (stage === 'failed' && details && details.error) {
+    message = `Scan failed: ${details.error}`;
+  }
+  return { stage, message, details, updatedAt: new Date() };
+}
+
+// Store a progress update and tell listeners. Partial results (`sample`) are
+// only streamed, never stored. Progress also renews the job's lock.
+async function saveProgress(scan, stage, details = null) {
+  const progress = progressOf(stage, details);
+  scanEvents.emit('progress', { scanId: String(scan._id), progress });
+
+  const { sample, ...stored } = details || {};
+  try {
+    await Scan.updateOne(
+      { _id: scan._id, status: 'running' },
+      { $set: { progress: { ...progress, details: details ? stored : null }, lockedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error(`Error saving progress of scan ${scan._id}:`, error.message);
+  }
+}
+
+// Create a pending Scan and wake the worker pool. Inline login details can
+// be passed decrypted (`auth`) or already encrypted (`authEncrypted`).
+async function enqueueScan({ userId, url, options = {}, projectId = null, siteScanId = null, batchId = null, responsiveGroupId = null, scheduleId = null, ciThresholds = null, auth = null, authEncrypted = null, html = null }) {
+  const encryptedAuth = auth ? encryptJson(auth) : authEncrypted;
+
+  const scan = await Scan.create({
+    userId,
+    url: String(url),
+    options: { ...options, authenticated: Boolean(options.credentialId || encryptedAuth) },
+    authEncrypted: encryptedAuth,
+    projectId,
+    siteScanId,
+    batchId,
+    responsiveGroupId,
+    scheduleId,
+    ciThresholds,
+    html,
+    status: 'pending',
+    progress: progressOf('queued'),
+    timestamp: new Date()
+  });
+
+  console.log(`Scan ${scan._id} queued for: ${url}`);
+  recordScans(userId).catch(error => console.error('Error recording scan usage:', error));
+  setImmediate(fillSlots);
+  return scan;
+}
+
+// Atomically move the oldest pending scan to 'running'
+function claimNextScan() {
+  const now = new Date();
+  return Scan.findOneAndUpdate(
+    { status: 'pending' },
+    {
+      $set: {
+        status: 'running',
+        startedAt: now,
+        lockedAt: now,
+        progress: progressOf('running')
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { timestamp: 1 }, new: true }
+  ).select('+authEncrypted');
+}
+
+async function processScan(scan) {
+  scanEvents.emit('progress', { scanId: String(scan._id), progress: scan.progress });
+
+  // Progress updates are saved in order, and before the final result
+  let progressSaved = Promise.resolve();
+  const onProgress = (stage, details) => {
+    progressSaved = progressSaved.then(() => saveProgress(scan, stage, details));
+  };
+
+  try {
+    const auth = await resolveScanAuth(scan);
+    const { screenshots, ...result } = await runScan(scan.url, scan.options ? scan.options.toObject() : {}, auth, onProgress, scan.html);
+    if (screenshots) {
+      Object.assign(result, await storeScanScreenshots(scan._id, result.issueDetails, screenshots));
+    }
+    // Known false positives carry over from earlier scans of this URL, and
+    // the score uses the project's or user's scoring profile
+    Object.assign(result, await applyTriage(scan, result.issueDetails, {
+      profile: await resolveScoringProfile(scan),
+      elementsChecked: result.scoring.elementsChecked
+    }));
+    await progressSaved;
+    const now = new Date();
+
+    const completed = await Scan.findByIdAndUpdate(scan._id, {
+      $set: {
+        ...result,
+        status: 'completed',
+        completedAt: now,
+        lockedAt: null,
+        error: '',
+        progress: progressOf('completed', { issues: result.issues, score: result.score })
+      }
+    }, { new: true });
+
+    console.log('Scan saved successfully with ID:', scan._id);
+    if (completed) scanEvents.emit('completed', completed);
+  } catch (error) {
+    console.error(`Scan ${scan._id} failed:`, error.message);
+    await progressSaved;
+    const now = new Date();
+
+    try {
+      const failed = await Scan.findByIdAndUpdate(scan._id, {
+        $set: {
+          issues: 0,
+          issueDetails: [],
+          score: 0,
+          status: 'failed',
+          completedAt: now,
+          lockedAt: null,
+          error: String(error.message || 'Scan failed'),
+          pageTitle: 'Scan Failed',
+          progress: progressOf('failed', { error: String(error.message || 'Scan failed') })
+        }
+      }, { new: true });
+      if (failed) scanEvents.emit('failed', failed);
+    } catch (saveError) {
+      console.error('Failed to save failed scan:', saveError);
+    }
+  }
+}
+
+// Claim jobs until every worker slot is busy or the queue is empty
+async function fillSlots() {
+  if (filling) return;
+  filling = true;
+
+  try {
+    while (activeJobs < CONCURRENCY) {
+      const scan = await claimNextScan();
+      if (!scan) break;
+
+      activeJobs++;
+      processScan(scan).finally(() => {
+        activeJobs--;
+        setImmediate(fillSlots);
+      });
+    }
+  } catch (error) {
+    console.error('Error claiming queued scans:', error);
+  } finally {
+    filling = false;
+  }
+}
+
+// Return stale 'running' scans to the queue, or fail them once they have
+// used up their attempts
+async function recoverStaleScans() {
+  const staleBefore = new Date(Date.now() - STALE_AFTER);
+  const now = new Date();
+
+  try {
+    const exhausted = await Scan.find(
+      { status: 'running', lockedAt: { $lt: staleBefore }, attempts: { $gte: MAX_ATTEMPTS } }
+    ).select('_id');
+
+    const failed = await Scan.updateMany(
+      { _id: { $in: exhausted.map(scan => scan._id) }, status: 'running' },
+      {
+        $set: {
+          status: 'failed',
+          lockedAt: null,
+          completedAt: now,
+          error: 'Scan was interrupted too many times',
+          pageTitle: 'Scan Failed',
+          progress: progressOf('failed', { error: 'Scan was interrupted too many times' })
+        }
+      }
+    );
+
+    const requeued = await Scan.updateMany(
+      { status: 'running', lockedAt: { $lt: staleBefore } },
+      {
+        $set: {
+          status: 'pending',
+          lockedAt: null,
+          progress: progressOf('queued')
+        }
+      }
+    );
+
+    if (failed.modifiedCount) {
+      const failedScans = await Scan.find({ _id: { $in: exhausted.map(scan => scan._id) } });
+      failedScans.forEach(scan => scanEvents.emit('failed', scan));
+    }
+
+    if (failed.modifiedCount || requeued.modifiedCount) {
+      console.log(`Recovered stale scans: ${requeued.modifiedCount} requeued, ${failed.modifiedCount} failed`);
+    }
+  } catch (error) {
+    console.error('Error recovering stale scans:', error);
+  }
+}
+
+// Start polling the queue. Safe to call more than once.
+function startScanWorkers() {
+  if (pollTimer) return;
+
+  const tick = async () => {
+    await recoverStaleScans();
+    await fillSlots();
+  };
+
+  tick();
+  pollTimer = setInterval(tick, POLL_INTERVAL);
+  console.log(`✅ Scan workers started (concurrency: ${CONCURRENCY})`);
+}
+
+function stopScanWorkers() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+// Resolve with the finished scan (completed or failed), or null if it is
+// still unfinished after `timeout` ms
+function waitForScan(scanId, timeout) {
+  const id = String(scanId);
+
+  return new Promise(resolve => {
+    let timer = null;
+
+    const finish = scan => {
+      clearTimeout(timer);
+      scanEvents.off('completed', onEvent);
+      scanEvents.off('failed', onEvent);
+      resolve(scan);
+    };
+    const onEvent = scan => {
+      if (String(scan._id) === id) finish(scan);
+    };
+
+    scanEvents.on('completed', onEvent);
+    scanEvents.on('failed', onEvent);
+    timer = setTimeout(() => finish(null), timeout);
+
+    // The scan may have finished before we started listening
+    Scan.findById(id).then(scan => {
+      if (scan && ['completed', 'failed'].includes(scan.status)) finish(scan);
+    }).catch(() => {});
+  });
+}
+
+function getQueueStats() {
+  return { activeJobs, concurrency: CONCURRENCY };
+}
+
+module.exports = {
+  SCAN_STAGES,
+  scanEvents,
+  enqueueScan,
+  startScanWorkers,
+  stopScanWorkers,
+  waitForScan,
+  getQueueStats
+};
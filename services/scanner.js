@@ -0,0 +1,314 @@
+const pa11y = require('pa11y');
+const { runAxe } = require('./axeRunner');
+const { STANDARDS, matchesRuleCode } = require('./scanOptions');
+const { applyAuthToPage, runAuthActions } = require('./scanAuth');
+const { captureScreenshots } = require('./screenshots');
+const { scoreIssues } = require('./scoring');
+const { getRule } = require('./ruleCatalog');
+const { withPage } = require('./browserPool');
+const { DEVICE_PROFILES } = require('../data/deviceProfiles');
+const { attachContrast } = require('./contrast');
+const { guardPage } = require('./urlPolicy');
+const { buildHtmlDocument } = require('./htmlScans');
+
+const SEVERITY_RANK = { error: 3, warning: 2, notice: 1 };
+
+// Human title for an HTML_CodeSniffer code, from the rule catalog
+function getReadableIssueType(wcagCode) {
+  const rule = getRule(wcagCode);
+  return rule ? rule.title : 'Accessibility Issue';
+}
+
+// Enhanced pa11y options for Render deployment
+function buildPa11yOptions({
+  scanType = 'full',
+  deviceType = 'desktop',
+  device = null,
+  standard = 'WCAG2AA',
+  ignore = [],
+  rootElement = '',
+  hideElements = [],
+  includeNotices = false,
+  includeWarnings = true
+} = {}) {
+  // Scans from before device profiles only stored the deviceType
+  const profile = device || DEVICE_PROFILES[deviceType] || DEVICE_PROFILES.desktop;
+
+  return {
+    standard: STANDARDS[standard].htmlcs,
+    includeNotices,
+    includeWarnings,
+    ignore: ignore.map(code => code.toLowerCase()),
+    rootElement: rootElement || null,
+    hideElements: hideElements.length ? hideElements.join(', ') : null,
+    timeout: scanType === 'quick' ? 25000 : 45000,
+    wait: scanType === 'quick' ? 1000 : 2000,
+
+    // Pages come from the shared browser pool (services/browserPool.js), so
+    // the device is emulated per page rather than per browser
+    ...(profile.userAgent ? { userAgent: profile.userAgent } : {}),
+    viewport: {
+      width: profile.width,
+      height: profile.height,
+      deviceScaleFactor: profile.deviceScaleFactor,
+      isMobile: profile.isMobile,
+      hasTouch: profile.hasTouch
+    }
+  };
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// WCAG success criterion an issue belongs to, e.g. '1.4.3', or null
+function getSuccessCriterion(issue) {
+  if (issue.runner === 'axe') {
+    // axe tags look like 'wcag143' or 'wcag1410'
+    const tag = (issue.tags || []).find(t => /^wcag\d{3,}$/.test(t));
+    if (!tag) return null;
+    const digits = tag.slice(4);
+    return `${digits[0]}.${digits[1]}.${digits.slice(2)}`;
+  }
+
+  // HTMLCS codes look like 'WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail'
+  const match = String(issue.code || '').match(/Guideline\d+_\d+\.(\d+)_(\d+)_(\d+)/);
+  return match ? `${match[1]}.${match[2]}.${match[3]}` : null;
+}
+
+// Resolve selectors to element indexes in the page so findings from
+// different engines (which build selectors differently) can be compared
+function identifyElements(page, selectors) {
+  return page.evaluate(list => {
+    const ids = new Map();
+    return list.map(selector => {
+      try {
+        const element = selector && document.querySelector(selector);
+        if (!element) return null;
+        if (!ids.has(element)) ids.set(element, ids.size);
+        return ids.get(element);
+      } catch (error) {
+        return null;
+      }
+    });
+  }, selectors);
+}
+
+// Merge raw findings from every runner. A finding reported by more than one
+// engine for the same element and success criterion is kept once, with the
+// highest severity and all reporting runners listed.
+function mergeIssues(rawIssues, elementIds) {
+  const merged = [];
+  const byKey = new Map();
+
+  rawIssues.forEach((issue, index) => {
+    const criterion = getSuccessCriterion(issue);
+    const elementId = elementIds ? elementIds[index] : null;
+    const key = criterion && elementId !== null ? `${elementId}|${criterion}` : null;
+    const existing = key && byKey.get(key);
+
+    if (existing && !existing.runners.includes(issue.runner)) {
+      existing.runners.push(issue.runner);
+      if (SEVERITY_RANK[issue.type] > SEVERITY_RANK[existing.type]) {
+        existing.type = issue.type;
+      }
+      return;
+    }
+
+    const entry = { ...issue, runners: [issue.runner] };
+    merged.push(entry);
+    if (key && !existing) byKey.set(key, entry);
+  });
+
+  return merged;
+}
+
+// Summary of one runner's findings, sent as partial results while the scan
+// is still running
+function partialResults(runner, issues) {
+  const count = severity => issues.filter(issue => issue.type === severity).length;
+  return {
+    runner,
+    issues: issues.length,
+    errors: count('error'),
+    warnings: count('warning'),
+    notices: count('notice'),
+    sample: issues.slice(0, 20).map(issue => ({
+      code: String(issue.code || ''),
+      severity: String(issue.type || 'warning'),
+      message: String(issue.message || ''),
+      selector: String(issue.selector || '')
+    }))
+  };
+}
+
+// Run the selected engines against a URL and return the fields stored on a
+// Scan. `auth` is a decrypted login config (see services/scanAuth.js).
+// `onProgress(stage, details)` is called as the scan moves along. With
+// `html` (Scan.html) the page is rendered from the submitted markup and
+// `url` is only its identifier.
+async function runScan(url, options = {}, auth = null, onProgress = () => {}, html = null) {
+  const { scanType = 'full', deviceType = 'desktop', runners = ['htmlcs'], standard = 'WCAG2AA', ignore = [] } = options;
+  const pa11yOptions = buildPa11yOptions(options);
+  const startTime = Date.now();
+
+  console.log(`Starting ${scanType} ${standard} scan for ${options.device ? options.device.name : deviceType} on: ${url} (runners: ${runners.join(', ')}${auth ? ', authenticated' : ''})`);
+  console.log('Environment:', process.env.NODE_ENV);
+
+  return withPage(async (page, browser) => {
+    onProgress('browser_launched');
+    let rawIssues = [];
+
+    // Every request the page makes, redirects included, must pass the URL
+    // policy (services/urlPolicy.js)
+    const guard = await guardPage(page);
+
+    // We load the page ourselves so login steps can run before any engine
+    await page.setViewport(pa11yOptions.viewport);
+    if (pa11yOptions.userAgent) {
+      await page.setUserAgent(pa11yOptions.userAgent);
+    }
+    if (auth) {
+      await applyAuthToPage(page, url, auth);
+    }
+    try {
+      if (html) {
+        // Resources the markup refers to still go through the URL policy
+        await page.setContent(buildHtmlDocument(html), { waitUntil: 'networkidle2', timeout: pa11yOptions.timeout });
+        if (html.css) {
+          await page.addStyleTag({ content: html.css });
+        }
+      } else {
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: pa11yOptions.timeout });
+      }
+    } catch (error) {
+      if (guard.blockedNavigation) {
+        throw new Error(guard.blockedNavigation.error);
+      }
+      throw error;
+    }
+    if (auth && auth.actions.length) {
+      await runAuthActions(page, auth.actions, pa11yOptions.timeout);
+    }
+    onProgress('page_loaded', { pageTitle: await page.title() });
+
+    if (runners.includes('htmlcs')) {
+      // Run Pa11y on the already loaded page so axe can reuse the document
+      const results = await pa11y(url, {
+        ...pa11yOptions,
+        runners: ['htmlcs'],
+        browser,
+        page,
+        ignoreUrl: true
+      });
+      console.log(`Pa11y found ${results.issues.length} issues`);
+      rawIssues = results.issues.map(issue => ({ ...issue, runner: issue.runner || 'htmlcs' }));
+      onProgress('runner_finished', partialResults('htmlcs', rawIssues));
+    } else {
+      await delay(pa11yOptions.wait);
+    }
+
+    if (runners.includes('axe')) {
+      const axeIssues = await withTimeout(
+        runAxe(page, {
+          tags: STANDARDS[standard].axeTags,
+          includeWarnings: pa11yOptions.includeWarnings,
+          rootElement: options.rootElement,
+          hideElements: options.hideElements
+        }),
+        pa11yOptions.timeout,
+        `axe timed out (${pa11yOptions.timeout}ms)`
+      );
+      const reported = axeIssues.filter(issue => pa11yOptions.includeNotices || issue.type !== 'notice');
+      rawIssues = rawIssues.concat(reported);
+      onProgress('runner_finished', partialResults('axe', reported));
+    }
+
+    // Pa11y only ignores exact codes; apply technique and prefix matches too
+    rawIssues = rawIssues.filter(issue => !matchesRuleCode(issue.code, ignore));
+
+    const elementIds = runners.length > 1
+      ? await identifyElements(page, rawIssues.map(issue => issue.selector))
+      : null;
+
+    const metadata = await page.evaluate(rootSelector => {
+      const description = document.querySelector('meta[name="description"]');
+      const root = (rootSelector && document.querySelector(rootSelector)) || document;
+      return {
+        title: document.title,
+        description: description ? description.getAttribute('content') : '',
+        // Page size, used to put the number of issues in proportion
+        elementsChecked: root.querySelectorAll('*').length
+      };
+    }, options.rootElement || null);
+
+    const scanDuration = Date.now() - startTime;
+
+    // Process issues with proper validation and mapping to frontend structure
+    const issueDetails = mergeIssues(rawIssues, elementIds).map((issue, index) => ({
+      id: index + 1,
+      type: issue.runner === 'axe' ? String(issue.title) : getReadableIssueType(issue.code),
+      description: String(issue.message || 'No description available'),
+      severity: String(issue.type || 'warning'),
+      selector: String(issue.selector || ''),
+      message: String(issue.message || ''),
+      code: String(issue.code || ''),
+      context: String(issue.context || ''),
+      runner: issue.runners.join(','),
+      successCriterion: getSuccessCriterion(issue)
+    }));
+
+    console.log('Processed issues:', issueDetails.length, 'items',
+      `(${rawIssues.length - issueDetails.length} duplicates merged)`);
+    onProgress('issues_counted', {
+      issues: issueDetails.length,
+      duplicatesMerged: rawIssues.length - issueDetails.length
+    });
+
+    // Measured colors, font size and ratio for contrast issues. Like
+    // screenshots, this is extra detail that must not fail the scan.
+    try {
+      await attachContrast(page, issueDetails);
+    } catch (error) {
+      console.log('⚠️  Could not measure contrast:', error.message);
+    }
+
+    // Screenshots are a nice-to-have; never fail the scan over them
+    let screenshots = null;
+    if (options.screenshots) {
+      try {
+        screenshots = await captureScreenshots(page, issueDetails);
+      } catch (error) {
+        console.log('⚠️  Could not capture screenshots:', error.message);
+      }
+    }
+
+    return {
+      issues: issueDetails.length,
+      issueDetails,
+      ...scoreIssues(issueDetails, { elementsChecked: metadata.elementsChecked }),
+      scanDuration,
+      pageTitle: String(metadata.title || 'Unknown'),
+      pageDescription: String(metadata.description || ''),
+      screenshots
+    };
+  });
+}
+
+module.exports = {
+  runScan,
+  mergeIssues,
+  getSuccessCriterion,
+  buildPa11yOptions,
+  getReadableIssueType
+};
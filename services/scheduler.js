@@ -0,0 +1,168 @@
+const Schedule = require('../models/Schedule');
+const Scan = require('../models/Scan');
+const User = require('../models/User');
+const { enqueueScan, scanEvents } = require('./scanQueue');
+const { nextCronRun } = require('./cron');
+const { diffScans } = require('./scanDiff');
+const { transporter } = require('./mailer');
+const { checkScanQuota } = require('./usage');
+
+const TICK_INTERVAL = parseInt(process.env.SCHEDULER_INTERVAL, 10) || 60 * 1000;
+
+let tickTimer = null;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Queue a scan for a schedule right now
+async function runSchedule(schedule) {
+  const scan = await enqueueScan({
+    userId: schedule.userId,
+    url: schedule.url,
+    options: schedule.scanOptions ? schedule.scanOptions.toObject() : {},
+    scheduleId: schedule._id
+  });
+
+  await Schedule.updateOne({ _id: schedule._id }, {
+    $set: { lastRunAt: new Date(), lastScanId: scan._id }
+  });
+
+  console.log(`Schedule ${schedule._id} queued scan ${scan._id}`);
+  return scan;
+}
+
+// Queue every schedule whose nextRunAt has passed. Runs missed while the
+// server was down are collapsed into a single run.
+async function runDueSchedules() {
+  const now = new Date();
+
+  try {
+    const due = await Schedule.find({ enabled: true, nextRunAt: { $lte: now } });
+
+    for (const schedule of due) {
+      // Claim the run by moving nextRunAt forward; skip if another tick won
+      const claimed = await Schedule.findOneAndUpdate(
+        { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+        { $set: { nextRunAt: nextCronRun(schedule.cron, now) } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      // Runs are skipped while the owner is over their scan quota
+      const overQuota = await checkScanQuota(claimed.userId, { concurrency: false });
+      if (overQuota) {
+        console.log(`Schedule ${claimed._id} skipped: ${overQuota.error}`);
+        continue;
+      }
+      await runSchedule(claimed);
+    }
+  } catch (error) {
+    console.error('Error running scheduled scans:', error);
+  }
+}
+
+function buildRegressionEmail(schedule, diff) {
+  const { base, head, scoreDelta, summary, newIssues } = diff;
+  const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`;
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h1 style="color: #ef4444;">⚠️ Accessibility regression detected</h1>
+            <p><strong>Website:</strong> ${escapeHtml(head.url)}</p>
+            <p><strong>Schedule:</strong> ${escapeHtml(schedule.name || schedule.cron)}</p>
+            <p><strong>Score:</strong> ${base.score} → ${head.score} (${scoreDelta >= 0 ? '+' : ''}${scoreDelta})</p>
+            <p><strong>New issues:</strong> ${summary.new} (${summary.newErrors} errors)
+               &nbsp; <strong>Fixed:</strong> ${summary.fixed}</p>
+            ${newIssues.length ? `
+            <h3>New issues</h3>
+            ${newIssues.slice(0, 10).map(issue => `
+                <div style="background: #f9f9f9; padding: 12px; margin: 8px 0; border-left: 4px solid ${issue.severity === 'error' ? '#ef4444' : '#f59e0b'};">
+                    <strong>${escapeHtml(issue.type)}</strong><br>
+                    <span style="color: #666; font-size: 14px;">${escapeHtml(issue.description)}</span>
+                    ${issue.selector ? `<br><code style="font-size: 12px;">${escapeHtml(issue.selector)}</code>` : ''}
+                </div>
+            `).join('')}
+            ` : ''}
+            <p><a href="${dashboardUrl}">View the full report</a></p>
+            <p style="color: #666; font-size: 12px;">You are receiving this because alerts are enabled for this scheduled scan.</p>
+        </div>
+    </body>
+    </html>
+  `;
+}
+
+// Decide whether a finished run should alert, based on the schedule's rules
+function shouldAlert(schedule, diff) {
+  const { scoreDropThreshold, onNewErrors } = schedule.alerts;
+  const scoreDropped = scoreDropThreshold > 0 && -diff.scoreDelta >= scoreDropThreshold;
+  const newErrors = onNewErrors && diff.summary.newErrors > 0;
+  return scoreDropped || newErrors;
+}
+
+// Compare a finished scheduled scan with the previous run and email the
+// owner when it regressed
+async function checkForRegression(scan) {
+  const schedule = await Schedule.findById(scan.scheduleId);
+  if (!schedule || !schedule.alerts.email) return;
+
+  const previous = await Scan.findOne({
+    scheduleId: schedule._id,
+    status: 'completed',
+    timestamp: { $lt: scan.timestamp }
+  }).sort({ timestamp: -1 });
+
+  // Nothing to compare the first run with
+  if (!previous) return;
+
+  const diff = diffScans(previous, scan);
+  if (!shouldAlert(schedule, diff)) return;
+
+  if (!transporter) {
+    console.log(`Schedule ${schedule._id} regressed but email is not configured`);
+    return;
+  }
+
+  const user = await User.findById(schedule.userId);
+  if (!user || !user.email) return;
+
+  await transporter.sendMail({
+    from: process.env.SMTP_USER,
+    to: user.email,
+    subject: `A11yCheck Alert: ${scan.url} regressed (Score: ${diff.base.score} → ${diff.head.score})`,
+    html: buildRegressionEmail(schedule, diff)
+  });
+
+  await Schedule.updateOne({ _id: schedule._id }, { $set: { lastAlertAt: new Date() } });
+  console.log(`Regression alert for schedule ${schedule._id} sent to ${user.email}`);
+}
+
+function onScanCompleted(scan) {
+  if (!scan.scheduleId) return;
+  checkForRegression(scan).catch(error => {
+    console.error('Error checking scheduled scan for regressions:', error);
+  });
+}
+
+// Start the in-process scheduler. Safe to call more than once.
+function startScheduler() {
+  if (tickTimer) return;
+
+  scanEvents.on('completed', onScanCompleted);
+  runDueSchedules();
+  tickTimer = setInterval(runDueSchedules, TICK_INTERVAL);
+  console.log('✅ Scan scheduler started');
+}
+
+module.exports = {
+  runSchedule,
+  startScheduler,
+  shouldAlert
+};
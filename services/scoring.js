@@ -0,0 +1,198 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { matchesRuleCode } = require('./scanOptions');
+const { PRINCIPLES } = require('../data/wcagCriteria');
+
+// The one place scores are computed. A profile turns a scan's issues into a
+// 0-100 score:
+//
+//   1. Each issue weighs its rule weight (first matching entry of
+//      `ruleWeights`) or else its severity weight.
+//   2. Repeats of the same rule count less and less: the nth violation of a
+//      rule weighs weight * repeatDecay^(n-1).
+//   3. The total is scaled by page size, so ten issues on a page with a few
+//      elements weigh more than on a page with thousands:
+//      factor = clamp(sqrt(reference / elementsChecked), min, max).
+//   4. The curve maps the deduction to a score. 'exponential' gives
+//      100 * e^(-deduction / scale); 'linear' gives
+//      100 - min(maxDeduction, deduction * factor).
+//
+// The same calculation on the issues of each WCAG principle gives the
+// perceivable/operable/understandable/robust sub-scores.
+//
+// Profiles are versioned and never changed once released: a change means a
+// new version, so every stored score can be explained (Scan.scoring records
+// the profile and version used).
+
+const PROFILE_VERSIONS = {
+  // The formula used before profiles existed; scans without Scan.scoring
+  // were scored with it
+  'legacy@1': {
+    id: 'legacy',
+    version: 1,
+    name: 'Legacy',
+    description: 'Fixed weights per severity, no repeat or page size adjustment.',
+    severityWeights: { error: 10, warning: 5, notice: 2 },
+    ruleWeights: [],
+    repeatDecay: 1,
+    elementNormalization: null,
+    curve: { type: 'linear', factor: 0.5, maxDeduction: 95 }
+  },
+  'standard@1': {
+    id: 'standard',
+    version: 1,
+    name: 'Standard',
+    description: 'Blocking problems weigh most, repeated violations of one rule count less, and the score is relative to page size.',
+    severityWeights: { error: 10, warning: 3, notice: 0.5 },
+    // Issues that lock people out of content entirely
+    ruleWeights: [
+      { rule: 'H37', weight: 14 },
+      { rule: 'image-alt', weight: 14 },
+      { rule: 'H44', weight: 14 },
+      { rule: 'label', weight: 14 },
+      { rule: 'F68', weight: 14 },
+      { rule: 'H57', weight: 12 },
+      { rule: 'html-has-lang', weight: 12 },
+      { rule: 'H91', weight: 12 },
+      { rule: 'button-name', weight: 12 },
+      { rule: 'link-name', weight: 12 }
+    ],
+    repeatDecay: 0.6,
+    elementNormalization: { reference: 500, min: 0.5, max: 1.5 },
+    curve: { type: 'exponential', scale: 100 }
+  },
+  'strict@1': {
+    id: 'strict',
+    version: 1,
+    name: 'Strict',
+    description: 'For sites that must conform: warnings weigh more and repeated violations keep counting.',
+    severityWeights: { error: 15, warning: 6, notice: 1 },
+    ruleWeights: [],
+    repeatDecay: 0.85,
+    elementNormalization: { reference: 500, min: 0.75, max: 1.5 },
+    curve: { type: 'exponential', scale: 70 }
+  }
+};
+
+// Latest version of each profile
+const PROFILES = {
+  legacy: 'legacy@1',
+  standard: 'standard@1',
+  strict: 'strict@1'
+};
+
+// Own keys only, so request values like 'constructor' don't match
+function isProfileId(id) {
+  return Object.prototype.hasOwnProperty.call(PROFILES, id);
+}
+
+const DEFAULT_PROFILE = isProfileId(process.env.SCORING_PROFILE) ? process.env.SCORING_PROFILE : 'standard';
+
+// Profile definition for an ID ('standard') or a pinned version ('standard@1')
+function getProfile(key = DEFAULT_PROFILE) {
+  const version = isProfileId(key) ? PROFILES[key] : key;
+  return Object.prototype.hasOwnProperty.call(PROFILE_VERSIONS, version) ? PROFILE_VERSIONS[version] : null;
+}
+
+function listProfiles() {
+  return Object.keys(PROFILES).map(id => ({ ...getProfile(id), default: id === DEFAULT_PROFILE }));
+}
+
+function issueWeight(profile, issue) {
+  const match = profile.ruleWeights.find(entry => matchesRuleCode(issue.code || '', [entry.rule]));
+  return match ? match.weight : (profile.severityWeights[issue.severity] || 0);
+}
+
+function sizeFactor(profile, elementsChecked) {
+  const normalization = profile.elementNormalization;
+  if (!normalization || !elementsChecked) return 1;
+  const factor = Math.sqrt(normalization.reference / elementsChecked);
+  return Math.min(normalization.max, Math.max(normalization.min, factor));
+}
+
+// Total weight of a list of issues, with diminishing returns per rule
+function deductionFor(profile, issues) {
+  const seen = new Map();
+  let total = 0;
+
+  for (const issue of issues) {
+    const repeats = seen.get(issue.code) || 0;
+    seen.set(issue.code, repeats + 1);
+    total += issueWeight(profile, issue) * Math.pow(profile.repeatDecay, repeats);
+  }
+  return total;
+}
+
+function curveScore(profile, deduction) {
+  const { curve } = profile;
+  const score = curve.type === 'linear'
+    ? 100 - Math.min(curve.maxDeduction, deduction * curve.factor)
+    : 100 * Math.exp(-deduction / curve.scale);
+  return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+// WCAG principle of an issue from its success criterion ('1.4.3' -> perceivable)
+function principleOf(issue) {
+  const criterion = issue.successCriterion ||
+    (String(issue.code || '').match(/Guideline(\d)_/) || [])[1];
+  return criterion ? PRINCIPLES[String(criterion)[0]] || null : null;
+}
+
+// Score a list of issues (false positives already removed). Returns
+// { score, scoring } where scoring is stored on the Scan.
+function scoreIssues(issues, { profile: key = DEFAULT_PROFILE, elementsChecked = null } = {}) {
+  const profile = getProfile(key) || getProfile(DEFAULT_PROFILE);
+  const factor = sizeFactor(profile, elementsChecked);
+  const deduction = deductionFor(profile, issues) * factor;
+
+  const principles = {};
+  for (const principle of Object.values(PRINCIPLES)) {
+    const matching = issues.filter(issue => principleOf(issue) === principle);
+    principles[principle] = curveScore(profile, deductionFor(profile, matching) * factor);
+  }
+
+  return {
+    score: curveScore(profile, deduction),
+    scoring: {
+      profile: profile.id,
+      version: profile.version,
+      deduction: Math.round(deduction * 100) / 100,
+      sizeFactor: Math.round(factor * 100) / 100,
+      elementsChecked,
+      principles
+    }
+  };
+}
+
+// Profile for a new scan: the project's choice, then the user's, then the
+// server default
+async function resolveScoringProfile({ userId, projectId = null }) {
+  if (projectId) {
+    const project = await Project.findById(projectId).select('scoringProfile');
+    if (project && project.scoringProfile) {
+      return PROFILES[isProfileId(project.scoringProfile) ? project.scoringProfile : DEFAULT_PROFILE];
+    }
+  }
+
+  const user = userId ? await User.findById(userId).select('scoringProfile') : null;
+  const id = (user && user.scoringProfile) || DEFAULT_PROFILE;
+  return PROFILES[isProfileId(id) ? id : DEFAULT_PROFILE];
+}
+
+// The pinned profile a stored scan was scored with
+function profileOfScan(scan) {
+  return scan.scoring && scan.scoring.profile
+    ? `${scan.scoring.profile}@${scan.scoring.version}`
+    : PROFILES.legacy;
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_PROFILE,
+  isProfileId,
+  getProfile,
+  listProfiles,
+  scoreIssues,
+  resolveScoringProfile,
+  profileOfScan
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Issue screenshots: a full-page capture with every offending element
+// outlined, plus a cropped shot per element. Images are stored in GridFS by
+// default, or on disk with SCREENSHOT_STORAGE=local.
+
+const STORAGE = process.env.SCREENSHOT_STORAGE === 'local' ? 'local' : 'gridfs';
+const LOCAL_DIR = path.resolve(process.env.SCREENSHOT_DIR || 'screenshots');
+const BUCKET_NAME = 'screenshots';
+
+const MAX_ISSUE_SCREENSHOTS = parseInt(process.env.MAX_ISSUE_SCREENSHOTS, 10) || 50;
+// Very long pages are cut off rather than producing huge images
+const MAX_PAGE_HEIGHT = 10000;
+const MAX_CROP_WIDTH = 1600;
+const MAX_CROP_HEIGHT = 1200;
+const CROP_PADDING = 24;
+
+const SEVERITY_COLORS = { error: '#ef4444', warning: '#f59e0b', notice: '#3b82f6' };
+const LOCAL_ID_PATTERN = /^[a-f0-9]{24}-[a-f0-9]{16}$/;
+
+function getBucket() {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+}
+
+// Outline the elements of every issue, then capture the page and a crop
+// around each element. Returns { page, issues: [{ issueId, buffer }] }.
+async function captureScreenshots(page, issueDetails) {
+  const targets = issueDetails.filter(issue => issue.selector).slice(0, MAX_ISSUE_SCREENSHOTS);
+
+  const boxes = await page.evaluate((items, colors) => {
+    return items.map(({ selector, severity }) => {
+      let element;
+      try {
+        element = document.querySelector(selector);
+      } catch (error) {
+        return null;
+      }
+      if (!element) return null;
+
+      element.style.setProperty('outline', `3px solid ${colors[severity]}`, 'important');
+      element.style.setProperty('outline-offset', '2px', 'important');
+
+      const rect = element.getBoundingClientRect();
+      if (!rect.width || !rect.height) return null;
+      return { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height };
+    });
+  }, targets.map(issue => ({ selector: issue.selector, severity: issue.severity })), SEVERITY_COLORS);
+
+  const size = await page.evaluate(() => ({
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight
+  }));
+
+  const pageShot = await page.screenshot({
+    type: 'jpeg',
+    quality: 70,
+    captureBeyondViewport: true,
+    clip: { x: 0, y: 0, width: size.width, height: Math.min(size.height, MAX_PAGE_HEIGHT) }
+  });
+
+  const issues = [];
+  for (let index = 0; index < targets.length; index++) {
+    const box = boxes[index];
+    if (!box) continue;
+
+    const x = Math.max(0, box.x - CROP_PADDING);
+    const y = Math.max(0, box.y - CROP_PADDING);
+    const clip = {
+      x,
+      y,
+      width: Math.min(box.width + CROP_PADDING * 2, MAX_CROP_WIDTH, size.width - x),
+      height: Math.min(box.height + CROP_PADDING * 2, MAX_CROP_HEIGHT, size.height - y)
+    };
+    if (clip.width <= 0 || clip.height <= 0) continue;
+
+    try {
+      const buffer = await page.screenshot({ type: 'jpeg', quality: 80, captureBeyondViewport: true, clip });
+      issues.push({ issueId: targets[index].id, buffer: Buffer.from(buffer) });
+    } catch (error) {
+      console.log(`⚠️  Could not capture issue ${targets[index].id}:`, error.message);
+    }
+  }
+
+  return { page: Buffer.from(pageShot), issues };
+}
+
+async function saveScreenshot(scanId, buffer, metadata) {
+  if (STORAGE === 'local') {
+    const id = `${scanId}-${crypto.randomBytes(8).toString('hex')}`;
+    await fs.mkdir(LOCAL_DIR, { recursive: true });
+    await fs.writeFile(path.join(LOCAL_DIR, `${id}.jpg`), buffer);
+    return id;
+  }
+
+  return new Promise((resolve, reject) => {
+    const upload = getBucket().openUploadStream(`${scanId}.jpg`, {
+      contentType: 'image/jpeg',
+      metadata: { scanId: String(scanId), ...metadata }
+    });
+    upload.once('error', reject);
+    upload.once('finish', () => resolve(String(upload.id)));
+    upload.end(buffer);
+  });
+}
+
+// Remove every stored screenshot of a scan
+async function deleteScanScreenshots(scanId) {
+  if (STORAGE === 'local') {
+    const files = await fs.readdir(LOCAL_DIR).catch(() => []);
+    await Promise.all(files
+      .filter(file => file.startsWith(`${scanId}-`))
+      .map(file => fs.unlink(path.join(LOCAL_DIR, file)).catch(() => {})));
+    return;
+  }
+
+  const bucket = getBucket();
+  const files = await bucket.find({ 'metadata.scanId': String(scanId) }).project({ _id: 1 }).toArray();
+  await Promise.all(files.map(file => bucket.delete(file._id).catch(() => {})));
+}
+
+// Store the captures of a finished scan. Returns the fields to set on the
+// Scan: the page screenshot ID, and issueDetails with screenshotId filled in.
+async function storeScanScreenshots(scanId, issueDetails, screenshots) {
+  // A retried scan may have stored captures on an earlier attempt
+  await deleteScanScreenshots(scanId);
+
+  const pageScreenshotId = await saveScreenshot(scanId, screenshots.page, { kind: 'page' });
+  const issueScreenshots = new Map();
+  for (const { issueId, buffer } of screenshots.issues) {
+    issueScreenshots.set(issueId, await saveScreenshot(scanId, buffer, { kind: 'issue', issueId }));
+  }
+
+  return {
+    pageScreenshotId,
+    issueDetails: issueDetails.map(issue => ({ ...issue, screenshotId: issueScreenshots.get(issue.id) || null }))
+  };
+}
+
+// The image bytes for a stored screenshot ID, or null if it is gone
+async function readScreenshot(id) {
+  if (STORAGE === 'local') {
+    if (!LOCAL_ID_PATTERN.test(id)) return null;
+    return fs.readFile(path.join(LOCAL_DIR, `${id}.jpg`)).catch(() => null);
+  }
+
+  if (!mongoose.isValidObjectId(id)) return null;
+  const chunks = [];
+  try {
+    for await (const chunk of getBucket().openDownloadStream(new mongoose.Types.ObjectId(id))) {
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    return null;
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  captureScreenshots,
+  storeScanScreenshots,
+  deleteScanScreenshots,
+  readScreenshot
+};
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// AES-256-GCM encryption for secrets we have to store but must be able to
+// read back (scan credentials). The key is derived from CREDENTIALS_SECRET.
+const ALGORITHM = 'aes-256-gcm';
+
+function getKey() {
+  const secret = process.env.CREDENTIALS_SECRET;
+  if (!secret) {
+    throw new Error('CREDENTIALS_SECRET is not set; credential storage is disabled');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function isEncryptionConfigured() {
+  return Boolean(process.env.CREDENTIALS_SECRET);
+}
+
+// Encrypt any JSON-serialisable value into { iv, tag, data } (base64)
+function encryptJson(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptJson(payload) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(payload.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+  const text = Buffer.concat([
+    decipher.update(Buffer.from(payload.data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+  return JSON.parse(text);
+}
+
+module.exports = {
+  isEncryptionConfigured,
+  encryptJson,
+  decryptJson
+};
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+// Login sessions: short-lived JWT access tokens that name a server-side
+// session, and long-lived refresh tokens ('<sessionId>.<secret>') that are
+// swapped for a new pair on every use. Presenting a refresh token that has
+// already been rotated revokes the session, since the token was copied.
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+// Two tabs refreshing at once present the same token; the one that loses
+// the race is refused without revoking the session
+const REUSE_GRACE = 30 * 1000;
+// Don't write lastUsedAt on every request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+// Without JWT_SECRET, tokens are signed with a random per-process secret
+// (logins don't survive a restart). Production refuses to start without it.
+function loadJwtSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('⚠️ JWT_SECRET is not set; using a random secret for this process');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const JWT_SECRET = loadJwtSecret();
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function signAccessToken(session) {
+  return jwt.sign({ userId: String(session.userId), sid: String(session._id) }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+}
+
+function tokenPair(session, refreshToken) {
+  return {
+    accessToken: signAccessToken(session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresAt: session.expiresAt
+  };
+}
+
+// Start a session for a user logging in from `req`. Returns the token pair.
+async function createSession(userId, req) {
+  const _id = new mongoose.Types.ObjectId();
+  const refreshToken = newRefreshToken(_id);
+
+  const session = await Session.create({
+    _id,
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: String(req.get('user-agent') || '').slice(0, 500),
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+  });
+
+  return tokenPair(session, refreshToken);
+}
+
+// Swap a refresh token for a new pair. Returns the pair, or { error }.
+async function refreshSession(refreshToken, req) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(sessionId);
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: presentedHash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        ip: req.ip || null
+      }
+    },
+    { new: true }
+  );
+  if (session) {
+    return tokenPair(session, nextToken);
+  }
+
+  const stale = await Session.findOne({ _id: sessionId, previousTokenHash: presentedHash, revokedAt: null })
+    .select('rotatedAt');
+  if (stale && Date.now() - stale.rotatedAt.getTime() > REUSE_GRACE) {
+    console.warn(`Refresh token reuse detected; revoking session ${sessionId}`);
+    await revokeSession(sessionId, 'token_reuse');
+  }
+  return { error: 'Invalid refresh token' };
+}
+
+// Check an access token. Returns { userId, sessionId } for a live session,
+// or null.
+async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) return null;
+
+  const session = await Session.findById(decoded.sid).select('userId revokedAt expiresAt lastUsedAt').lean();
+  if (!session || session.revokedAt || session.expiresAt <= new Date() || String(session.userId) !== decoded.userId) {
+    return null;
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION) {
+    Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.error('Error updating session usage:', error));
+  }
+  return { userId: decoded.userId, sessionId: decoded.sid };
+}
+
+// Revoke one session (only if it belongs to `userId`, when given)
+function revokeSession(sessionId, reason = 'revoked', userId = null) {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.userId = userId;
+  return Session.updateOne(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+// Revoke every live session of a user, except `exceptSessionId` if given
+function revokeUserSessions(userId, reason, exceptSessionId = null) {
+  const filter = { userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+// A readable name for the device a session was started from
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\//, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/curl\//, 'curl'],
+    [/PostmanRuntime\//, 'Postman']
+  ].find(([pattern]) => pattern.test(userAgent));
+  const os = [
+    [/iPhone|iPad/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  if (!os) return browser[1];
+  return browser ? `${browser[1]} on ${os[1]}` : os[1];
+}
+
+// The user's live sessions, newest activity first
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+
+  return sessions.map(session => ({
+    id: session._id,
+    device: describeDevice(session.userAgent),
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId)
+  }));
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  verifyAccessToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions
+};
@@ -0,0 +1,165 @@
+const SiteScan = require('../models/SiteScan');
+const Scan = require('../models/Scan');
+const { crawlSite } = require('./crawler');
+const { enqueueScan, scanEvents } = require('./scanQueue');
+const { resolveScanAuth, buildRequestHeaders } = require('./scanAuth');
+const { encryptJson } = require('./secrets');
+
+// Upper bounds for user-supplied crawl limits
+const MAX_CRAWL_DEPTH = parseInt(process.env.SITE_SCAN_MAX_DEPTH, 10) || 5;
+const MAX_CRAWL_PAGES = parseInt(process.env.SITE_SCAN_MAX_PAGES, 10) || 100;
+
+// Create a site scan and start crawling in the background
+async function startSiteScan({ userId, projectId = null, url, options, scanOptions, auth = null }) {
+  const siteScan = await SiteScan.create({
+    userId,
+    projectId,
+    startUrl: String(url),
+    options,
+    scanOptions: { ...scanOptions, authenticated: Boolean(scanOptions.credentialId || auth) },
+    authEncrypted: auth ? encryptJson(auth) : null,
+    status: 'pending',
+    timestamp: new Date()
+  });
+
+  console.log(`Site scan ${siteScan._id} queued for: ${url}`);
+  setImmediate(() => runCrawl(siteScan._id));
+  return siteScan;
+}
+
+// Discover pages and queue one Scan per page
+async function runCrawl(siteScanId) {
+  const siteScan = await SiteScan.findOneAndUpdate(
+    { _id: siteScanId, status: { $in: ['pending', 'crawling'] } },
+    { $set: { status: 'crawling' } },
+    { new: true }
+  ).select('+authEncrypted');
+  if (!siteScan) return;
+
+  try {
+    // Discovery sends the same headers, cookies and basic auth as the page
+    // scans (login actions only run in the browser)
+    const auth = await resolveScanAuth({
+      userId: siteScan.userId,
+      options: siteScan.scanOptions,
+      authEncrypted: siteScan.authEncrypted
+    });
+    const discovered = await crawlSite(siteScan.startUrl, {
+      ...siteScan.options,
+      requestHeaders: buildRequestHeaders(auth, { includeCookies: true })
+    });
+    if (discovered.length === 0) {
+      throw new Error('No crawlable pages found (check robots.txt and the start URL)');
+    }
+
+    // Reuse child scans queued before an interrupted crawl
+    const existing = await Scan.find({ siteScanId }).select('url');
+    const existingByUrl = new Map(existing.map(scan => [scan.url, scan._id]));
+
+    const pages = [];
+    for (const page of discovered) {
+      let scanId = existingByUrl.get(page.url);
+      if (!scanId) {
+        const scan = await enqueueScan({
+          userId: siteScan.userId,
+          url: page.url,
+          options: siteScan.scanOptions.toObject(),
+          authEncrypted: siteScan.authEncrypted,
+          projectId: siteScan.projectId,
+          siteScanId
+        });
+        scanId = scan._id;
+      }
+      pages.push({ url: page.url, depth: page.depth, scanId, status: 'pending' });
+    }
+
+    await SiteScan.updateOne({ _id: siteScanId }, { $set: { pages, status: 'running' } });
+    await refreshSiteScan(siteScanId);
+  } catch (error) {
+    console.error(`Site scan ${siteScanId} crawl failed:`, error.message);
+    await SiteScan.updateOne({ _id: siteScanId }, {
+      $set: { status: 'failed', error: String(error.message), completedAt: new Date() }
+    });
+  }
+}
+
+// Recompute the page breakdown and combined score from the child scans
+async function refreshSiteScan(siteScanId) {
+  const siteScan = await SiteScan.findById(siteScanId);
+  if (!siteScan || siteScan.status !== 'running') return siteScan;
+
+  const scans = await Scan.find({ siteScanId }).select('status score issues issueDetails.severity issueDetails.falsePositive');
+  const scansById = new Map(scans.map(scan => [scan._id.toString(), scan]));
+
+  const pages = siteScan.pages.map(page => {
+    const scan = page.scanId && scansById.get(page.scanId.toString());
+    if (!scan) return { ...page.toObject(), status: 'failed' };
+
+    const count = severity => scan.issueDetails.filter(issue => issue.severity === severity && !issue.falsePositive).length;
+    return {
+      ...page.toObject(),
+      status: scan.status,
+      score: scan.status === 'completed' ? scan.score : null,
+      issues: scan.issues,
+      errorCount: count('error'),
+      warningCount: count('warning'),
+      noticeCount: count('notice')
+    };
+  });
+
+  const completed = pages.filter(page => page.status === 'completed');
+  const failed = pages.filter(page => page.status === 'failed');
+  const finished = completed.length + failed.length === pages.length;
+
+  const update = {
+    pages,
+    completedPages: completed.length,
+    failedPages: failed.length,
+    issues: completed.reduce((sum, page) => sum + page.issues, 0),
+    score: completed.length
+      ? Math.round(completed.reduce((sum, page) => sum + page.score, 0) / completed.length)
+      : 0
+  };
+
+  if (finished) {
+    update.status = completed.length ? 'completed' : 'failed';
+    update.completedAt = new Date();
+    if (!completed.length) update.error = 'Every page in the crawl failed to scan';
+  }
+
+  return SiteScan.findByIdAndUpdate(siteScanId, { $set: update }, { new: true });
+}
+
+function onChildScanFinished(scan) {
+  if (!scan.siteScanId) return;
+  refreshSiteScan(scan.siteScanId).catch(error => {
+    console.error('Error updating site scan:', error);
+  });
+}
+
+// Listen for child scans finishing and pick up crawls interrupted by a restart
+async function startSiteScanMonitor() {
+  scanEvents.on('completed', onChildScanFinished);
+  scanEvents.on('failed', onChildScanFinished);
+
+  try {
+    const unfinished = await SiteScan.find({ status: { $in: ['pending', 'crawling', 'running'] } }).select('status');
+    for (const siteScan of unfinished) {
+      if (siteScan.status === 'running') {
+        await refreshSiteScan(siteScan._id);
+      } else {
+        setImmediate(() => runCrawl(siteScan._id));
+      }
+    }
+  } catch (error) {
+    console.error('Error resuming site scans:', error);
+  }
+}
+
+module.exports = {
+  MAX_CRAWL_DEPTH,
+  MAX_CRAWL_PAGES,
+  startSiteScan,
+  refreshSiteScan,
+  startSiteScanMonitor
+};
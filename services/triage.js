@@ -0,0 +1,111 @@
+const Scan = require('../models/Scan');
+const IssueTriage = require('../models/IssueTriage');
+const { fingerprintIssue } = require('./scanDiff');
+const { scoreIssues, profileOfScan } = require('./scoring');
+
+// Older scans beyond this are not rescored when a false positive changes
+const MAX_RESCORED_SCANS = 200;
+
+// Project scans share triage with the team; other scans belong to their owner
+function triageScope(scan) {
+  return scan.projectId
+    ? { projectId: scan.projectId, userId: null }
+    : { projectId: null, userId: scan.userId };
+}
+
+// The scans that share a triage scope (the project's, or the user's own)
+function scopeScanFilter(scope) {
+  return scope.projectId
+    ? { projectId: scope.projectId }
+    : { userId: scope.userId, projectId: null };
+}
+
+function toPlain(issue) {
+  return typeof issue.toObject === 'function' ? issue.toObject() : issue;
+}
+
+// Fingerprint a scan's issues and flag the ones triaged as false positives.
+// Returns the fields to store on the scan: false positives stay in
+// issueDetails but are left out of `issues` and the score. `scoring` is
+// passed to scoreIssues ({ profile, elementsChecked }).
+async function applyTriage(scan, issueDetails, scoring = {}) {
+  const issues = issueDetails.map(issue => {
+    const plain = toPlain(issue);
+    return { ...plain, fingerprint: plain.fingerprint || fingerprintIssue(plain) };
+  });
+
+  const falsePositives = new Set(await IssueTriage.find({
+    ...triageScope(scan),
+    url: scan.url,
+    status: 'false_positive',
+    fingerprint: { $in: issues.map(issue => issue.fingerprint) }
+  }).distinct('fingerprint'));
+
+  const flagged = issues.map(issue => ({ ...issue, falsePositive: falsePositives.has(issue.fingerprint) }));
+  const counted = flagged.filter(issue => !issue.falsePositive);
+
+  return {
+    issueDetails: flagged,
+    issues: counted.length,
+    ...scoreIssues(counted, scoring)
+  };
+}
+
+// Re-apply triage to the completed scans of a URL after a false positive
+// was added or removed, so history and /stats stay consistent
+async function rescoreScans(scope, url) {
+  const scans = await Scan.find({ ...scopeScanFilter(scope), url, status: 'completed' })
+    .sort({ timestamp: -1 })
+    .limit(MAX_RESCORED_SCANS);
+
+  for (const scan of scans) {
+    // Keep the profile version the scan was scored with
+    const update = await applyTriage(scan, scan.issueDetails, {
+      profile: profileOfScan(scan),
+      elementsChecked: scan.scoring ? scan.scoring.elementsChecked : null
+    });
+    await Scan.updateOne({ _id: scan._id }, { $set: update });
+  }
+  return scans.length;
+}
+
+// Plain scan object with each issue's current triage state attached
+async function attachTriage(scan) {
+  const plain = scan.toObject();
+  const issues = plain.issueDetails.map(issue => ({
+    ...issue,
+    fingerprint: issue.fingerprint || fingerprintIssue(issue)
+  }));
+
+  const records = await IssueTriage.find({
+    ...triageScope(scan),
+    url: scan.url,
+    fingerprint: { $in: issues.map(issue => issue.fingerprint) }
+  });
+  const byFingerprint = new Map(records.map(record => [record.fingerprint, record]));
+
+  plain.issueDetails = issues.map(issue => {
+    const record = byFingerprint.get(issue.fingerprint);
+    return {
+      ...issue,
+      triage: record
+        ? {
+          id: record._id,
+          status: record.status,
+          assigneeId: record.assigneeId,
+          commentCount: record.comments.length,
+          updatedAt: record.updatedAt
+        }
+        : { status: 'open', assigneeId: null, commentCount: 0 }
+    };
+  });
+
+  return plain;
+}
+
+module.exports = {
+  triageScope,
+  applyTriage,
+  rescoreScans,
+  attachTriage
+};
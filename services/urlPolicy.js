@@ -0,0 +1,277 @@
+const dns = require('dns').promises;
+const net = require('net');
+const UrlRule = require('../models/UrlRule');
+
+// Which URLs the server may fetch or open in Chrome on a user's behalf:
+// scan targets, crawled pages, sitemaps and webhook endpoints. Only http(s)
+// on web ports, never loopback, private, link-local (cloud metadata) or
+// otherwise reserved addresses, unless an admin allow rule says so (see
+// models/UrlRule.js).
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+// Explicit ports a URL may use; the scheme's default port is always fine
+const ALLOWED_PORTS = (process.env.SCAN_ALLOWED_PORTS || '80,443,8000,8080,8443')
+  .split(',')
+  .map(port => parseInt(port, 10))
+  .filter(Number.isInteger);
+const DNS_TIMEOUT = 5000;
+const MAX_REDIRECTS = 5;
+// Admin rules are cached briefly; changes through the admin API clear the
+// cache at once
+const RULES_TTL = 30 * 1000;
+
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'], // link-local, including cloud metadata
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'], // NAT64, can reach any IPv4 address
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'], // 6to4, can reach any IPv4 address
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type));
+
+// Names that only exist inside a private network
+const BLOCKED_HOST_SUFFIXES = ['localhost', 'local', 'internal', 'home.arpa'];
+
+const HOST_PATTERN = /^(\*\.)?([a-z0-9-]+\.)*[a-z0-9-]+$/;
+
+let rulesCache = null;
+
+function policyError(status, code, error) {
+  return { status, code, error };
+}
+
+// Validate an admin rule pattern. Returns { pattern } or { error }.
+function parseRulePattern(value) {
+  const pattern = String(value || '').trim().toLowerCase();
+
+  if (pattern.includes('/')) {
+    const [address, prefix] = pattern.split('/');
+    const family = net.isIP(address);
+    const bits = Number(prefix);
+    if (!family || !Number.isInteger(bits) || bits < 0 || bits > (family === 4 ? 32 : 128)) {
+      return { error: 'Invalid CIDR range.' };
+    }
+    return { pattern };
+  }
+
+  if (net.isIP(pattern) || (pattern.length <= 253 && HOST_PATTERN.test(pattern))) {
+    return { pattern };
+  }
+  return { error: 'pattern must be a host name, *.domain wildcard, IP address or CIDR range.' };
+}
+
+function compileRules(rules) {
+  const compiled = {
+    allow: { hosts: [], addresses: new net.BlockList() },
+    deny: { hosts: [], addresses: new net.BlockList() }
+  };
+
+  for (const rule of rules) {
+    const target = compiled[rule.action];
+    const [address, prefix] = rule.pattern.split('/');
+    const family = net.isIP(address);
+    if (!family) {
+      target.hosts.push(rule.pattern);
+    } else if (prefix !== undefined) {
+      target.addresses.addSubnet(address, Number(prefix), family === 4 ? 'ipv4' : 'ipv6');
+    } else {
+      target.addresses.addAddress(address, family === 4 ? 'ipv4' : 'ipv6');
+    }
+  }
+  return compiled;
+}
+
+async function loadRules() {
+  if (!rulesCache || Date.now() - rulesCache.loadedAt > RULES_TTL) {
+    const rules = await UrlRule.find().select('pattern action').lean();
+    rulesCache = { loadedAt: Date.now(), ...compileRules(rules) };
+  }
+  return rulesCache;
+}
+
+function clearUrlRuleCache() {
+  rulesCache = null;
+}
+
+function matchesHost(list, host) {
+  return list.hosts.some(pattern => pattern.startsWith('*.')
+    ? host.endsWith(pattern.slice(1))
+    : host === pattern);
+}
+
+function lookupHost(host, cache) {
+  if (cache && cache.has(host)) return cache.get(host);
+
+  let timer;
+  const lookup = Promise.race([
+    dns.lookup(host, { all: true, verbatim: true }),
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('DNS lookup timed out')), DNS_TIMEOUT);
+    })
+  ]).finally(() => clearTimeout(timer));
+
+  if (cache) cache.set(host, lookup);
+  return lookup;
+}
+
+// Check a URL against the policy. Returns { url } (normalized) or
+// { status, code, error } for a 4xx response. `lookupCache` (a Map) shares
+// DNS answers between checks of many URLs.
+async function checkUrl(value, { lookupCache = null } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(String(value));
+  } catch (error) {
+    return policyError(400, 'invalid_url', 'Invalid URL format. Please include http:// or https://');
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    return policyError(400, 'scheme_not_allowed', 'Only http:// and https:// URLs are allowed.');
+  }
+
+  if (parsed.port && !ALLOWED_PORTS.includes(Number(parsed.port))) {
+    return policyError(400, 'port_not_allowed', `Port ${parsed.port} is not allowed. Allowed ports: ${ALLOWED_PORTS.join(', ')}.`);
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  const rules = await loadRules();
+
+  if (matchesHost(rules.deny, host)) {
+    return policyError(403, 'url_denied', `${host} is blocked by this server's URL policy.`);
+  }
+  // Allowed by name: the admin vouches for wherever the name points
+  const allowedHost = matchesHost(rules.allow, host);
+
+  if (!allowedHost && BLOCKED_HOST_SUFFIXES.some(suffix => host === suffix || host.endsWith(`.${suffix}`))) {
+    return policyError(403, 'private_address', 'Local and internal hosts cannot be reached.');
+  }
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await lookupHost(host, lookupCache);
+    } catch (error) {
+      return policyError(400, 'unresolvable_host', `Could not resolve ${host}.`);
+    }
+  }
+
+  for (const { address, family } of addresses) {
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    if (rules.deny.addresses.check(address, type)) {
+      return policyError(403, 'url_denied', `${host} is blocked by this server's URL policy.`);
+    }
+    if (!allowedHost && !rules.allow.addresses.check(address, type) && blockedAddresses.check(address, type)) {
+      return policyError(403, 'private_address', `${host} points to a private or reserved network address and cannot be reached.`);
+    }
+  }
+
+  return { url: parsed.toString() };
+}
+
+// Check every request a scan page makes - the page itself, redirects,
+// in-page navigations, frames and subresources - and abort those the policy
+// blocks. Chrome resolves names itself, so a host re-pointed between our
+// lookup and Chrome's can still slip through; the check narrows that window
+// to one request. Returns { blocked, blockedNavigation }, where
+// blockedNavigation is the policy error of a blocked main-frame navigation.
+async function guardPage(page) {
+  const guard = { blocked: 0, blockedNavigation: null };
+  const lookupCache = new Map();
+
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    if (request.isInterceptResolutionHandled()) return;
+
+    // Inline data: and blob: resources never leave the browser
+    if (/^(data|blob):/.test(request.url())) {
+      request.continue(request.continueRequestOverrides(), 0);
+      return;
+    }
+
+    // Other request handlers (e.g. scan auth headers) continue at priority
+    // 0; an abort here takes precedence
+    request.enqueueInterceptAction(async () => {
+      let verdict;
+      try {
+        verdict = await checkUrl(request.url(), { lookupCache });
+      } catch (error) {
+        verdict = policyError(503, 'policy_unavailable', 'The URL policy could not be checked.');
+      }
+
+      if (verdict.error) {
+        guard.blocked++;
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+          guard.blockedNavigation = verdict;
+        }
+        return request.abort('blockedbyclient', 1);
+      }
+      return request.continue(request.continueRequestOverrides(), 0);
+    });
+  });
+
+  return guard;
+}
+
+// fetch() that applies the policy to the URL and to every redirect.
+// Throws when a URL is blocked. Like a browser, it drops the Authorization
+// and Cookie headers, and the `credentialHeaders` named by the caller, once
+// a redirect leaves the original origin.
+async function fetchWithPolicy(url, { credentialHeaders = [], ...options } = {}) {
+  const headers = new Headers(options.headers);
+  let current = url;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const verdict = await checkUrl(current);
+    if (verdict.error) {
+      throw new Error(`Blocked ${current}: ${verdict.error}`);
+    }
+
+    const response = await fetch(current, { ...options, headers, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    if (response.body) await response.body.cancel();
+
+    const next = new URL(location, current);
+    if (next.origin !== new URL(current).origin) {
+      for (const name of ['Authorization', 'Cookie', ...credentialHeaders]) {
+        headers.delete(name);
+      }
+    }
+    current = next.toString();
+  }
+
+  throw new Error(`Too many redirects fetching ${url}`);
+}
+
+module.exports = {
+  ALLOWED_PORTS,
+  parseRulePattern,
+  clearUrlRuleCache,
+  checkUrl,
+  guardPage,
+  fetchWithPolicy
+};
@@ -0,0 +1,249 @@
+const User = require('../models/User');
+const Scan = require('../models/Scan');
+const UsageCounter = require('../models/UsageCounter');
+const { PLANS, DEFAULT_PLAN, AUTH_REQUESTS_PER_MINUTE, isPlanId } = require('../data/plans');
+
+// Rate limits, scan quotas and usage metering, with the counters kept in
+// MongoDB (fixed windows: one minute, one UTC day, one UTC month). Limits
+// come from the user's plan (see data/plans.js).
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+// Daily counts are kept for GET /usage history, monthly ones for a year
+const DAY_RETENTION = 35 * DAY;
+const MONTH_RETENTION = 400 * DAY;
+const HISTORY_DAYS = 30;
+
+function dayStart(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function monthStart(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function nextMonth(start) {
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+}
+
+function secondsUntil(date) {
+  return Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+}
+
+// The user's plan as { id, name, ...limits }
+async function getUserPlan(userId) {
+  const user = await User.findById(userId).select('plan').lean();
+  const id = user && isPlanId(user.plan) ? user.plan : DEFAULT_PLAN;
+  return { id, ...PLANS[id] };
+}
+
+// The plan of the request's user, looked up once per request
+async function planOf(req) {
+  if (!req.usagePlan) {
+    req.usagePlan = await getUserPlan(req.user.id);
+  }
+  return req.usagePlan;
+}
+
+function incrementCounter(key, windowStart, expiresAt, amount = 1) {
+  return UsageCounter.findOneAndUpdate(
+    { key, windowStart },
+    { $inc: { count: amount }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+async function readCounter(key, windowStart) {
+  const counter = await UsageCounter.findOne({ key, windowStart }).select('count').lean();
+  return counter ? counter.count : 0;
+}
+
+// Send a 429 for an exceeded limit, with Retry-After
+function sendLimitError(res, limit) {
+  res.set('Retry-After', String(limit.retryAfter));
+  res.status(429).json(limit);
+}
+
+// Middleware: at most `limitOf(req)` requests per minute for each
+// `keyOf(req)`, with RateLimit-Limit/-Remaining/-Reset headers. A null
+// limit means none. Counter errors let the request through, so a database
+// hiccup doesn't lock everyone out.
+function rateLimit(name, { keyOf, limitOf }) {
+  return async (req, res, next) => {
+    try {
+      const limit = await limitOf(req);
+      if (limit === null) return next();
+
+      const windowStart = new Date(Math.floor(Date.now() / MINUTE) * MINUTE);
+      const resetAt = new Date(windowStart.getTime() + MINUTE);
+      const counter = await incrementCounter(`${name}:${keyOf(req)}`, windowStart, new Date(resetAt.getTime() + MINUTE));
+
+      res.set('RateLimit-Limit', String(limit));
+      res.set('RateLimit-Remaining', String(Math.max(limit - counter.count, 0)));
+      res.set('RateLimit-Reset', String(secondsUntil(resetAt)));
+
+      if (counter.count > limit) {
+        return sendLimitError(res, {
+          error: `Too many requests. Try again in ${secondsUntil(resetAt)} seconds.`,
+          code: 'rate_limited',
+          limit,
+          retryAfter: secondsUntil(resetAt)
+        });
+      }
+      next();
+    } catch (error) {
+      console.error(`Error applying the ${name} rate limit:`, error);
+      next();
+    }
+  };
+}
+
+// Login, signup, password reset and refresh: per client IP
+const authRateLimit = rateLimit('auth', {
+  keyOf: req => req.ip,
+  limitOf: () => AUTH_REQUESTS_PER_MINUTE
+});
+
+// Requests that queue scans: per user, by plan. Use after authenticateToken.
+const scanRateLimit = rateLimit('scan-requests', {
+  keyOf: req => req.user.id,
+  limitOf: async req => (await planOf(req)).requestsPerMinute
+});
+
+// Whether the user may queue `count` more scans now. Returns null, or the
+// 429 body for sendLimitError(). `simultaneous` is how many of them will be
+// pending or running at once (all of them unless the request queues them
+// gradually, like a batch); they must fit next to the user's scans in
+// progress within concurrentScans (unless `concurrency` is false, as for
+// scheduled runs).
+async function checkScanQuota(userId, { count = 1, simultaneous = count, plan = null, concurrency = true } = {}) {
+  const limits = plan || await getUserPlan(userId);
+  const today = dayStart();
+  const month = monthStart();
+
+  const [usedToday, usedThisMonth, active] = await Promise.all([
+    readCounter(`scans:day:${userId}`, today),
+    readCounter(`scans:month:${userId}`, month),
+    Scan.countDocuments({ userId, status: { $in: ['pending', 'running'] } })
+  ]);
+
+  if (concurrency && limits.concurrentScans !== null && active + simultaneous > limits.concurrentScans) {
+    return {
+      error: simultaneous > 1
+        ? `This request runs ${simultaneous} scans at once and you have ${active} in progress (your plan allows ${limits.concurrentScans}).`
+        : `You already have ${active} scans in progress (your plan allows ${limits.concurrentScans}). Try again when they finish.`,
+      code: 'concurrent_scan_limit',
+      limit: limits.concurrentScans,
+      retryAfter: 30
+    };
+  }
+
+  if (limits.scansPerDay !== null && usedToday + count > limits.scansPerDay) {
+    return {
+      error: `Daily scan quota reached: ${usedToday} of ${limits.scansPerDay} scans used today${count > 1 ? `, ${count} requested` : ''}.`,
+      code: 'daily_quota_exceeded',
+      limit: limits.scansPerDay,
+      used: usedToday,
+      resetsAt: new Date(today.getTime() + DAY),
+      retryAfter: secondsUntil(new Date(today.getTime() + DAY))
+    };
+  }
+
+  if (limits.scansPerMonth !== null && usedThisMonth + count > limits.scansPerMonth) {
+    return {
+      error: `Monthly scan quota reached: ${usedThisMonth} of ${limits.scansPerMonth} scans used this month${count > 1 ? `, ${count} requested` : ''}.`,
+      code: 'monthly_quota_exceeded',
+      limit: limits.scansPerMonth,
+      used: usedThisMonth,
+      resetsAt: nextMonth(month),
+      retryAfter: secondsUntil(nextMonth(month))
+    };
+  }
+
+  return null;
+}
+
+// A batch's concurrency, capped at the plan's concurrent scans
+function planConcurrency(plan, concurrency) {
+  return plan.concurrentScans === null ? concurrency : Math.min(concurrency, plan.concurrentScans);
+}
+
+// Count queued scans against the user's daily and monthly quota. Called for
+// every scan the queue accepts, including crawl, batch and scheduled ones.
+async function recordScans(userId, count = 1) {
+  const today = dayStart();
+  const month = monthStart();
+  await Promise.all([
+    incrementCounter(`scans:day:${userId}`, today, new Date(today.getTime() + DAY_RETENTION), count),
+    incrementCounter(`scans:month:${userId}`, month, new Date(month.getTime() + MONTH_RETENTION), count)
+  ]);
+}
+
+function remaining(limit, used) {
+  return limit === null ? null : Math.max(limit - used, 0);
+}
+
+// Consumption against the user's plan, for GET /usage
+async function getUsage(userId) {
+  const plan = await getUserPlan(userId);
+  const today = dayStart();
+  const month = monthStart();
+  const minute = new Date(Math.floor(Date.now() / MINUTE) * MINUTE);
+
+  const [requestsThisMinute, usedToday, usedThisMonth, active, pending, daily] = await Promise.all([
+    readCounter(`scan-requests:${userId}`, minute),
+    readCounter(`scans:day:${userId}`, today),
+    readCounter(`scans:month:${userId}`, month),
+    Scan.countDocuments({ userId, status: 'running' }),
+    Scan.countDocuments({ userId, status: 'pending' }),
+    UsageCounter.find({
+      key: `scans:day:${userId}`,
+      windowStart: { $gt: new Date(today.getTime() - HISTORY_DAYS * DAY) }
+    }).sort({ windowStart: 1 }).lean()
+  ]);
+
+  return {
+    plan,
+    rateLimit: {
+      limit: plan.requestsPerMinute,
+      used: requestsThisMinute,
+      remaining: remaining(plan.requestsPerMinute, requestsThisMinute),
+      resetsAt: new Date(minute.getTime() + MINUTE)
+    },
+    scans: {
+      today: {
+        used: usedToday,
+        limit: plan.scansPerDay,
+        remaining: remaining(plan.scansPerDay, usedToday),
+        resetsAt: new Date(today.getTime() + DAY)
+      },
+      thisMonth: {
+        used: usedThisMonth,
+        limit: plan.scansPerMonth,
+        remaining: remaining(plan.scansPerMonth, usedThisMonth),
+        resetsAt: nextMonth(month)
+      },
+      inProgress: {
+        running: active,
+        pending,
+        limit: plan.concurrentScans
+      }
+    },
+    history: daily.map(counter => ({
+      date: counter.windowStart.toISOString().slice(0, 10),
+      scans: counter.count
+    }))
+  };
+}
+
+module.exports = {
+  authRateLimit,
+  scanRateLimit,
+  planOf,
+  getUserPlan,
+  checkScanQuota,
+  planConcurrency,
+  recordScans,
+  sendLimitError,
+  getUsage
+};
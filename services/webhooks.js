@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Scan = require('../models/Scan');
+const Schedule = require('../models/Schedule');
+const { scanEvents } = require('./scanQueue');
+const { diffScans } = require('./scanDiff');
+const { encryptJson, decryptJson } = require('./secrets');
+const { checkUrl } = require('./urlPolicy');
+
+// Outgoing webhooks. Events are written to the delivery log first and sent
+// by a small worker, so deliveries survive restarts and failed ones are
+// retried with backoff.
+
+const TICK_INTERVAL = parseInt(process.env.WEBHOOK_POLL_INTERVAL, 10) || 15 * 1000;
+const REQUEST_TIMEOUT = 10000;
+const MAX_IN_FLIGHT = 4;
+// Wait before each retry; a delivery fails for good after the last one
+const RETRY_DELAYS = [30, 120, 600, 3600, 6 * 3600].map(seconds => seconds * 1000);
+// A claimed delivery is retried if its worker has not finished it by then
+const CLAIM_LEASE = 2 * 60 * 1000;
+const MAX_RESPONSE_BODY = 1000;
+const TOP_ISSUES = 10;
+
+let tickTimer = null;
+let inFlight = 0;
+
+function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+function encryptWebhookSecret(secret) {
+  return encryptJson({ secret });
+}
+
+// Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">.
+// Receivers should recompute it and reject old timestamps.
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Scan fields sent with every scan event
+function scanPayload(scan) {
+  const counted = (scan.issueDetails || []).filter(issue => !issue.falsePositive);
+  const count = severity => counted.filter(issue => issue.severity === severity).length;
+
+  return {
+    id: String(scan._id),
+    url: scan.url,
+    status: scan.status,
+    score: scan.score,
+    issues: scan.issues,
+    errors: count('error'),
+    warnings: count('warning'),
+    notices: count('notice'),
+    scoring: scan.scoring || null,
+    pageTitle: scan.pageTitle,
+    error: scan.error || '',
+    projectId: scan.projectId ? String(scan.projectId) : null,
+    scheduleId: scan.scheduleId ? String(scan.scheduleId) : null,
+    timestamp: scan.timestamp,
+    completedAt: scan.completedAt,
+    topIssues: [...counted]
+      .sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1))
+      .slice(0, TOP_ISSUES)
+      .map(issue => ({
+        type: issue.type,
+        code: issue.code,
+        severity: issue.severity,
+        selector: issue.selector,
+        successCriterion: issue.successCriterion || null
+      })),
+    dashboardUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`
+  };
+}
+
+// One-line description of an event, for Slack
+function slackText(event, data) {
+  const scan = data.scan;
+  switch (event) {
+    case 'scan.completed':
+      return `:white_check_mark: Accessibility scan of ${scan.url} completed: score ${scan.score}, ${scan.issues} issues (${scan.errors} errors). <${scan.dashboardUrl}|View report>`;
+    case 'scan.failed':
+      return `:x: Accessibility scan of ${scan.url} failed: ${scan.error}`;
+    case 'scan.regressed':
+      return `:warning: Accessibility regression on ${scan.url}: score ${data.comparison.base.score} → ${scan.score}, ${data.comparison.summary.new} new issues (${data.comparison.summary.newErrors} errors). <${scan.dashboardUrl}|View report>`;
+    case 'schedule.run':
+      return `:calendar: Scheduled scan "${data.schedule.name || data.schedule.url}" ${scan.status}: score ${scan.score}, ${scan.issues} issues.`;
+    default:
+      return `A11yCheck webhook test for ${data.webhook ? data.webhook.name || data.webhook.url : 'your endpoint'}`;
+  }
+}
+
+function buildBody(webhook, delivery) {
+  const envelope = {
+    id: String(delivery._id),
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload
+  };
+  return JSON.stringify(webhook.format === 'slack'
+    ? { text: slackText(delivery.event, delivery.payload) }
+    : envelope);
+}
+
+// Log an event for every enabled webhook of the scan's scope that listens
+// to it, and wake the worker
+async function dispatchEvent(event, scan, data, webhooks = null) {
+  const targets = (webhooks || await findScanWebhooks(scan))
+    .filter(webhook => webhook.events.includes(event));
+  if (!targets.length) return [];
+
+  const deliveries = await WebhookDelivery.insertMany(targets.map(webhook => ({
+    webhookId: webhook._id,
+    event,
+    scanId: scan ? scan._id : null,
+    payload: data,
+    nextAttemptAt: new Date()
+  })));
+
+  setImmediate(deliverDue);
+  return deliveries;
+}
+
+// Enabled webhooks that receive events for a scan: the project's, or the
+// owner's personal ones for scans outside projects
+function findScanWebhooks(scan) {
+  return Webhook.find(scan.projectId
+    ? { projectId: scan.projectId, enabled: true }
+    : { userId: scan.userId, projectId: null, enabled: true });
+}
+
+async function onScanFinished(scan) {
+  const webhooks = await findScanWebhooks(scan);
+  if (!webhooks.length) return;
+
+  const events = new Set([].concat(...webhooks.map(webhook => webhook.events)));
+  const payload = { scan: scanPayload(scan) };
+
+  await dispatchEvent(scan.status === 'completed' ? 'scan.completed' : 'scan.failed', scan, payload, webhooks);
+
+  if (scan.status === 'completed' && events.has('scan.regressed')) {
+    // Compare within the same history (the project's, or the user's own)
+    // and on the same device
+    const previous = await Scan.findOne({
+      ...(scan.projectId ? { projectId: scan.projectId } : { userId: scan.userId, projectId: null }),
+      url: scan.url,
+      'options.deviceType': scan.options.deviceType,
+      status: 'completed',
+      timestamp: { $lt: scan.timestamp }
+    }).sort({ timestamp: -1 });
+
+    if (previous) {
+      const { base, head, scoreDelta, regressed, summary } = diffScans(previous, scan);
+      if (regressed) {
+        await dispatchEvent('scan.regressed', scan, { ...payload, comparison: { base, head, scoreDelta, summary } }, webhooks);
+      }
+    }
+  }
+
+  if (scan.scheduleId && events.has('schedule.run')) {
+    const schedule = await Schedule.findById(scan.scheduleId);
+    if (schedule) {
+      await dispatchEvent('schedule.run', scan, {
+        ...payload,
+        schedule: { id: String(schedule._id), name: schedule.name, url: schedule.url, cron: schedule.cron }
+      }, webhooks);
+    }
+  }
+}
+
+// Send one delivery attempt and record the outcome
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  if (!webhook || !webhook.enabled) {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: { status: 'failed' },
+      $push: { attempts: { error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' } }
+    });
+    return;
+  }
+
+  let secret;
+  try {
+    ({ secret } = decryptJson(webhook.secret));
+  } catch (error) {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: { status: 'failed' },
+      $push: { attempts: { error: 'Could not read the signing secret (check CREDENTIALS_SECRET)' } }
+    });
+    return;
+  }
+
+  const body = buildBody(webhook, delivery);
+  const startedAt = Date.now();
+  const attempt = { attemptedAt: new Date(startedAt) };
+  let blocked = false;
+
+  try {
+    // The endpoint's address is checked again on every attempt
+    const target = await checkUrl(webhook.url);
+    if (target.error) {
+      throw Object.assign(new Error(target.error), { blocked: target.status === 403 });
+    }
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'A11yCheck-Webhooks',
+        'X-A11yCheck-Event': delivery.event,
+        'X-A11yCheck-Delivery': String(delivery._id),
+        'X-A11yCheck-Signature': signPayload(secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    attempt.statusCode = response.status;
+    attempt.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? `Timed out after ${REQUEST_TIMEOUT}ms` : String(error.message);
+    blocked = Boolean(error.blocked);
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  const delivered = attempt.statusCode >= 200 && attempt.statusCode < 300;
+  // An endpoint the URL policy blocks is not retried
+  const retryDelay = blocked ? undefined : RETRY_DELAYS[delivery.attempts.length];
+  const update = delivered
+    ? { status: 'delivered', deliveredAt: new Date() }
+    : retryDelay !== undefined
+      ? { nextAttemptAt: new Date(Date.now() + retryDelay) }
+      : { status: 'failed' };
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update, $push: { attempts: attempt } });
+  await Webhook.updateOne({ _id: webhook._id }, {
+    $set: { lastDeliveryAt: attempt.attemptedAt, lastDeliveryStatus: delivered ? 'delivered' : 'failed' }
+  });
+}
+
+// Claim a due delivery by pushing its next attempt past the lease
+function claimDueDelivery() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function deliverDue() {
+  try {
+    while (inFlight < MAX_IN_FLIGHT) {
+      const delivery = await claimDueDelivery();
+      if (!delivery) break;
+
+      inFlight++;
+      attemptDelivery(delivery)
+        .catch(error => console.error(`Error delivering webhook ${delivery._id}:`, error))
+        .finally(() => {
+          inFlight--;
+          setImmediate(deliverDue);
+        });
+    }
+  } catch (error) {
+    console.error('Error claiming webhook deliveries:', error);
+  }
+}
+
+// Queue a 'ping' delivery to check an endpoint
+function sendTestEvent(webhook) {
+  return WebhookDelivery.create({
+    webhookId: webhook._id,
+    event: 'ping',
+    payload: { webhook: { id: String(webhook._id), name: webhook.name, url: webhook.url, events: webhook.events } },
+    nextAttemptAt: new Date()
+  }).then(delivery => {
+    setImmediate(deliverDue);
+    return delivery;
+  });
+}
+
+// Send a finished delivery again as a new attempt. Returns null when the
+// delivery does not exist or is still being retried.
+async function redeliver(webhookId, deliveryId) {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, webhookId, status: { $ne: 'pending' } },
+    { $set: { status: 'pending', nextAttemptAt: new Date(), deliveredAt: null } },
+    { new: true }
+  ).select('-payload');
+
+  if (delivery) setImmediate(deliverDue);
+  return delivery;
+}
+
+function handleScanFinished(scan) {
+  onScanFinished(scan).catch(error => {
+    console.error('Error dispatching webhooks:', error);
+  });
+}
+
+// Listen for finished scans and start the delivery worker. Safe to call
+// more than once.
+function startWebhookWorker() {
+  if (tickTimer) return;
+
+  scanEvents.on('completed', handleScanFinished);
+  scanEvents.on('failed', handleScanFinished);
+  deliverDue();
+  tickTimer = setInterval(deliverDue, TICK_INTERVAL);
+  console.log('✅ Webhook worker started');
+}
+
+module.exports = {
+  generateWebhookSecret,
+  encryptWebhookSecret,
+  signPayload,
+  scanPayload,
+  dispatchEvent,
+  sendTestEvent,
+  redeliver,
+  startWebhookWorker
+};
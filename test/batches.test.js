@@ -0,0 +1,181 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Batch = require('../models/Batch');
+const Scan = require('../models/Scan');
+const User = require('../models/User');
+const UsageCounter = require('../models/UsageCounter');
+const crawler = require('../services/crawler');
+const scanQueue = require('../services/scanQueue');
+
+// The models, the sitemap fetch and the scan queue are stubbed, so no
+// database, network or browser is needed. services/batches reads the
+// crawler and queue functions when it is loaded, so stub those first.
+let sitemapUrls = [];
+let queued = [];
+crawler.loadSitemapUrls = async () => sitemapUrls;
+scanQueue.enqueueScan = async ({ url }) => {
+  queued.push(url);
+  return { _id: new mongoose.Types.ObjectId() };
+};
+const { startBatch, refreshBatch } = require('../services/batches');
+
+const userId = new mongoose.Types.ObjectId();
+const originals = {};
+let userPlan;
+let batchDoc;
+let batchUpdates;
+let savedBatch;
+let childScans;
+
+function query(result) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+function urlList(count) {
+  return Array.from({ length: count }, (value, i) => `https://example.com/page-${i}`);
+}
+
+// Resolve with the next Batch.updateOne() $set that names a status
+function nextStatusUpdate() {
+  return new Promise(resolve => {
+    batchUpdates.onStatus = resolve;
+  });
+}
+
+// Resolve with the next $set saved by updateBatch()
+function nextSave() {
+  return new Promise(resolve => {
+    batchUpdates.onSave = resolve;
+  });
+}
+
+beforeEach(() => {
+  for (const [model, method] of [[Batch, 'create'], [Batch, 'findOneAndUpdate'], [Batch, 'findById'], [Batch, 'updateOne'],
+    [Batch, 'findByIdAndUpdate'], [Scan, 'find'], [Scan, 'countDocuments'], [User, 'findById'], [UsageCounter, 'findOne']]) {
+    originals[`${model.modelName}.${method}`] = model[method];
+  }
+
+  userPlan = 'free';
+  queued = [];
+  childScans = [];
+  savedBatch = null;
+  batchUpdates = { onStatus: () => {}, onSave: () => {} };
+
+  Batch.create = async data => {
+    batchDoc = new Batch(data);
+    return batchDoc;
+  };
+  Batch.findOneAndUpdate = (filter, update) => {
+    batchDoc.set(update.$set);
+    return query(batchDoc);
+  };
+  Batch.findById = () => query(batchDoc);
+  Batch.updateOne = async (filter, update) => {
+    batchDoc.set(update.$set);
+    if (update.$set.status) batchUpdates.onStatus(update.$set);
+  };
+  Batch.findByIdAndUpdate = async (id, update) => {
+    savedBatch = update.$set;
+    batchDoc.set(update.$set);
+    batchUpdates.onSave(update.$set);
+    return batchDoc;
+  };
+  Scan.find = () => query(childScans);
+  Scan.countDocuments = async () => 0;
+  User.findById = () => query({ plan: userPlan });
+  UsageCounter.findOne = () => query(null);
+});
+
+afterEach(() => {
+  for (const [key, original] of Object.entries(originals)) {
+    const [modelName, method] = key.split('.');
+    mongoose.model(modelName)[method] = original;
+  }
+});
+
+test('a sitemap batch larger than the remaining daily quota fails', async () => {
+  sitemapUrls = urlList(60);
+  const statusUpdate = nextStatusUpdate();
+
+  await startBatch({ userId, source: 'sitemap', sitemapUrl: 'https://example.com/sitemap.xml', scanOptions: {} });
+  const update = await statusUpdate;
+
+  assert.strictEqual(update.status, 'failed');
+  assert.match(update.error, /Daily scan quota reached/);
+  assert.deepStrictEqual(queued, []);
+});
+
+test('a sitemap batch within the quota lists its URLs and starts scanning', async () => {
+  userPlan = 'pro';
+  sitemapUrls = [...urlList(20), 'not a url', 'https://example.com/page-0#top'];
+  const statusUpdate = nextStatusUpdate();
+  const saved = nextSave();
+
+  await startBatch({ userId, source: 'sitemap', sitemapUrl: 'https://example.com/sitemap.xml', scanOptions: {}, concurrency: 3 });
+  const update = await statusUpdate;
+  assert.strictEqual(update.status, 'running');
+  assert.strictEqual(update.items.length, 20);
+
+  await saved;
+  assert.deepStrictEqual(queued, urlList(3));
+  assert.strictEqual(savedBatch.progress.waiting, 17);
+  assert.strictEqual(savedBatch.progress.inProgress, 3);
+});
+
+test('batch progress follows the child scans and finishes the batch', async () => {
+  userPlan = 'pro';
+  const [first, second, third] = urlList(3);
+  const completed = new Scan({ userId, url: first, status: 'completed', score: 80, issues: 2, issueDetails: [{ severity: 'error' }, { severity: 'warning' }] });
+  const failed = new Scan({ userId, url: second, status: 'failed', error: 'Timeout' });
+  childScans = [completed, failed];
+
+  batchDoc = new Batch({
+    userId,
+    source: 'list',
+    status: 'running',
+    concurrency: 2,
+    items: [
+      { url: first, scanId: completed._id, status: 'running' },
+      { url: second, scanId: failed._id, status: 'running' },
+      { url: third }
+    ]
+  });
+
+  await refreshBatch(batchDoc._id);
+  assert.deepStrictEqual(queued, [third]);
+  assert.deepStrictEqual(savedBatch.progress, { total: 3, waiting: 0, inProgress: 1, completed: 1, failed: 1 });
+  assert.strictEqual(savedBatch.summary.averageScore, 80);
+  assert.strictEqual(savedBatch.summary.totalErrors, 1);
+  assert.deepStrictEqual(savedBatch.summary.failures.map(item => item.error), ['Timeout']);
+  assert.strictEqual(savedBatch.status, undefined);
+
+  // The last scan finishes
+  const last = new Scan({ userId, url: third, status: 'completed', score: 100, issues: 0 });
+  childScans = [completed, failed, last];
+  batchDoc.set('items', batchDoc.items.map(item => (item.url === third ? { ...item.toObject(), scanId: last._id } : item)));
+
+  await refreshBatch(batchDoc._id);
+  assert.strictEqual(savedBatch.status, 'completed');
+  assert.strictEqual(savedBatch.summary.averageScore, 90);
+});
+
+test('a batch runs no more scans at once than the user\'s plan allows', async () => {
+  batchDoc = new Batch({ userId, source: 'list', status: 'running', concurrency: 10, items: urlList(5).map(url => ({ url })) });
+
+  await refreshBatch(batchDoc._id);
+  assert.deepStrictEqual(queued, urlList(2));
+  assert.strictEqual(savedBatch.progress.inProgress, 2);
+
+  // An upgrade takes effect on the next update
+  userPlan = 'pro';
+  await refreshBatch(batchDoc._id);
+  assert.deepStrictEqual(queued, urlList(5));
+});
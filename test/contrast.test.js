@@ -0,0 +1,13 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseColor } = require('../services/contrast');
+
+test('parseColor reads named and hex colors', () => {
+  assert.deepStrictEqual(parseColor('white'), { r: 255, g: 255, b: 255, a: 1 });
+  assert.deepStrictEqual(parseColor('#000'), { r: 0, g: 0, b: 0, a: 1 });
+});
+
+test('parseColor does not take inherited properties for color names', () => {
+  assert.strictEqual(parseColor('constructor'), null);
+  assert.strictEqual(parseColor('tostring'), null);
+});
@@ -0,0 +1,118 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const UrlRule = require('../models/UrlRule');
+
+// A small site on one local server, and a second origin it links to and
+// lists a sitemap on. Each server records the requests it gets.
+
+const requests = [];
+let site;
+let other;
+let servers;
+let crawlSite;
+let parseRobotsTxt;
+let isAllowedByRobots;
+const originalFind = UrlRule.find;
+
+function page(links) {
+  return `<html><body>${links.join('')}</body></html>`;
+}
+
+const SITE = {
+  '/robots.txt': () => `User-agent: *\nDisallow: /private\nSitemap: ${site}/sitemap.xml\nSitemap: ${other}/sitemap.xml`,
+  '/sitemap.xml': () => `<urlset><url><loc>${site}/from-sitemap</loc></url><url><loc>${other}/elsewhere</loc></url></urlset>`,
+  '/': () => page([
+    '<a href="/about">About</a>',
+    '<a href="/about#team">About, again</a>',
+    '<a href="/private/admin">Admin</a>',
+    '<a href="/report.pdf">Report</a>',
+    '<a href="/tracked" rel="nofollow">Tracked</a>',
+    `<a href="${other}/external">External</a>`,
+    '<a href="mailto:a11y@example.com">Mail</a>'
+  ]),
+  '/about': () => page(['<a href="/about/deeper">Deeper</a>']),
+  '/about/deeper': () => page(['<a href="/too-deep">Too deep</a>']),
+  '/from-sitemap': () => page([]),
+  '/listed-elsewhere': () => page([])
+};
+
+function listen(name, routes) {
+  const server = http.createServer((req, res) => {
+    requests.push({ server: name, path: req.url, headers: req.headers });
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': req.url.endsWith('.xml') || req.url.endsWith('.txt') ? 'text/plain' : 'text/html' });
+    res.end(route());
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+before(async () => {
+  servers = await Promise.all([
+    listen('site', SITE),
+    listen('other', { '/sitemap.xml': () => `<urlset><url><loc>${site}/listed-elsewhere</loc></url></urlset>` })
+  ]);
+  site = `http://127.0.0.1:${servers[0].address().port}`;
+  other = `http://127.0.0.1:${servers[1].address().port}`;
+
+  // Let the URL policy reach the servers, without a database for the rules
+  process.env.SCAN_ALLOWED_PORTS = servers.map(server => server.address().port).join(',');
+  const rules = [{ pattern: '127.0.0.1', action: 'allow' }];
+  UrlRule.find = () => ({ select: () => ({ lean: async () => rules }) });
+  ({ crawlSite, parseRobotsTxt, isAllowedByRobots } = require('../services/crawler'));
+});
+
+after(() => {
+  UrlRule.find = originalFind;
+  servers.forEach(server => server.close());
+});
+
+test('crawlSite stays on the start origin and honours robots.txt and the limits', async () => {
+  const pages = await crawlSite(`${site}/`, { maxDepth: 2, maxPages: 20, requestHeaders: { Cookie: 'session=1' } });
+
+  assert.deepStrictEqual(pages, [
+    { url: `${site}/`, depth: 0 },
+    { url: `${site}/from-sitemap`, depth: 1 },
+    { url: `${site}/listed-elsewhere`, depth: 1 },
+    { url: `${site}/about`, depth: 1 },
+    { url: `${site}/about/deeper`, depth: 2 }
+  ]);
+
+  // Nothing on the other origin was crawled, and it never got the cookie
+  const elsewhere = requests.filter(request => request.server === 'other');
+  assert.deepStrictEqual(elsewhere.map(request => request.path), ['/sitemap.xml']);
+  assert.strictEqual(elsewhere[0].headers.cookie, undefined);
+
+  const onSite = requests.filter(request => request.server === 'site' && request.path !== '/robots.txt');
+  assert.ok(onSite.every(request => request.headers.cookie === 'session=1'));
+  assert.ok(!onSite.some(request => request.path.startsWith('/private')));
+});
+
+test('crawlSite stops at maxPages', async () => {
+  const pages = await crawlSite(`${site}/`, { maxPages: 2, useSitemap: false });
+  assert.deepStrictEqual(pages.map(entry => entry.url), [`${site}/`, `${site}/about`]);
+});
+
+test('robots.txt rules: our own group first, longest match wins, ties allow', () => {
+  const { rules, sitemaps } = parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: A11yCheckBot',
+    'Disallow: /drafts',
+    'Allow: /drafts/public',
+    'Disallow: /*.json$',
+    'Sitemap: https://example.com/sitemap.xml'
+  ].join('\n'));
+
+  assert.deepStrictEqual(sitemaps, ['https://example.com/sitemap.xml']);
+  assert.strictEqual(isAllowedByRobots('https://example.com/', rules), true);
+  assert.strictEqual(isAllowedByRobots('https://example.com/drafts/secret', rules), false);
+  assert.strictEqual(isAllowedByRobots('https://example.com/drafts/public/page', rules), true);
+  assert.strictEqual(isAllowedByRobots('https://example.com/data.json', rules), false);
+  assert.strictEqual(isAllowedByRobots('https://example.com/data.json?v=1', rules), true);
+});
@@ -0,0 +1,10 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isPlanId } = require('../data/plans');
+
+test('isPlanId accepts only the plans themselves', () => {
+  assert.strictEqual(isPlanId('pro'), true);
+  assert.strictEqual(isPlanId('constructor'), false);
+  assert.strictEqual(isPlanId('__proto__'), false);
+  assert.strictEqual(isPlanId(null), false);
+});
@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const Project = require('../models/Project');
+const Scan = require('../models/Scan');
+const Team = require('../models/Team');
+const Session = require('../models/Session');
+const projectRoutes = require('../routes/projects');
+
+// The models are stubbed, so no database is needed
+
+const userId = new mongoose.Types.ObjectId();
+const team = new Team({ name: 'Team', members: [{ userId, role: 'viewer' }] });
+const project = new Project({ name: 'Site', teamId: team._id, urls: ['https://example.com/'] });
+const session = { _id: new mongoose.Types.ObjectId(), userId, expiresAt: new Date(Date.now() + 60000), lastUsedAt: new Date() };
+
+const storedScan = {
+  _id: new mongoose.Types.ObjectId(),
+  userId,
+  projectId: project._id,
+  url: 'https://example.com/',
+  status: 'completed',
+  score: 90,
+  authEncrypted: 'v1:secret',
+  issueDetails: [{ code: 'image-alt' }],
+  html: { name: 'card', fragment: true, sha256: 'abc', markup: '<div></div>', css: 'div {}' }
+};
+
+function query(result) {
+  return { select: () => query(result), lean: async () => result };
+}
+
+// An inclusion $project of (dotted) paths, as MongoDB applies it
+function applyProjection(doc, projection) {
+  const result = { _id: doc._id };
+  for (const path of Object.keys(projection)) {
+    const [field, subfield] = path.split('.');
+    if (doc[field] === undefined) continue;
+    if (!subfield) {
+      result[field] = doc[field];
+    } else if (doc[field][subfield] !== undefined) {
+      result[field] = { ...result[field], [subfield]: doc[field][subfield] };
+    }
+  }
+  return result;
+}
+
+let server;
+let baseUrl;
+const originals = {};
+
+before(async () => {
+  originals.sessionFindById = Session.findById;
+  originals.projectFindById = Project.findById;
+  originals.teamFindById = Team.findById;
+  originals.scanAggregate = Scan.aggregate;
+
+  Session.findById = () => query(session);
+  Project.findById = async id => (String(id) === String(project._id) ? project : null);
+  Team.findById = async id => (String(id) === String(team._id) ? team : null);
+  Scan.aggregate = async pipeline => {
+    const stage = pipeline.find(entry => entry.$project);
+    return [applyProjection(storedScan, stage.$project)];
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/projects', projectRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  Session.findById = originals.sessionFindById;
+  Project.findById = originals.projectFindById;
+  Team.findById = originals.teamFindById;
+  Scan.aggregate = originals.scanAggregate;
+  server.close();
+});
+
+test('GET /projects/:id returns latest scans without credentials or markup', async () => {
+  const token = jwt.sign({ userId: String(userId), sid: String(session._id) }, process.env.JWT_SECRET);
+  const response = await fetch(`${baseUrl}/projects/${project._id}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  assert.strictEqual(response.status, 200);
+
+  const body = await response.json();
+  assert.strictEqual(body.latestScans.length, 1);
+
+  const [scan] = body.latestScans;
+  assert.strictEqual(scan.url, 'https://example.com/');
+  assert.strictEqual(scan.score, 90);
+  assert.deepStrictEqual(scan.html, { name: 'card', fragment: true, sha256: 'abc' });
+  assert.ok(!('authEncrypted' in scan));
+  assert.ok(!('issueDetails' in scan));
+});
@@ -0,0 +1,32 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const ruleRoutes = require('../routes/rules');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/rules', ruleRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('GET /rules filters by user group', async () => {
+  const response = await fetch(`${baseUrl}/rules?user=blind`);
+  assert.strictEqual(response.status, 200);
+  const { rules } = await response.json();
+  assert.ok(rules.length > 0);
+  assert.ok(rules.every(rule => rule.users.some(entry => entry.id === 'blind')));
+});
+
+test('GET /rules rejects unknown and inherited user groups', async () => {
+  for (const user of ['nobody', 'constructor', 'toString']) {
+    const response = await fetch(`${baseUrl}/rules?user=${user}`);
+    assert.strictEqual(response.status, 400, user);
+  }
+});
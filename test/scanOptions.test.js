@@ -0,0 +1,21 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseScanOptions } = require('../services/scanOptions');
+
+test('hideElements accepts a selector string or a list of selectors', () => {
+  assert.deepStrictEqual(parseScanOptions({ hideElements: '.ad, #cookie-banner' }).options.hideElements, ['.ad', '#cookie-banner']);
+  assert.deepStrictEqual(parseScanOptions({ hideElements: ['.ad'] }).options.hideElements, ['.ad']);
+  assert.deepStrictEqual(parseScanOptions({ hideElements: '' }).options.hideElements, []);
+});
+
+test('hideElements rejects values that are not selectors', () => {
+  for (const hideElements of [42, true, { toString: () => '.ad' }, ['.ad', 1], null]) {
+    assert.ok(parseScanOptions({ hideElements }).error, `${JSON.stringify(hideElements)} was accepted`);
+  }
+});
+
+test('standard must be one of the supported standards', () => {
+  assert.strictEqual(parseScanOptions({ standard: 'WCAG2AAA' }).options.standard, 'WCAG2AAA');
+  assert.ok(parseScanOptions({ standard: 'constructor' }).error);
+  assert.ok(parseScanOptions({ standard: 'toString' }).error);
+});
@@ -0,0 +1,177 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.SCAN_CONCURRENCY = '2';
+
+const Scan = require('../models/Scan');
+const scanner = require('../services/scanner');
+const triage = require('../services/triage');
+const scoring = require('../services/scoring');
+const usage = require('../services/usage');
+
+// The queue lives in the scans collection; Scan is stubbed with an
+// in-memory store and the scan itself with a function the tests control,
+// so no database or browser is needed. services/scanQueue reads these
+// functions when it is loaded, so stub them first.
+let runScan;
+scanner.runScan = (...args) => runScan(...args);
+triage.applyTriage = async (scan, issueDetails) => ({ issueDetails, issues: issueDetails.length, score: 100 });
+scoring.resolveScoringProfile = async () => 'standard@1';
+usage.recordScans = async () => {};
+const { scanEvents, enqueueScan, startScanWorkers, stopScanWorkers } = require('../services/scanQueue');
+
+const userId = new mongoose.Types.ObjectId();
+const originals = {};
+let scans;
+
+function sameValue(actual, expected) {
+  if (expected && typeof expected === 'object' && !(expected instanceof mongoose.Types.ObjectId)) {
+    if ('$lt' in expected) return actual < expected.$lt;
+    if ('$gte' in expected) return actual >= expected.$gte;
+    if ('$in' in expected) return expected.$in.some(value => String(value) === String(actual));
+  }
+  return String(actual) === String(expected);
+}
+
+function matching(filter) {
+  return scans.filter(scan => Object.entries(filter).every(([key, value]) => sameValue(scan[key], value)));
+}
+
+function apply(scan, update) {
+  scan.set(update.$set);
+  for (const [key, amount] of Object.entries(update.$inc || {})) {
+    scan.set(key, scan.get(key) + amount);
+  }
+  return scan;
+}
+
+function query(result) {
+  const chain = {
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+// Resolve once `count` scans have finished (completed or failed)
+function finished(count) {
+  const done = [];
+  return new Promise(resolve => {
+    const onEvent = scan => {
+      done.push(scan);
+      if (done.length < count) return;
+      scanEvents.off('completed', onEvent);
+      scanEvents.off('failed', onEvent);
+      resolve(done);
+    };
+    scanEvents.on('completed', onEvent);
+    scanEvents.on('failed', onEvent);
+  });
+}
+
+function result(issues = 0) {
+  return {
+    issueDetails: Array.from({ length: issues }, () => ({ code: 'image-alt', severity: 'error' })),
+    scoring: { elementsChecked: 10 }
+  };
+}
+
+beforeEach(() => {
+  for (const method of ['create', 'findOneAndUpdate', 'findByIdAndUpdate', 'find', 'updateMany', 'updateOne']) {
+    originals[method] = Scan[method];
+  }
+  scans = [];
+  runScan = async () => result();
+
+  Scan.create = async data => {
+    const scan = new Scan(data);
+    scans.push(scan);
+    return scan;
+  };
+  // claimNextScan(): the oldest pending scan
+  Scan.findOneAndUpdate = (filter, update, { sort }) => {
+    const [scan] = matching(filter).sort((a, b) => (a.timestamp - b.timestamp) * sort.timestamp);
+    return query(scan ? apply(scan, update) : null);
+  };
+  Scan.findByIdAndUpdate = async (id, update) => {
+    const [scan] = matching({ _id: id });
+    return scan ? apply(scan, update) : null;
+  };
+  Scan.find = filter => query(matching(filter));
+  Scan.updateMany = async (filter, update) => {
+    const found = matching(filter);
+    found.forEach(scan => apply(scan, update));
+    return { modifiedCount: found.length };
+  };
+  Scan.updateOne = async (filter, update) => {
+    const [scan] = matching(filter);
+    if (scan) apply(scan, update);
+    return { modifiedCount: scan ? 1 : 0 };
+  };
+});
+
+afterEach(async () => {
+  stopScanWorkers();
+  // Let the workers look for more work before the stubs go
+  await new Promise(resolve => setTimeout(resolve, 10));
+  Object.assign(Scan, originals);
+});
+
+test('queued scans run oldest first, at most SCAN_CONCURRENCY at a time', async () => {
+  let running = 0;
+  let mostRunning = 0;
+  const started = [];
+  runScan = async url => {
+    started.push(url);
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    running--;
+    return result(1);
+  };
+
+  const done = finished(4);
+  for (const page of ['a', 'b', 'c', 'd']) {
+    await enqueueScan({ userId, url: `https://example.com/${page}` });
+  }
+  await done;
+
+  assert.deepStrictEqual(started, ['a', 'b', 'c', 'd'].map(page => `https://example.com/${page}`));
+  assert.strictEqual(mostRunning, 2);
+  assert.ok(scans.every(scan => scan.status === 'completed' && scan.attempts === 1 && scan.lockedAt === null));
+  assert.ok(scans.every(scan => scan.issues === 1 && scan.progress.stage === 'completed'));
+});
+
+test('a scan that throws is marked failed with the error', async () => {
+  runScan = async () => {
+    throw new Error('net::ERR_NAME_NOT_RESOLVED');
+  };
+
+  const done = finished(1);
+  await enqueueScan({ userId, url: 'https://example.invalid/' });
+  const [scan] = await done;
+
+  assert.strictEqual(scan.status, 'failed');
+  assert.strictEqual(scan.error, 'net::ERR_NAME_NOT_RESOLVED');
+  assert.strictEqual(scan.progress.stage, 'failed');
+});
+
+test('stale running scans are retried, or failed once out of attempts', async () => {
+  const stale = new Date(Date.now() - 60 * 60 * 1000);
+  const retried = new Scan({ userId, url: 'https://example.com/retry', status: 'running', lockedAt: stale, attempts: 1, timestamp: new Date() });
+  const exhausted = new Scan({ userId, url: 'https://example.com/exhausted', status: 'running', lockedAt: stale, attempts: 3, timestamp: new Date() });
+  const live = new Scan({ userId, url: 'https://example.com/live', status: 'running', lockedAt: new Date(), attempts: 1, timestamp: new Date() });
+  scans.push(retried, exhausted, live);
+
+  const done = finished(2);
+  startScanWorkers();
+  const events = await done;
+
+  assert.deepStrictEqual(events.map(scan => scan.url).sort(), [exhausted.url, retried.url]);
+  assert.strictEqual(exhausted.status, 'failed');
+  assert.strictEqual(exhausted.error, 'Scan was interrupted too many times');
+  assert.strictEqual(retried.status, 'completed');
+  assert.strictEqual(retried.attempts, 2);
+  assert.strictEqual(live.status, 'running');
+});
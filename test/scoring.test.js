@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isProfileId, getProfile } = require('../services/scoring');
+
+test('isProfileId accepts only the profiles themselves', () => {
+  assert.strictEqual(isProfileId('strict'), true);
+  assert.strictEqual(isProfileId('constructor'), false);
+  assert.strictEqual(isProfileId('__proto__'), false);
+  assert.strictEqual(isProfileId(undefined), false);
+});
+
+test('getProfile finds profiles and pinned versions, nothing inherited', () => {
+  assert.strictEqual(getProfile('standard').id, 'standard');
+  assert.strictEqual(getProfile('legacy@1').id, 'legacy');
+  assert.strictEqual(getProfile('__proto__'), null);
+  assert.strictEqual(getProfile('toString'), null);
+});
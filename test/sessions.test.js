@@ -0,0 +1,99 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const Session = require('../models/Session');
+const { createSession, refreshSession, verifyAccessToken } = require('../services/sessions');
+
+// Session is stubbed with an in-memory store, so no database is needed
+
+const req = { ip: '127.0.0.1', get: () => 'test-agent' };
+const userId = new mongoose.Types.ObjectId();
+const originals = {};
+let sessions;
+
+function sameValue(actual, expected) {
+  if (expected === null) return actual === null || actual === undefined;
+  if (expected && expected.$gt) return actual > expected.$gt;
+  return String(actual) === String(expected);
+}
+
+function find(filter) {
+  return sessions.find(session => Object.entries(filter).every(([key, value]) => sameValue(session[key], value))) || null;
+}
+
+function query(result) {
+  const chain = {
+    select: () => chain,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+beforeEach(() => {
+  for (const method of ['create', 'findOneAndUpdate', 'findOne', 'findById', 'updateOne']) {
+    originals[method] = Session[method];
+  }
+  sessions = [];
+
+  Session.create = async data => {
+    const session = { revokedAt: null, lastUsedAt: new Date(), ...data };
+    sessions.push(session);
+    return session;
+  };
+  Session.findOneAndUpdate = async (filter, update) => {
+    const session = find(filter);
+    if (session) Object.assign(session, update.$set);
+    return session;
+  };
+  Session.findOne = filter => query(find(filter));
+  Session.findById = id => query(find({ _id: id }));
+  Session.updateOne = async (filter, update) => {
+    const session = find(filter);
+    if (session) Object.assign(session, update.$set);
+    return { modifiedCount: session ? 1 : 0 };
+  };
+});
+
+afterEach(() => {
+  Object.assign(Session, originals);
+});
+
+test('a refresh token is swapped for a new pair once', async () => {
+  const { refreshToken, accessToken } = await createSession(userId, req);
+  assert.deepStrictEqual(await verifyAccessToken(accessToken), { userId: String(userId), sessionId: String(sessions[0]._id) });
+
+  const next = await refreshSession(refreshToken, req);
+  assert.ok(next.accessToken);
+  assert.notStrictEqual(next.refreshToken, refreshToken);
+
+  // A second tab presenting the old token within the grace period is refused
+  // without ending the session
+  assert.deepStrictEqual(await refreshSession(refreshToken, req), { error: 'Invalid refresh token' });
+  assert.strictEqual(sessions[0].revokedAt, null);
+  assert.ok(!(await refreshSession(next.refreshToken, req)).error);
+});
+
+test('presenting a rotated refresh token later revokes the session', async () => {
+  const { refreshToken } = await createSession(userId, req);
+  const next = await refreshSession(refreshToken, req);
+  sessions[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+
+  assert.deepStrictEqual(await refreshSession(refreshToken, req), { error: 'Invalid refresh token' });
+  assert.strictEqual(sessions[0].revokedReason, 'token_reuse');
+  assert.ok(sessions[0].revokedAt);
+
+  // The copied token's current twin is dead too, and so are access tokens
+  assert.deepStrictEqual(await refreshSession(next.refreshToken, req), { error: 'Invalid refresh token' });
+  assert.strictEqual(await verifyAccessToken(next.accessToken), null);
+});
+
+test('malformed and unknown refresh tokens are refused', async () => {
+  await createSession(userId, req);
+  assert.deepStrictEqual(await refreshSession('garbage', req), { error: 'Invalid refresh token' });
+  assert.deepStrictEqual(await refreshSession(`${sessions[0]._id}.wrong`, req), { error: 'Invalid refresh token' });
+  assert.strictEqual(sessions[0].revokedAt, null);
+});
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const Session = require('../models/Session');
+const siteScanRoutes = require('../routes/siteScans');
+
+// The models are stubbed, so no database is needed
+
+const userId = new mongoose.Types.ObjectId();
+const session = { _id: new mongoose.Types.ObjectId(), userId, expiresAt: new Date(Date.now() + 60000), lastUsedAt: new Date() };
+const token = jwt.sign({ userId: String(userId), sid: String(session._id) }, process.env.JWT_SECRET);
+
+let server;
+let baseUrl;
+const originals = {};
+
+function query(result) {
+  return { select: () => query(result), lean: async () => result };
+}
+
+function request(method, path) {
+  return fetch(`${baseUrl}${path}`, { method, headers: { Authorization: `Bearer ${token}` } });
+}
+
+before(async () => {
+  originals.sessionFindById = Session.findById;
+  Session.findById = () => query(session);
+
+  const app = express();
+  app.use('/site-scans', siteScanRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  Session.findById = originals.sessionFindById;
+  server.close();
+});
+
+test('GET and DELETE /site-scans/:id reject malformed IDs', async () => {
+  for (const method of ['GET', 'DELETE']) {
+    const response = await request(method, '/site-scans/not-an-id');
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'Invalid site scan ID.' });
+  }
+});
@@ -0,0 +1,159 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const Batch = require('../models/Batch');
+const SiteScan = require('../models/SiteScan');
+const Scan = require('../models/Scan');
+const Project = require('../models/Project');
+const Team = require('../models/Team');
+const Session = require('../models/Session');
+const batchRoutes = require('../routes/batches');
+const siteScanRoutes = require('../routes/siteScans');
+
+// Batches and site scans filed under a project are shared with the
+// project's team. The models are stubbed with a tiny in-memory store, so no
+// database is needed.
+
+const owner = new mongoose.Types.ObjectId();
+const viewer = new mongoose.Types.ObjectId();
+const editor = new mongoose.Types.ObjectId();
+const outsider = new mongoose.Types.ObjectId();
+const team = new Team({
+  name: 'Team',
+  members: [{ userId: owner, role: 'owner' }, { userId: viewer, role: 'viewer' }, { userId: editor, role: 'editor' }]
+});
+const project = new Project({ name: 'Site', teamId: team._id, createdBy: owner });
+
+const ROUTES = [
+  { path: '/batches', Model: Batch, fields: { source: 'list' } },
+  { path: '/site-scans', Model: SiteScan, fields: { startUrl: 'https://example.com/' } }
+];
+
+let store;
+let server;
+let baseUrl;
+const originals = [];
+
+function query(result) {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+function sameId(a, b) {
+  return a !== null && a !== undefined && String(a) === String(b);
+}
+
+// The subset of MongoDB filters that scanAccessFilter() builds
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    if (key === '$or') return value.some(part => matches(doc, part));
+    if (value === null) return doc[key] === null;
+    if (value && value.$in) return value.$in.some(id => sameId(doc[key], id));
+    return sameId(doc[key], value);
+  });
+}
+
+function stub(target, method, replacement) {
+  originals.push([target, method, target[method]]);
+  target[method] = replacement;
+}
+
+// A request made as `userId` (the stubbed session belongs to them)
+function as(userId, method, path) {
+  store.sessionUser = userId;
+  const token = jwt.sign({ userId: String(userId), sid: String(new mongoose.Types.ObjectId()) }, process.env.JWT_SECRET);
+  return fetch(`${baseUrl}${path}`, { method, headers: { Authorization: `Bearer ${token}` } });
+}
+
+before(async () => {
+  stub(Session, 'findById', id => query({
+    _id: id,
+    userId: store.sessionUser,
+    expiresAt: new Date(Date.now() + 60000),
+    lastUsedAt: new Date()
+  }));
+  stub(Team, 'findById', async id => (sameId(team._id, id) ? team : null));
+  stub(Team, 'find', filter => query(team.members.some(entry => sameId(entry.userId, filter['members.userId'])) ? [team] : []));
+  stub(Project, 'findById', async id => (sameId(project._id, id) ? project : null));
+  stub(Project, 'find', filter => query(filter.teamId.$in.some(id => sameId(id, team._id)) ? [project] : []));
+  stub(Scan, 'find', () => query([]));
+  stub(Scan, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+  for (const { Model } of ROUTES) {
+    stub(Model, 'find', filter => query(store.docs.filter(doc => doc instanceof Model && matches(doc, filter))));
+    stub(Model, 'countDocuments', async filter => store.docs.filter(doc => doc instanceof Model && matches(doc, filter)).length);
+    stub(Model, 'findOne', filter => query(store.docs.find(doc => doc instanceof Model && matches(doc, filter)) || null));
+    stub(Model, 'exists', async filter => store.docs.some(doc => doc instanceof Model && matches(doc, filter)));
+    stub(Model, 'findOneAndDelete', async filter => {
+      const doc = store.docs.find(entry => entry instanceof Model && matches(entry, filter));
+      if (doc) store.docs = store.docs.filter(entry => entry !== doc);
+      return doc || null;
+    });
+  }
+
+  const app = express();
+  app.use('/batches', batchRoutes);
+  app.use('/site-scans', siteScanRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  for (const [target, method, original] of originals.reverse()) {
+    target[method] = original;
+  }
+  server.close();
+});
+
+for (const { path, Model, fields } of ROUTES) {
+  describe(path, () => {
+    let shared;
+    let personal;
+
+    beforeEach(() => {
+      shared = new Model({ userId: owner, projectId: project._id, ...fields });
+      personal = new Model({ userId: owner, projectId: null, ...fields });
+      store = { docs: [shared, personal], sessionUser: null };
+    });
+
+    test(`GET ${path}/:id shows a project's runs to its team only`, async () => {
+      assert.strictEqual((await as(viewer, 'GET', `${path}/${shared._id}`)).status, 200);
+      assert.strictEqual((await as(outsider, 'GET', `${path}/${shared._id}`)).status, 404);
+      assert.strictEqual((await as(viewer, 'GET', `${path}/${personal._id}`)).status, 404);
+      assert.strictEqual((await as(owner, 'GET', `${path}/${personal._id}`)).status, 200);
+    });
+
+    test(`GET ${path} lists the team's project runs`, async () => {
+      const listed = async (userId, query = '') => {
+        const body = await (await as(userId, 'GET', `${path}${query}`)).json();
+        return body[Object.keys(body).find(key => Array.isArray(body[key]))].map(doc => doc._id).sort();
+      };
+
+      assert.deepStrictEqual(await listed(viewer), [String(shared._id)]);
+      assert.deepStrictEqual(await listed(owner), [String(shared._id), String(personal._id)].sort());
+      assert.deepStrictEqual(await listed(owner, `?projectId=${project._id}`), [String(shared._id)]);
+      assert.deepStrictEqual(await listed(outsider), []);
+      assert.strictEqual((await as(outsider, 'GET', `${path}?projectId=${project._id}`)).status, 404);
+    });
+
+    test(`DELETE ${path}/:id needs the editor role in the project`, async () => {
+      assert.strictEqual((await as(outsider, 'DELETE', `${path}/${shared._id}`)).status, 404);
+      assert.strictEqual((await as(viewer, 'DELETE', `${path}/${shared._id}`)).status, 403);
+      assert.strictEqual((await as(editor, 'DELETE', `${path}/${shared._id}`)).status, 200);
+      assert.deepStrictEqual(store.docs, [personal]);
+    });
+  });
+}
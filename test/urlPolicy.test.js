@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const UrlRule = require('../models/UrlRule');
+
+// Two local servers are two origins: the first redirects to itself and then
+// to the second. Each records the headers it was sent.
+
+const received = {};
+let origin;
+let otherOrigin;
+let servers;
+let fetchWithPolicy;
+const originalFind = UrlRule.find;
+
+function listen(name, handler) {
+  const server = http.createServer((req, res) => {
+    received[`${name}${req.url}`] = req.headers;
+    handler(req, res);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+before(async () => {
+  servers = await Promise.all([
+    listen('first', (req, res) => {
+      const location = req.url === '/start' ? '/same-origin' : `${otherOrigin}/target`;
+      res.writeHead(302, { Location: location });
+      res.end();
+    }),
+    listen('other', (req, res) => res.end('ok'))
+  ]);
+  origin = `http://127.0.0.1:${servers[0].address().port}`;
+  otherOrigin = `http://127.0.0.1:${servers[1].address().port}`;
+
+  // Let the policy reach the servers, without a database for the rules
+  process.env.SCAN_ALLOWED_PORTS = servers.map(server => server.address().port).join(',');
+  const rules = [{ pattern: '127.0.0.1', action: 'allow' }];
+  UrlRule.find = () => ({ select: () => ({ lean: async () => rules }) });
+  ({ fetchWithPolicy } = require('../services/urlPolicy'));
+});
+
+after(() => {
+  UrlRule.find = originalFind;
+  servers.forEach(server => server.close());
+});
+
+test('fetchWithPolicy drops credentials on a cross-origin redirect', async () => {
+  const response = await fetchWithPolicy(`${origin}/start`, {
+    headers: { Authorization: 'Basic dXNlcjpwYXNz', Cookie: 'session=1', 'X-Api-Token': 'secret', Accept: 'text/html' },
+    credentialHeaders: ['X-Api-Token']
+  });
+  assert.strictEqual(await response.text(), 'ok');
+
+  const sameOrigin = received['first/same-origin'];
+  assert.strictEqual(sameOrigin.authorization, 'Basic dXNlcjpwYXNz');
+  assert.strictEqual(sameOrigin.cookie, 'session=1');
+  assert.strictEqual(sameOrigin['x-api-token'], 'secret');
+
+  const crossOrigin = received['other/target'];
+  assert.strictEqual(crossOrigin.authorization, undefined);
+  assert.strictEqual(crossOrigin.cookie, undefined);
+  assert.strictEqual(crossOrigin['x-api-token'], undefined);
+  assert.strictEqual(crossOrigin.accept, 'text/html');
+});
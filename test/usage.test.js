@@ -0,0 +1,100 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Scan = require('../models/Scan');
+const User = require('../models/User');
+const UsageCounter = require('../models/UsageCounter');
+const { PLANS } = require('../data/plans');
+const { checkScanQuota, planConcurrency } = require('../services/usage');
+
+// The models are stubbed, so no database is needed
+
+const userId = new mongoose.Types.ObjectId();
+const originals = {};
+let userPlan;
+let active;
+let counts;
+
+function query(result) {
+  return { select: () => query(result), lean: async () => result };
+}
+
+beforeEach(() => {
+  originals.userFindById = User.findById;
+  originals.counterFindOne = UsageCounter.findOne;
+  originals.scanCountDocuments = Scan.countDocuments;
+
+  userPlan = 'free';
+  active = 0;
+  counts = {};
+
+  User.findById = () => query({ plan: userPlan });
+  // Keys are 'scans:day:<userId>' and 'scans:month:<userId>'
+  UsageCounter.findOne = ({ key }) => {
+    const count = counts[key.split(':')[1]];
+    return query(count === undefined ? null : { count });
+  };
+  Scan.countDocuments = async () => active;
+});
+
+afterEach(() => {
+  User.findById = originals.userFindById;
+  UsageCounter.findOne = originals.counterFindOne;
+  Scan.countDocuments = originals.scanCountDocuments;
+});
+
+test('a single scan is refused once the plan\'s concurrent scans are in progress', async () => {
+  active = 1;
+  assert.strictEqual(await checkScanQuota(userId), null);
+
+  active = 2;
+  const limit = await checkScanQuota(userId);
+  assert.strictEqual(limit.code, 'concurrent_scan_limit');
+  assert.strictEqual(limit.limit, PLANS.free.concurrentScans);
+});
+
+test('a responsive scan needs room for every device at once', async () => {
+  const limit = await checkScanQuota(userId, { count: 6 });
+  assert.strictEqual(limit.code, 'concurrent_scan_limit');
+  assert.match(limit.error, /runs 6 scans at once/);
+
+  assert.strictEqual(await checkScanQuota(userId, { count: 2 }), null);
+
+  active = 1;
+  assert.strictEqual((await checkScanQuota(userId, { count: 2 })).code, 'concurrent_scan_limit');
+});
+
+test('a batch needs room for the scans it runs at once, not all of its URLs', async () => {
+  const concurrency = planConcurrency(PLANS.free, 10);
+  assert.strictEqual(concurrency, PLANS.free.concurrentScans);
+  assert.strictEqual(await checkScanQuota(userId, { count: 40, simultaneous: concurrency }), null);
+
+  active = 1;
+  assert.strictEqual((await checkScanQuota(userId, { count: 40, simultaneous: concurrency })).code, 'concurrent_scan_limit');
+});
+
+test('scheduled runs skip the concurrency check but not the quotas', async () => {
+  active = 5;
+  assert.strictEqual(await checkScanQuota(userId, { concurrency: false }), null);
+
+  counts.day = 50;
+  const limit = await checkScanQuota(userId, { concurrency: false });
+  assert.strictEqual(limit.code, 'daily_quota_exceeded');
+  assert.strictEqual(limit.used, 50);
+});
+
+test('the monthly quota counts every scan requested', async () => {
+  counts.month = 490;
+  assert.strictEqual(await checkScanQuota(userId, { count: 10, simultaneous: 1 }), null);
+
+  const limit = await checkScanQuota(userId, { count: 11, simultaneous: 1 });
+  assert.strictEqual(limit.code, 'monthly_quota_exceeded');
+});
+
+test('unlimited plans have no concurrency cap', async () => {
+  userPlan = 'unlimited';
+  active = 50;
+  assert.strictEqual(await checkScanQuota(userId, { count: 6 }), null);
+  assert.strictEqual(planConcurrency(PLANS.unlimited, 10), 10);
+});